@@ -1,6 +1,18 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import 'katex/dist/katex.min.css';
 import katex from 'katex';
+import {
+  createModel, scenarios, MAX_AGE_OPTIONS, DEFAULT_MAX_AGE, BIOLOGICAL_SRB_FEMALE,
+  SCHEDULABLE_PARAMS, TRANSITIONS, evaluateSchedule, sortKeyframes,
+  INITIALIZATION_MODES, parseDemographicFile, IMPORT_KINDS, getStableAnalytics, projectReplacementCounterfactual,
+  analyzeLeslie, buildLeslieMatrix, leslieToCSV, getAgeSensitivities, getParameterSensitivities,
+  getRunMetrics, MIGRATION_UNITS, REPLACEMENT_TARGETS, solveReplacementMigration,
+  LIFE_TABLE_COLUMNS, lifeTableToCSV, MAX_ASFR, MORTALITY_MODELS, OLD_AGE_CLOSURES, FERTILITY_MODELS, getFertilityModelDefaults, getCoaleTrussellLevel, SILER_PARAMETERS, getSilerParameters, fitSilerToRates, fitSilerToLifeExpectancy,
+  SOLVERS, TIME_STEPS, compareResolutions, TWO_SEX_MODELS, PARTNER_AGE_SD,
+  PARITY_PARAMETERS, DEFAULT_PARITY_PROGRESSION, DEFAULT_BIRTH_INTERVAL, MAX_PARITY,
+  FERTILE_AGE_MIN, FERTILE_AGE_MAX, getLexisSurface, getCohortHistory, MAX_TEMPO_SHIFT
+} from './engine';
+import { encodePermalink } from './permalink';
 
 // LaTeX equations - use String.raw to preserve backslashes
 const TEX = {
@@ -8,18 +20,47 @@ const TEX = {
   mckendrick: String.raw`\frac{\partial n(a,t)}{\partial t} + \frac{\partial n(a,t)}{\partial a} = -\mu(a) \cdot n(a,t)`,
   birth: String.raw`n(0,t) = \int_0^{\infty} \beta(a) \cdot n(a,t) \, da`,
   fertility: String.raw`\beta(a) = \frac{\text{TFR}}{Z} \cdot \exp\left(-\frac{(a-\mu)^2}{2\sigma^2}\right)`,
+  hadwiger: String.raw`f(x) = \frac{H}{T\sqrt{\pi}} \left(\frac{T}{x}\right)^{3/2} \exp\left[-H^2\left(\frac{T}{x} + \frac{x}{T} - 2\right)\right]`,
+  gamma: String.raw`f(x) \propto (x-d)^{k-1} e^{-(x-d)/\theta}, \quad k = \left(\frac{\bar{x}-d}{s}\right)^2, \quad \theta = \frac{s^2}{\bar{x}-d}`,
+  beta: String.raw`f(x) \propto z^{a-1} (1-z)^{b-1}, \quad z = \frac{x - \alpha}{\beta - \alpha}`,
+  coaleTrussell: String.raw`r(x) = G(x) \cdot M \, n(x) \, e^{m \, v(x)}`,
+  schmertmann: String.raw`f(x) = \sum_{k} \theta_k (x - t_k)_+^2, \quad f(P) = 1, \; f(H) = \tfrac{1}{2}, \; f(\beta) = 0`,
+  chandola: String.raw`f(x) = w \, h(x; H_1, T_1) + (1 - w) \, h(x; H_2, T_2)`,
   siler: String.raw`\mu(a) = \alpha_1 e^{-\beta_1 a} + \alpha_2 + \alpha_3 e^{\beta_3 a}`,
+  gompertzMakeham: String.raw`\mu(x) = A + B e^{c x}`,
+  heligmanPollard: String.raw`\frac{q_x}{1 - q_x} = A^{(x+B)^C} + D e^{-E (\ln x - \ln F)^2} + G H^x`,
+  kannisto: String.raw`\mu(x) = \frac{a e^{b x}}{1 + a e^{b x}}, \quad x \ge 85`,
+  leeCarter: String.raw`\ln m(x,t) = a_x + b_x k_t, \quad k_t = k_0 + d \, t, \quad \sum_x b_x = 1`,
+  parity: String.raw`h_0(a) = \frac{a_0 \, g_1(a)}{1 - a_0 G_1(a-1)}, \quad h_k(d) = \frac{a_k \, g_I(d)}{1 - a_k G_I(d-1)}, \quad \beta(a) = \sum_{k,d} \pi_{a,k,d} \, h`,
+  twoSex: String.raw`B = \sum_{i,j} \mathcal{M}\left(f_{ij} F_i, \; m_{ij} M_j\right), \quad f_{ij} = \beta(i) \, w(j - i - g), \quad m_{ij} = f_{ij} \frac{F^*_i}{M^*_j}`,
+  characteristics: String.raw`n_{i+1}^{k+1} = n_i^k \, e^{-\frac{h}{2}(\mu_i + \mu_{i+1})}, \quad n_0^{k+1} = \frac{h}{2}\left(B^k + B^{k+1}\right) e^{-\mu_0 h/2}`,
   survival: String.raw`l(a) = \exp\left(-\int_0^a \mu(s) \, ds\right)`,
   lifeExp: String.raw`e_0 = \int_0^{\infty} l(a) \, da`,
+  lifeTable: String.raw`q_x = \frac{m_x}{1 + (1 - a_x) m_x}, \quad L_x = l_x - (1 - a_x) d_x, \quad e_x = \frac{\sum_{y \ge x} L_y}{l_x}`,
   R0: String.raw`R_0 = f_f \int_0^{\infty} \beta(a) \cdot l(a) \, da`,
   genTime: String.raw`\bar{T} = \frac{\int a \cdot \beta(a) \cdot n(a,t) \, da}{\int \beta(a) \cdot n(a,t) \, da}`,
-  intrinsic: String.raw`r \approx \frac{\ln(R_0)}{\bar{T}}`,
+  intrinsic: String.raw`\sum_{a} e^{-r(a+1)} f_f \, \beta(a) \, l(a) = 1`,
+  reproValue: String.raw`v(a) = \frac{e^{ra}}{l(a)} \sum_{x \ge a} e^{-r(x+1)} f_f \, \beta(x) \, l(x)`,
+  keyfitz: String.raw`M = \frac{b \, e_0}{r \, \mu} \cdot \frac{R_0 - 1}{R_0}`,
+  leslie: String.raw`\mathbf{n}(t+1) = \mathbf{A}\,\mathbf{n}(t), \quad \mathbf{A}\mathbf{w} = \lambda_1 \mathbf{w}, \quad \mathbf{v}^{\top}\mathbf{A} = \lambda_1 \mathbf{v}^{\top}, \quad \rho = \frac{\lambda_1}{|\lambda_2|}`,
+  elasticity: String.raw`\frac{\partial \lambda}{\partial a_{ij}} = \frac{v_i \, w_j}{\langle \mathbf{v}, \mathbf{w} \rangle}, \quad e_{ij} = \frac{a_{ij}}{\lambda} \frac{\partial \lambda}{\partial a_{ij}}`,
+  rogersCastro: String.raw`m(x) = a_1 e^{-\alpha_1 x} + a_2 e^{-\alpha_2 (x-\mu_2) - e^{-\lambda_2 (x-\mu_2)}} + c`,
   dependency: String.raw`\text{DR} = \frac{N_{0\text{-}14} + N_{65+}}{N_{15\text{-}64}}`
 };
 
-const ReproductiveAgeExplorer = () => {
+// Comparison mode: main run plus up to three others
+const MAX_COMPARISON_RUNS = 3;
+const COMPARISON_COLORS = ['#f59e0b', '#06b6d4', '#a3e635'];
+
+// Net migration slider range per unit (persons or ‰ per year)
+const MIGRATION_SLIDER_RANGES = {
+  count: { min: -2000, max: 2000, step: 10 },
+  rate: { min: -20, max: 20, step: 0.5 }
+};
+
+// initialState: partial state decoded from a permalink (see src/permalink.js)
+const ReproductiveAgeExplorer = ({ initialState = {} }) => {
   const [isPlaying, setIsPlaying] = useState(false);
-  const [time, setTime] = useState(0);
   const [scrubIndex, setScrubIndex] = useState(null); // null = live view, number = viewing history index
   const [isPlayingHistory, setIsPlayingHistory] = useState(false); // Playing back history
   const intervalRef = useRef(null);
@@ -36,7 +77,7 @@ const ReproductiveAgeExplorer = () => {
   const [dragStartHeight, setDragStartHeight] = useState(0);
 
   // Scenarios for reproductive age distribution
-  const [scenario, setScenario] = useState('baseline');
+  const [scenario, setScenario] = useState(initialState.scenario ?? 'baseline');
   
   // Y-axis range locking - stores the max values seen so far to prevent squishing
   const [yAxisRanges, setYAxisRanges] = useState({
@@ -45,345 +86,439 @@ const ReproductiveAgeExplorer = () => {
   });
   
   // === DEMOGRAPHIC CONSTANTS ===
-  const numAges = 100;
-  // Biological sex ratio at birth: ~1.05 M:F (0.512 male, 0.488 female)
-  const biologicalSRBFemale = 0.488; // Biological baseline
+  // Oldest age as an open interval maxAge+; the model tracks single ages 0 … maxAge − 1 below it
+  const [maxAge, setMaxAge] = useState(initialState.maxAge ?? DEFAULT_MAX_AGE);
+  const numAges = maxAge + 1;
+  const biologicalSRBFemale = BIOLOGICAL_SRB_FEMALE; // Biological baseline
   
-  const [ageDistribution, setAgeDistribution] = useState([]);
-  const [maleDistribution, setMaleDistribution] = useState([]); // Track males separately
-  const [femaleDistribution, setFemaleDistribution] = useState([]); // Track females separately
   const [history, setHistory] = useState([]);
-  const [selectedPlot, setSelectedPlot] = useState('age-dist'); // Tab state for visualizations
+  const [selectedPlot, setSelectedPlot] = useState(initialState.selectedPlot ?? 'age-dist'); // Tab state for visualizations
   
   // === ADJUSTABLE PARAMETERS ===
-  const [totalFertility, setTotalFertility] = useState(2.1); // TFR
-  const [lifeExpectancy, setLifeExpectancy] = useState(75); // e₀
-  const [fertilitySpread, setFertilitySpread] = useState(7); // σ for fertility curve
-  const [peakFertilityAge, setPeakFertilityAge] = useState(27); // mode of fertility
-  const [sexRatioBirth, setSexRatioBirth] = useState(0.488); // Proportion female at birth
-  const [initialPopulation, setInitialPopulation] = useState(10000); // Initial population size
-  const [simulationSpeed, setSimulationSpeed] = useState(10); // Years per second
-  
-  // Debug state
-  const [debugInfo, setDebugInfo] = useState({});
-
-  // Scenario presets
-  const scenarios = {
-    baseline: {
-      name: "Baseline",
-      description: "Standard fertility pattern with peak at 27.",
-      peakAge: 27,
-      spread: 7,
-      color: '#8b5cf6'
-    },
-    early: {
-      name: "Early Reproduction",
-      description: "Younger childbearing (peak 21). Shorter generation time.",
-      peakAge: 21,
-      spread: 5,
-      color: '#22c55e'
-    },
-    late: {
-      name: "Delayed Reproduction",
-      description: "Later childbearing (peak 33). Longer generation time.",
-      peakAge: 33,
-      spread: 6,
-      color: '#f59e0b'
-    },
-    bimodal: {
-      name: "Bimodal",
-      description: "Two peaks at 20 and 35. Complex dynamics.",
-      peakAge: 20,
-      secondPeak: 35,
-      spread: 4,
-      color: '#ec4899'
-    },
-    custom: {
-      name: "Custom",
-      description: "Use sliders to set your own parameters.",
-      peakAge: 27,
-      spread: 7,
-      color: '#06b6d4'
-    }
+  const [totalFertility, setTotalFertility] = useState(initialState.totalFertility ?? 2.1); // TFR
+  const [lifeExpectancy, setLifeExpectancy] = useState(initialState.lifeExpectancy ?? 75); // e₀
+  const [fertilitySpread, setFertilitySpread] = useState(initialState.fertilitySpread ?? 7); // σ for fertility curve
+  const [peakFertilityAge, setPeakFertilityAge] = useState(initialState.peakFertilityAge ?? 27); // mode of fertility
+  // Fertility age pattern (see FERTILITY_MODELS); parameters are kept per model so switching back restores them
+  const [fertilityModel, setFertilityModel] = useState(initialState.fertilityModel ?? 'gaussian');
+  const [fertilityModelParams, setFertilityModelParams] = useState(initialState.fertilityModelParams ?? {});
+  const activeFertilityModelParams = { ...getFertilityModelDefaults(fertilityModel), ...fertilityModelParams[fertilityModel] };
+  const setFertilityModelParam = (key, value) => setFertilityModelParams(prev => ({
+    ...prev,
+    [fertilityModel]: { ...prev[fertilityModel], [key]: value }
+  }));
+  const [sexRatioBirth, setSexRatioBirth] = useState(initialState.sexRatioBirth ?? 0.488); // Proportion female at birth
+  const [initialPopulation, setInitialPopulation] = useState(initialState.initialPopulation ?? 10000); // Initial population size
+  const [simulationSpeed, setSimulationSpeed] = useState(initialState.simulationSpeed ?? 10); // Years per second
+
+  // Net migration (see MIGRATION_UNITS), distributed by a Rogers–Castro schedule per sex
+  const [netMigration, setNetMigration] = useState(initialState.netMigration ?? 0);
+  const [migrationUnit, setMigrationUnit] = useState(initialState.migrationUnit ?? 'count');
+  const [migrantFemaleShare, setMigrantFemaleShare] = useState(initialState.migrantFemaleShare ?? 0.5);
+  const migrationSliderRange = MIGRATION_SLIDER_RANGES[migrationUnit];
+  // Switching unit keeps the current volume, converted at the live population size
+  const changeMigrationUnit = (unit) => {
+    if (unit === migrationUnit) return;
+    const population = liveEntry?.population || initialPopulation;
+    const converted = unit === 'rate' ? (netMigration / population) * 1000 : (netMigration * population) / 1000;
+    const range = MIGRATION_SLIDER_RANGES[unit];
+    setNetMigration(Math.max(range.min, Math.min(range.max, Math.round(converted / range.step) * range.step)));
+    setMigrationUnit(unit);
   };
 
-  // === MORTALITY MODEL ===
-  // Siler mortality model: μ(a) = α₁exp(-β₁a) + α₂ + α₃exp(β₃a)
-  // Three components: Infant (declining) + Background (constant) + Senescent (Gompertz)
-  // Parameterized by life expectancy e₀
-  // 
-  // Sex-differential mortality using COMPONENT-SPECIFIC MULTIPLIERS
-  // This approach applies different male excess factors to each Siler component,
-  // reflecting the distinct biological/behavioral causes of each:
-  //
-  // 1. Infant component (α₁exp(-β₁a)): Male multiplier ~1.2×
-  //    - Male biological fragility: weaker immune response, X-chromosome vulnerability
-  //    - Well-documented in neonatal/infant mortality data globally
-  //
-  // 2. Background/Makeham component (α₂): Male multiplier ~1.5×
-  //    - Accidents, violence, risk-taking behavior
-  //    - This creates the "accident hump" in young adult male mortality
-  //    - Largest sex differential, especially ages 15-35
-  //
-  // 3. Senescent/Gompertz component (α₃exp(β₃a)): Male multiplier ~1.15×
-  //    - Cardiovascular disease differences
-  //    - Estrogen protective effects in females
-  //    - Gap narrows at very old ages (survivor selection)
-  //
-  // These multipliers produce ~5-6 year female life expectancy advantage,
-  // consistent with empirical demographic data.
-  
-  const MALE_INFANT_MULTIPLIER = 1.20;      // Biological fragility
-  const MALE_BACKGROUND_MULTIPLIER = 1.50;  // Accidents, violence, risk-taking
-  const MALE_SENESCENT_MULTIPLIER = 1.15;   // Cardiovascular, aging differences
-  
-  const getMortalityRate = (age, e0, isMale = false) => {
-    // Infant mortality: α₁exp(-β₁a)
-    // Declines exponentially from birth, captures neonatal/infant vulnerability
-    // Scales with e₀ (historical low e₀ had high infant mortality)
-    const alpha1 = 0.015 * Math.exp((75 - e0) * 0.055);
-    const beta1 = 0.7;
-    const infantMortality = alpha1 * Math.exp(-beta1 * age);
-    
-    // Background (Makeham) mortality: α₂
-    // Age-independent component: accidents, endemic disease, violence
-    const alpha2 = 0.0004 * Math.exp((75 - e0) * 0.015);
-    
-    // Senescent mortality: α₃exp(β₃a) (Gompertz)
-    // Exponentially increasing with age - biological aging
-    // β₃ (Gompertz slope) ~0.085-0.095, fairly constant across populations
-    const beta3 = 0.088;
-    const alpha3 = 0.00002 * Math.exp((80 - e0) * 0.055);
-    const senescentMortality = alpha3 * Math.exp(beta3 * age);
-    
-    // Apply sex-specific component multipliers
-    // Each component has different male excess based on its etiology
-    let mortality;
-    if (isMale) {
-      mortality = (infantMortality * MALE_INFANT_MULTIPLIER) + 
-                  (alpha2 * MALE_BACKGROUND_MULTIPLIER) + 
-                  (senescentMortality * MALE_SENESCENT_MULTIPLIER);
-    } else {
-      mortality = infantMortality + alpha2 + senescentMortality;
+  // Starting population seed (see INITIALIZATION_MODES)
+  const [initMode, setInitMode] = useState(initialState.initMode ?? 'stable');
+  const [importedPopulation, setImportedPopulation] = useState(null);
+
+  // Imported country data replacing the parametric schedules:
+  // { asfr, year, tfr, fileName } and { male, female, year, maleFile, femaleFile }
+  const [empiricalFertility, setEmpiricalFertility] = useState(null);
+  const [empiricalMortality, setEmpiricalMortality] = useState(null);
+  const [importErrors, setImportErrors] = useState([]); // { fileName, column, message }
+
+  // Custom Siler mortality { female, male } overriding the e₀ heuristic and imported rates.
+  // silerFit holds the latest calibration: { source: 'lifeTable' | 'e0', female, male }
+  // with fitSilerToRates / fitSilerToLifeExpectancy results per sex.
+  const [silerParameters, setSilerParameters] = useState(initialState.silerParameters ?? null);
+  const [silerFit, setSilerFit] = useState(null);
+  const [silerTargets, setSilerTargets] = useState({ female: 80, male: 75 });
+
+  // Mortality law behind the e₀ slider, old-age closure and Lee–Carter improvement
+  const [mortalityModel, setMortalityModel] = useState(initialState.mortalityModel ?? 'siler');
+  const [mortalityModelParams, setMortalityModelParams] = useState(initialState.mortalityModelParams ?? {});
+  const [oldAgeClosure, setOldAgeClosure] = useState(initialState.oldAgeClosure ?? 'cap');
+  const [leeCarter, setLeeCarter] = useState(initialState.leeCarterDrift !== undefined);
+  const [leeCarterDrift, setLeeCarterDrift] = useState(initialState.leeCarterDrift ?? -1);
+  // Numerical scheme and sub-steps per year; convergence holds compareResolutions output
+  const [solver, setSolver] = useState(initialState.solver ?? 'euler');
+  const [substeps, setSubsteps] = useState(initialState.substeps ?? 1);
+  const [convergence, setConvergence] = useState(null);
+
+  // Birth function (one- or two-sex) and partner age gap in years
+  const [twoSexModel, setTwoSexModel] = useState(initialState.twoSexModel ?? 'female');
+  const [partnerAgeGap, setPartnerAgeGap] = useState(initialState.partnerAgeGap ?? 3);
+
+  // Parity-progression fertility: progression ratios a₀ … a₄ and the birth interval
+  const [parityModel, setParityModel] = useState(!!initialState.parityProgression);
+  const [parityProgression, setParityProgression] = useState(initialState.parityProgression ?? DEFAULT_PARITY_PROGRESSION);
+  const [birthInterval, setBirthInterval] = useState(initialState.birthInterval ?? DEFAULT_BIRTH_INTERVAL);
+  const activeMortalityModelParams = Object.fromEntries(Object.entries(MORTALITY_MODELS[mortalityModel].params)
+    .map(([key, spec]) => [key, mortalityModelParams[mortalityModel]?.[key] ?? spec.default]));
+  const setMortalityModelParam = (key, value) => setMortalityModelParams(prev => ({
+    ...prev,
+    [mortalityModel]: { ...prev[mortalityModel], [key]: value }
+  }));
+  const seedSilerParameters = () => ({
+    female: silerParameters?.female ?? getSilerParameters(lifeExpectancy, false),
+    male: silerParameters?.male ?? getSilerParameters(lifeExpectancy, true)
+  });
+  const updateSilerParameter = (sex, key, value) => {
+    if (!(value > 0)) return;
+    const current = seedSilerParameters();
+    setSilerParameters({ ...current, [sex]: { ...current[sex], [key]: value } });
+    setSilerFit(null);
+  };
+  // Least squares on ln mx for each imported sex; other sexes keep their parameters
+  const fitSilerToLifeTable = () => {
+    if (!empiricalMortality) return;
+    const next = seedSilerParameters();
+    const fit = { source: 'lifeTable' };
+    for (const sex of ['female', 'male']) {
+      if (!empiricalMortality[sex]) continue;
+      fit[sex] = fitSilerToRates(empiricalMortality[sex], { initial: getSilerParameters(lifeExpectancy, sex === 'male') });
+      next[sex] = fit[sex].params;
     }
-    
-    // Cap at 0.6 to prevent numerical issues
-    return Math.min(mortality, 0.6);
+    setSilerParameters(next);
+    setSilerFit(fit);
   };
-
-  // Calculate survival curve l(a) = probability of surviving to age a
-  // Using exponential survival: l(a) = l(a-1) × exp(-μ(a-1))
-  // This is more accurate than linear approximation for discrete time steps
-  const getSurvivalCurve = (e0, isMale = false) => {
-    const survival = new Array(numAges).fill(1);
-    for (let age = 1; age < numAges; age++) {
-      const mortality = getMortalityRate(age - 1, e0, isMale);
-      survival[age] = survival[age - 1] * Math.exp(-mortality);
+  // Rescale each sex's α levels to hit the target e₀ pair
+  const fitSilerToE0Pair = () => {
+    const current = seedSilerParameters();
+    const fit = { source: 'e0' };
+    for (const sex of ['female', 'male']) {
+      fit[sex] = fitSilerToLifeExpectancy(silerTargets[sex], current[sex], numAges, oldAgeClosure);
     }
-    return survival;
+    setSilerParameters({ female: fit.female.params, male: fit.male.params });
+    setSilerFit(fit);
+  };
+  const resetSiler = () => {
+    setSilerParameters(null);
+    setSilerFit(null);
   };
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
 
-  // Calculate actual life expectancy from survival curve
-  const calculateLifeExpectancy = (survivalCurve) => {
-    return survivalCurve.reduce((sum, l) => sum + l, 0);
+  // HMD / HFD / WPP files; the kind of each is detected from its columns
+  const importFiles = (files) => {
+    Promise.all([...files].map(file => file.text().then(text => ({ fileName: file.name, ...parseDemographicFile(text, file.name) }))))
+      .then(results => {
+        setImportErrors(results.flatMap(({ fileName, errors }) => errors.map(err => ({ fileName, ...err }))));
+        for (const { kind, data, fileName } of results) {
+          if (!data) continue;
+          if (kind === 'population') {
+            setImportedPopulation({ ...data, fileName });
+            setInitMode('imported');
+          } else if (kind === 'fertility') {
+            setEmpiricalFertility({ ...data, fileName });
+            // The data's own TFR; the slider then rescales the imported age pattern
+            setTotalFertility(data.tfr);
+          } else if (kind === 'lifeTable') {
+            setEmpiricalMortality(prev => ({
+              male: data.male ?? prev?.male,
+              female: data.female ?? prev?.female,
+              maleFile: data.male ? fileName : prev?.maleFile,
+              femaleFile: data.female ? fileName : prev?.femaleFile,
+              year: data.year ?? prev?.year
+            }));
+          }
+        }
+      });
+  };
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    if (e.dataTransfer?.files?.length) importFiles(e.dataTransfer.files);
+  };
+  // Validation errors grouped by file and column
+  const importErrorsByColumn = importErrors.reduce((groups, err) => {
+    const key = `${err.fileName} · ${err.column ?? 'file'}`;
+    (groups[key] = groups[key] || []).push(err);
+    return groups;
+  }, {});
+  const clearImportedPopulation = () => {
+    setImportedPopulation(null);
+    if (initMode === 'imported') setInitMode('stable');
   };
 
-  // === FERTILITY MODEL ===
-  // Age-Specific Fertility Rate: β(a) ~ Gaussian centered at peak
-  // Based on Coale-Trussell fertility model structure
-  // Normalized so that Σβ(a) = TFR, with biological maximum constraint
-  
-  // Biological maximum ASFR: ~1.1 births per woman per year
-  // Based on ~9 months gestation + ~1-2 months minimum postpartum recovery
-  // This caps the maximum possible births regardless of how narrow the fertility window
-  const MAX_ASFR = 1.1;
-  
-  const getFertilitySchedule = (peak, spreadVal, secondPeak = null, tfr = 2.1) => {
-    let schedule = new Array(numAges).fill(0);
-    const sigma = Math.max(spreadVal, 2.5); // Minimum spread for numerical stability
-    
-    // Biological fertility window: menarche ~12-13, menopause ~48-52
-    for (let age = 12; age < 55; age++) {
-      // Primary peak (Gaussian)
-      const primary = Math.exp(-((age - peak) ** 2) / (2 * sigma ** 2));
-      
-      // Secondary peak if bimodal (for modeling e.g., teen + delayed childbearing)
-      let secondary = 0;
-      if (secondPeak && Math.abs(secondPeak - peak) > 5) {
-        secondary = Math.exp(-((age - secondPeak) ** 2) / (2 * sigma ** 2)) * 0.6;
-      }
-      
-      // Biological decline after age 40 (declining oocyte quality/quantity)
-      let biologicalDecline = 1.0;
-      if (age > 40) {
-        biologicalDecline = Math.exp(-0.1 * (age - 40));
-      }
-      
-      schedule[age] = (primary + secondary) * biologicalDecline;
+  // Keyframed parameter schedules, saved per scenario (presets start from their built-in schedule)
+  const [scenarioSchedules, setScenarioSchedules] = useState(() => {
+    const schedules = Object.fromEntries(
+      Object.entries(scenarios).map(([key, s]) => [key, { keyframes: s.schedule || {}, tempoEffect: !!s.tempoEffect }])
+    );
+    if (initialState.keyframes) {
+      schedules[initialState.scenario ?? 'baseline'] = { keyframes: initialState.keyframes, tempoEffect: initialState.tempoEffect };
     }
-    
-    // Normalize so that sum(ASFR) = TFR
-    const sum = schedule.reduce((a, b) => a + b, 0);
-    if (sum < 1e-10) return schedule; // Avoid division by zero
-    schedule = schedule.map(f => (f / sum) * tfr);
-    
-    // Apply biological maximum constraint (gestation + recovery limits)
-    // If any age exceeds MAX_ASFR, cap it and redistribute across fertile ages
-    const capped = schedule.map(f => Math.min(f, MAX_ASFR));
-    const totalCapped = capped.reduce((a, b) => a + b, 0);
-    const isCapped = totalCapped < tfr * 0.99;
-    
-    // If we hit the biological cap, redistribute the excess proportionally
-    let redistributed = capped;
-    if (isCapped) {
-      // Calculate how much fertility was lost due to capping
-      const lostFertility = tfr - totalCapped;
-      // Find fertile ages that aren't at the cap
-      const canReceive = capped.map((f, a) => f < MAX_ASFR && a >= 12 && a < 55);
-      const numCanReceive = canReceive.filter(x => x).length;
-      
-      if (numCanReceive > 0) {
-        // Distribute the lost fertility proportionally among ages that can receive it
-        redistributed = capped.map((f, a) => {
-          if (canReceive[a]) {
-            return Math.min(f + (lostFertility / numCanReceive), MAX_ASFR);
-          }
-          return f;
-        });
-      }
+    return schedules;
+  });
+  const activeSchedule = scenarioSchedules[scenario];
+  const updateActiveSchedule = (changes) => {
+    setScenarioSchedules(all => ({ ...all, [scenario]: { ...all[scenario], ...changes } }));
+  };
+  const restorePresetSchedule = () => {
+    const preset = scenarios[scenario];
+    updateActiveSchedule({ keyframes: preset.schedule || {}, tempoEffect: !!preset.tempoEffect });
+  };
+  // Sorted, non-empty keyframe lists as the engine expects them
+  const toEngineSchedule = (keyframesByParam) => {
+    const entries = Object.entries(keyframesByParam)
+      .filter(([, keyframes]) => keyframes.length > 0)
+      .map(([key, keyframes]) => [key, sortKeyframes(keyframes)]);
+    return entries.length > 0 ? Object.fromEntries(entries) : null;
+  };
+  const effectiveSchedule = useMemo(() => toEngineSchedule(activeSchedule.keyframes), [activeSchedule.keyframes]);
+  const isScheduled = (key) => !!effectiveSchedule?.[key];
+
+  // Get effective parameters (from scenario or custom)
+  const getEffectiveParams = (key = scenario) => {
+    if (key === 'custom') {
+      return { peakAge: peakFertilityAge, spread: fertilitySpread, secondPeak: null };
     }
-    
-    // Store whether we hit the biological cap for UI feedback
-    redistributed.biologicallyCapped = isCapped;
-    redistributed.effectiveTFR = redistributed.reduce((a, b) => a + b, 0);
-    
-    return redistributed;
+    return scenarios[key];
+  };
+
+  // Full model parameters for any scenario under the current sliders and its saved schedule
+  const getScenarioModelParams = (key) => {
+    const preset = getEffectiveParams(key);
+    return {
+      numAges,
+      totalFertility,
+      lifeExpectancy,
+      peakAge: preset.peakAge,
+      spread: preset.spread,
+      secondPeak: preset.secondPeak || null,
+      sexRatioBirth,
+      initialPopulation,
+      schedule: toEngineSchedule(scenarioSchedules[key].keyframes),
+      tempoEffect: scenarioSchedules[key].tempoEffect,
+      initialization: initMode,
+      importedPopulation,
+      empiricalFertility: empiricalFertility?.asfr ?? null,
+      empiricalMortality,
+      silerParameters,
+      fertilityModel,
+      fertilityModelParams: activeFertilityModelParams,
+      mortalityModel,
+      mortalityModelParams: activeMortalityModelParams,
+      oldAgeClosure,
+      leeCarter,
+      leeCarterDrift,
+      solver,
+      substeps,
+      twoSexModel,
+      partnerAgeGap,
+      parityModel,
+      parityProgression,
+      birthInterval,
+      netMigration,
+      migrationUnit,
+      migrantFemaleShare
+    };
   };
 
+  // === MODEL ===
+  // All demographic computation lives in the headless engine (src/engine);
+  // the component only owns parameters, history and presentation.
+  const params = getEffectiveParams();
+  const model = useMemo(() => createModel({
+    numAges,
+    totalFertility,
+    lifeExpectancy,
+    peakAge: params.peakAge,
+    spread: params.spread,
+    secondPeak: params.secondPeak || null,
+    sexRatioBirth,
+    initialPopulation,
+    schedule: effectiveSchedule,
+    tempoEffect: activeSchedule.tempoEffect,
+    initialization: initMode,
+    importedPopulation,
+    empiricalFertility: empiricalFertility?.asfr ?? null,
+    empiricalMortality,
+    silerParameters,
+    fertilityModel,
+    fertilityModelParams: activeFertilityModelParams,
+    mortalityModel,
+    mortalityModelParams: activeMortalityModelParams,
+    oldAgeClosure,
+    leeCarter,
+    leeCarterDrift,
+    solver,
+    substeps,
+    twoSexModel,
+    partnerAgeGap,
+    parityModel,
+    parityProgression,
+    birthInterval,
+    netMigration,
+    migrationUnit,
+    migrantFemaleShare
+  }), [numAges, totalFertility, lifeExpectancy, params.peakAge, params.spread, params.secondPeak, sexRatioBirth, initialPopulation,
+    effectiveSchedule, activeSchedule.tempoEffect, initMode, importedPopulation, empiricalFertility, empiricalMortality,
+    silerParameters, fertilityModel, JSON.stringify(activeFertilityModelParams),
+    mortalityModel, JSON.stringify(activeMortalityModelParams), oldAgeClosure, leeCarter, leeCarterDrift, solver, substeps, twoSexModel, partnerAgeGap,
+    parityModel, parityProgression, birthInterval, netMigration, migrationUnit, migrantFemaleShare]);
+
+  // Latest simulated state is the last history entry
+  const liveEntry = history[history.length - 1];
+  const time = liveEntry?.time ?? 0;
+
   // === DERIVED QUANTITIES ===
-  // Female survival curve (baseline - used for R₀ calculation)
-  const survivalCurve = useMemo(() => getSurvivalCurve(lifeExpectancy, false), [lifeExpectancy]);
-  // Male survival curve (higher mortality)
-  const maleSurvivalCurve = useMemo(() => getSurvivalCurve(lifeExpectancy, true), [lifeExpectancy]);
-  
-  const mortalityCurve = useMemo(() => 
-    Array.from({ length: numAges }, (_, a) => getMortalityRate(a, lifeExpectancy, false)), 
-    [lifeExpectancy]
-  );
-  
-  // Sex-specific life expectancies
-  const femaleE0 = useMemo(() => calculateLifeExpectancy(survivalCurve), [survivalCurve]);
-  const maleE0 = useMemo(() => calculateLifeExpectancy(maleSurvivalCurve), [maleSurvivalCurve]);
+  // Rates in force at the current simulated year (scenarios may schedule parameters over time)
+  const currentRates = model.ratesAt(time);
+  const { survivalCurve, femaleE0, maleE0 } = currentRates;
+  const mortalityCurve = currentRates.femaleMortality;
   const actualE0 = femaleE0; // Use female e₀ as the reference (slider controls female mortality)
 
-  // Get effective parameters (from scenario or custom)
-  const getEffectiveParams = () => {
-    if (scenario === 'custom') {
-      return { peakAge: peakFertilityAge, spread: fertilitySpread, secondPeak: null };
+  const ageDistribution = liveEntry?.ageDistribution ?? [];
+  const maleDistribution = liveEntry?.maleDistribution ?? [];
+  const femaleDistribution = liveEntry?.femaleDistribution ?? [];
+  const debugInfo = liveEntry ? model.diagnostics(liveEntry) : {};
+
+  // Momentum counterfactual (fertility dropped to replacement at a chosen history entry)
+  const [momentum, setMomentum] = useState(null);
+  const [momentumError, setMomentumError] = useState(null);
+  const runMomentumCounterfactual = () => {
+    const index = scrubIndex ?? history.length - 1;
+    const entry = history[index];
+    if (!entry) return;
+    try {
+      setMomentum({ startIndex: index, ...projectReplacementCounterfactual(model, entry) });
+      setMomentumError(null);
+    } catch (e) {
+      console.error('Momentum counterfactual failed:', e);
+      setMomentum(null);
+      setMomentumError(e.message);
     }
-    return scenarios[scenario];
   };
+  // Years of the counterfactual drawn on Population Over Time: to the plateau plus a margin
+  const momentumDisplayYears = momentum ? Math.min(momentum.populations.length - 1, momentum.yearsToPlateau + 30) : 0;
 
-  // Find median age of population
-  const findMedianAge = (dist) => {
-    const total = dist.reduce((a, b) => a + b, 0);
-    let cumulative = 0;
-    for (let age = 0; age < numAges; age++) {
-      cumulative += dist[age];
-      if (cumulative >= total / 2) return age;
-    }
-    return 50;
+  // Replacement migration: net migration required each year to hold a target (see REPLACEMENT_TARGETS)
+  const [replacementTarget, setReplacementTarget] = useState('totalPopulation');
+  const [maxDependencyRatio, setMaxDependencyRatio] = useState(0.6);
+  const [replacementYears, setReplacementYears] = useState(100);
+  const [replacement, setReplacement] = useState(null);
+  const runReplacementMigration = () => {
+    const entry = history[scrubIndex ?? history.length - 1];
+    if (!entry) return;
+    setReplacement(solveReplacementMigration(model, entry, {
+      target: replacementTarget,
+      maxDependencyRatio,
+      years: replacementYears
+    }));
   };
 
-  // Initialize population with stable age structure
-  const initialize = () => {
-    const params = getEffectiveParams();
-    
-    // Initialize with survival-weighted age structure
-    // Scale so total population equals initialPopulation
-    const rawInitial = new Array(numAges).fill(0).map((_, age) => survivalCurve[age]);
-    const rawTotal = rawInitial.reduce((a, b) => a + b, 0);
-    const scaleFactor = initialPopulation / rawTotal;
-    const initial = rawInitial.map(n => n * scaleFactor);
-    
-    // Calculate initial debug info
-    const fertilitySchedule = getFertilitySchedule(
-      params.peakAge, params.spread, params.secondPeak || null, totalFertility
-    );
-    
-    let initialBirths = 0;
-    let weightedAgeSum = 0;
-    for (let age = 12; age < 55; age++) {
-      // Use biological ~50% female for calculating women at each age
-      // (sexRatioBirth only affects R₀ calculation, not simulation dynamics)
-      const births = fertilitySchedule[age] * initial[age] * 0.5;
-      initialBirths += births;
-      weightedAgeSum += age * births;
-    }
-    
-    let initialDeaths = 0;
-    for (let age = 0; age < numAges; age++) {
-      // Use exponential mortality for consistency
-      const mortality = getMortalityRate(age, lifeExpectancy);
-      initialDeaths += initial[age] * (1 - Math.exp(-mortality));
-    }
-    
-    const meanParentAge = initialBirths > 0 ? weightedAgeSum / initialBirths : params.peakAge;
-    
-    const young = initial.slice(0, 15).reduce((a, b) => a + b, 0);
-    const old = initial.slice(65).reduce((a, b) => a + b, 0);
-    const working = initial.slice(15, 65).reduce((a, b) => a + b, 0);
-    const depRatio = working > 0 ? (young + old) / working : 0;
-    
-    setDebugInfo({
-      births: initialBirths,
-      deaths: initialDeaths,
-      birthDeathRatio: initialDeaths > 0 ? initialBirths / initialDeaths : 0,
-      fertilitySum: fertilitySchedule.reduce((a, b) => a + b, 0),
-      maxASFR: Math.max(...fertilitySchedule),
-      peakAge: fertilitySchedule.indexOf(Math.max(...fertilitySchedule)),
-      fertileWomen: initial.slice(15, 50).reduce((a, b) => a + b, 0) * 0.5,
-      dependencyRatio: depRatio,
-      medianAge: findMedianAge(initial),
-      actualE0: actualE0
-    });
-    
-    setAgeDistribution(initial);
-    // Initialize sex distributions at ~50/50 (stable population assumption)
-    const initialMale = initial.map(n => n * 0.5);
-    const initialFemale = initial.map(n => n * 0.5);
-    setMaleDistribution(initialMale);
-    setFemaleDistribution(initialFemale);
-    setTime(0);
-    setScrubIndex(null); // Back to live view
-    const initialPop = initial.reduce((a, b) => a + b, 0);
-    setHistory([{
-      time: 0,
-      population: initialPop,
-      births: initialBirths,
-      deaths: initialDeaths,
-      meanParentAge,
-      dependencyRatio: depRatio,
-      ageDistribution: [...initial], // Store full age distribution for time scrubbing
-      maleDistribution: [...initialMale],
-      femaleDistribution: [...initialFemale],
-      // Store model parameters at initialization
-      lifeExpectancy,
-      totalFertility,
-      peakFertilityAge,
-      fertilitySpread,
-      sexRatioBirth
+  // Comparison runs: up to MAX_COMPARISON_RUNS extra scenarios on the same clock as the main run.
+  // Each run snapshots its parameters when added; { id, scenarioKey, label, color, model, history }
+  const [comparisonRuns, setComparisonRuns] = useState([]);
+  const [comparisonScenario, setComparisonScenario] = useState('early');
+  const addComparisonRun = () => {
+    if (comparisonRuns.length >= MAX_COMPARISON_RUNS) return;
+    const runModel = createModel(getScenarioModelParams(comparisonScenario));
+    const usedColors = comparisonRuns.map(run => run.color);
+    setComparisonRuns(runs => [...runs, {
+      id: Date.now(),
+      scenarioKey: comparisonScenario,
+      label: `${scenarios[comparisonScenario].name} (TFR ${totalFertility}, e₀ ${lifeExpectancy})`,
+      color: COMPARISON_COLORS.find(c => !usedColors.includes(c)),
+      model: runModel,
+      // Catch up to the main run's clock
+      history: runModel.project(runModel.initialize(), time)
     }]);
+  };
+  const removeComparisonRun = (id) => setComparisonRuns(runs => runs.filter(run => run.id !== id));
+  // Every value of `field` across comparison histories, for shared axis ranges
+  const comparisonValues = (field) => comparisonRuns.flatMap(run => run.history.map(h => h[field] || 0));
+  // SVG path through a run's history on the shared time axis
+  const historyPath = (entries, toY, span = Math.max(history.length - 1, 1)) =>
+    entries.map((h, i) => `${i === 0 ? 'M' : 'L'} ${35 + (i / span) * 350} ${toY(h)}`).join(' ');
+
+  // Initialize population from the selected seed (stable age-sex structure by default).
+  // `restore` ({ time, scrubYear }) replays the run up to a permalinked year.
+  const initialize = (restore = null) => {
+    const initial = model.initialize();
+    const trajectory = restore ? model.project(initial, restore.time) : [initial];
+    setScrubIndex(restore?.scrubYear !== undefined && restore.scrubYear < restore.time ? restore.scrubYear : null);
+    setMomentum(null);
+    setMomentumError(null);
+    setReplacement(null);
+    // Comparison runs keep their snapshotted parameters but follow the age range
+    setComparisonRuns(runs => runs.map(run => {
+      const runModel = run.model.numAges === numAges ? run.model : createModel({ ...run.model.params, numAges });
+      return { ...run, model: runModel, history: [runModel.initialize()] };
+    }));
+    setHistory(trajectory);
     // Reset Y-axis ranges
+    const populations = trajectory.map(h => h.population);
     setYAxisRanges({
-      population: { min: initialPop * 0.9, max: initialPop * 1.1 },
-      birthsDeath: { min: 0, max: Math.max(initialBirths, initialDeaths) * 1.2 }
+      population: { min: Math.min(...populations) * 0.9, max: Math.max(...populations) * 1.1 },
+      birthsDeath: {
+        min: Math.min(0, ...trajectory.map(h => h.netMigration)) * 1.2,
+        max: Math.max(...trajectory.map(h => Math.max(h.births, h.deaths, h.netMigration))) * 1.2
+      }
     });
   };
 
+  // Year and scrub position from a permalink, applied while the linked scenario and seed are unchanged
+  const pendingRestoreRef = useRef(initialState.time
+    ? { scenario, initMode, time: initialState.time, scrubYear: initialState.scrubYear }
+    : null);
+
   useEffect(() => {
-    initialize();
-  }, [scenario]);  // Reinitialize on scenario change (sex ratio only affects R₀, not simulation)
+    const restore = pendingRestoreRef.current;
+    if (restore && (restore.scenario !== scenario || restore.initMode !== initMode)) {
+      pendingRestoreRef.current = null;
+    }
+    initialize(pendingRestoreRef.current);
+  }, [scenario, initMode, importedPopulation, empiricalFertility, empiricalMortality, numAges]);  // Reinitialize on scenario, seed, imported data or age range change
+
+  // Mirror the configuration into the URL hash whenever the run is paused
+  const buildPermalink = () => encodePermalink({
+    scenario, totalFertility, lifeExpectancy, sexRatioBirth, peakFertilityAge, fertilitySpread,
+    initialPopulation, simulationSpeed, initMode, maxAge, netMigration, migrationUnit, migrantFemaleShare,
+    keyframes: activeSchedule.keyframes,
+    tempoEffect: activeSchedule.tempoEffect,
+    fertilityModel,
+    fertilityModelParams,
+    mortalityModel,
+    mortalityModelParams,
+    oldAgeClosure,
+    silerParameters,
+    leeCarterDrift: leeCarter ? leeCarterDrift : null,
+    solver,
+    substeps,
+    twoSexModel,
+    partnerAgeGap: twoSexModel !== 'female' ? partnerAgeGap : null,
+    parityProgression: parityModel ? parityProgression : null,
+    birthInterval,
+    selectedPlot,
+    time,
+    scrubYear: scrubIndex !== null ? history[scrubIndex]?.time : null
+  });
+  useEffect(() => {
+    if (isPlaying || isPlayingHistory || !liveEntry) return;
+    const hash = buildPermalink();
+    if (window.location.hash !== hash) window.history.replaceState(null, '', hash);
+  });
+
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyPermalink = () => {
+    const hash = buildPermalink();
+    window.history.replaceState(null, '', hash);
+    navigator.clipboard?.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    });
+  };
 
   // Handle resize dragging for panels
   useEffect(() => {
@@ -427,123 +562,28 @@ const ReproductiveAgeExplorer = () => {
 
   // Simulation step: McKendrick-von Foerster PDE
   const simulateStep = () => {
-    const params = getEffectiveParams();
-    
-    // Get current fertility schedule
-    const fertilitySchedule = getFertilitySchedule(
-      params.peakAge,
-      params.spread,
-      params.secondPeak || null,
-      totalFertility
-    );
-
-    // Calculate all new distributions synchronously before updating state
-    // This ensures consistency across male, female, and total distributions
-    
-    // Calculate births from current female population
-    let births = 0;
-    let weightedAgeSum = 0;
-    for (let age = 12; age < 55; age++) {
-      const asfr = fertilitySchedule[age];
-      const birthsFromAge = asfr * femaleDistribution[age];
-      births += birthsFromAge;
-      weightedAgeSum += age * birthsFromAge;
-    }
-    const meanParentAge = births > 0 ? weightedAgeSum / births : params.peakAge;
-    
-    // Calculate new female distribution (using female mortality rates)
-    const newFemale = new Array(numAges).fill(0);
-    newFemale[0] = births * sexRatioBirth; // Female births
-    for (let age = 1; age < numAges; age++) {
-      const mortality = getMortalityRate(age - 1, lifeExpectancy, false); // Female mortality
-      const survivalProb = Math.exp(-mortality);
-      newFemale[age] = Math.max(0, femaleDistribution[age - 1] * survivalProb);
-    }
-    
-    // Calculate new male distribution (using male mortality rates - higher)
-    const newMale = new Array(numAges).fill(0);
-    newMale[0] = births * (1 - sexRatioBirth); // Male births
-    for (let age = 1; age < numAges; age++) {
-      const mortality = getMortalityRate(age - 1, lifeExpectancy, true); // Male mortality (higher)
-      const survivalProb = Math.exp(-mortality);
-      newMale[age] = Math.max(0, maleDistribution[age - 1] * survivalProb);
-    }
-    
-    // Calculate new total distribution and deaths
-    const newDist = new Array(numAges).fill(0);
-    newDist[0] = births;
-    let deaths = 0;
-    for (let age = 1; age < numAges; age++) {
-      const mortality = getMortalityRate(age - 1, lifeExpectancy);
-      const survivalProb = Math.exp(-mortality);
-      const survivors = ageDistribution[age - 1] * survivalProb;
-      newDist[age] = Math.max(0, survivors);
-      deaths += ageDistribution[age - 1] * (1 - survivalProb);
-    }
-    deaths += ageDistribution[numAges - 1]; // Deaths from oldest age group
-    
-    // Calculate dependency ratio
-    const young = newDist.slice(0, 15).reduce((a, b) => a + b, 0);
-    const old = newDist.slice(65).reduce((a, b) => a + b, 0);
-    const working = newDist.slice(15, 65).reduce((a, b) => a + b, 0);
-    const dependencyRatio = working > 0 ? (young + old) / working : 0;
-    
-    const newPop = newDist.reduce((a, b) => a + b, 0);
-    
-    // Update all state at once
-    setFemaleDistribution(newFemale);
-    setMaleDistribution(newMale);
-    setAgeDistribution(newDist);
-    
-    // Update debug info
-    setDebugInfo({
-      births,
-      deaths,
-      birthDeathRatio: deaths > 0 ? births / deaths : 0,
-      fertilitySum: fertilitySchedule.reduce((a, b) => a + b, 0),
-      maxASFR: Math.max(...fertilitySchedule),
-      peakAge: fertilitySchedule.indexOf(Math.max(...fertilitySchedule)),
-      fertileWomen: femaleDistribution.slice(12, 55).reduce((a, b) => a + b, 0),
-      dependencyRatio,
-      medianAge: findMedianAge(newDist),
-      actualE0
-    });
+    if (!liveEntry) return;
+    const next = model.step(liveEntry);
     
     // Update Y-axis ranges (only expand, never shrink while running)
     setYAxisRanges(ranges => ({
       population: {
-        min: Math.min(ranges.population.min, newPop * 0.95),
-        max: Math.max(ranges.population.max, newPop * 1.05)
+        min: Math.min(ranges.population.min, next.population * 0.95),
+        max: Math.max(ranges.population.max, next.population * 1.05)
       },
       birthsDeath: {
-        min: 0,
-        max: Math.max(ranges.birthsDeath.max, births * 1.1, deaths * 1.1)
+        min: Math.min(ranges.birthsDeath.min, next.netMigration * 1.1),
+        max: Math.max(ranges.birthsDeath.max, next.births * 1.1, next.deaths * 1.1, next.netMigration * 1.1)
       }
     }));
     
     // Record history
-    setHistory(h => {
-      const updated = [...h, {
-        time: time + 1,
-        population: newPop,
-        births,
-        deaths,
-        meanParentAge,
-        dependencyRatio,
-        ageDistribution: [...newDist],
-        maleDistribution: [...newMale],
-        femaleDistribution: [...newFemale],
-        // Store model parameters at this point in time
-        lifeExpectancy,
-        totalFertility,
-        peakFertilityAge,
-        fertilitySpread,
-        sexRatioBirth
-      }];
-      return updated;
-    });
-    
-    setTime(t => t + 1);
+    setHistory(h => [...h, next]);
+    // Advance comparison runs on the common clock
+    setComparisonRuns(runs => runs.map(run => ({
+      ...run,
+      history: [...run.history, run.model.step(run.history[run.history.length - 1])]
+    })));
   };
 
   // Handle time scrubbing - navigate to a specific point in history
@@ -609,15 +649,13 @@ const ReproductiveAgeExplorer = () => {
 
   const reset = () => {
     setIsPlaying(false);
+    pendingRestoreRef.current = null;
     initialize();
   };
 
   // Current derived values
-  const params = getEffectiveParams();
   const config = scenarios[scenario];
-  const currentFertilitySchedule = getFertilitySchedule(
-    params.peakAge, params.spread, params.secondPeak, totalFertility
-  );
+  const currentFertilitySchedule = currentRates.fertilitySchedule;
   
   // Calculate display values from displayed distribution
   const totalPop = displayedAgeDist.reduce((a, b) => a + b, 0);
@@ -633,15 +671,53 @@ const ReproductiveAgeExplorer = () => {
   // Net Reproduction Rate: R₀ = SRB_female × ∫ β(a) × l(a) da
   // This is the expected number of daughters per woman
   // R₀ > 1 means long-term population growth, R₀ < 1 means decline
-  const netReproductionRate = currentFertilitySchedule.reduce((sum, beta, age) => {
-    return sum + sexRatioBirth * beta * survivalCurve[age];
-  }, 0);
+  const netReproductionRate = currentRates.netReproductionRate;
   
-  // Approximate intrinsic growth rate r (Lotka's r)
-  // Using the approximation: r ≈ ln(R₀) / T̄
-  const intrinsicGrowthRate = generationTime > 0 
-    ? Math.log(netReproductionRate) / generationTime 
-    : 0;
+  // Stable population analytics: exact Lotka r from the characteristic equation,
+  // intrinsic birth/death rates, mean ages of childbearing and reproductive value
+  const stableAnalytics = useMemo(() => getStableAnalytics(currentRates), [currentRates]);
+  const intrinsicGrowthRate = stableAnalytics.r;
+  // Lotka, Leslie and sensitivity analytics assume births depend on women only;
+  // under a two-sex birth function they no longer describe the simulation exactly
+  const oneSexNotice = twoSexModel !== 'female' && (
+    <div style={{ color: '#f59e0b', fontSize: '0.7rem', marginBottom: '8px', flexShrink: 0 }}>
+      ⚠ One-sex approximation: these values assume births depend on women only, while the simulation uses
+      the {TWO_SEX_MODELS[twoSexModel].label} birth function, so its growth can differ when the sexes are out of balance.
+    </div>
+  );
+
+  // Age- and parameter-level sensitivities of λ and R₀ — only while their tab is open
+  const sensitivityAnalysis = useMemo(
+    () => (selectedPlot === 'sensitivity'
+      ? { ages: getAgeSensitivities(currentRates), parameters: getParameterSensitivities(model, time) }
+      : null),
+    [selectedPlot, currentRates, model, time]
+  );
+
+  // Life table tab: sex shown and sort order ({ column, direction: 1 | -1 })
+  const [lifeTableSex, setLifeTableSex] = useState('female');
+  const [lifeTableSort, setLifeTableSort] = useState({ column: 'age', direction: 1 });
+  const sortLifeTable = (column) => setLifeTableSort(sort => ({
+    column,
+    direction: sort.column === column ? -sort.direction : 1
+  }));
+
+  // Leslie matrix eigen-analysis (power iteration + characteristic roots) — only while its tab is open
+  const leslieAnalysis = useMemo(
+    () => (selectedPlot === 'leslie' ? analyzeLeslie(currentRates) : null),
+    [selectedPlot, currentRates]
+  );
+
+  // Lexis surface of the stored history and the cohort (birth year) picked on it
+  const [lexisCohort, setLexisCohort] = useState(null);
+  const lexisSurface = useMemo(
+    () => (selectedPlot === 'lexis' && history.length > 0 ? getLexisSurface(history) : null),
+    [selectedPlot, history]
+  );
+  const cohortHistory = useMemo(
+    () => (selectedPlot === 'lexis' && lexisCohort !== null ? getCohortHistory(model, history, lexisCohort) : null),
+    [selectedPlot, lexisCohort, model, history]
+  );
 
   // Export functions
   const exportToCSV = () => {
@@ -654,7 +730,7 @@ const ReproductiveAgeExplorer = () => {
       ['Final Year:', time],
       ['Final Population:', totalPop.toLocaleString()],
       [''],
-      ['Time', 'Population', 'Births', 'Deaths', 'Mean Parent Age', 'Dependency Ratio', 'Life Expectancy', 'Total Fertility', 'Peak Fertility Age', 'Fertility Spread', 'Sex Ratio at Birth']
+      ['Time', 'Population', 'Births', 'Deaths', 'Female Deaths', 'Male Deaths', 'Mean Parent Age', 'Dependency Ratio', 'Life Expectancy', 'Total Fertility', 'Peak Fertility Age', 'Fertility Spread', 'Sex Ratio at Birth', 'Period TFR', 'Cohort TFR', 'Net Migration', 'Missing Girls', 'Cumulative Missing Girls', 'Marriage Sex Ratio', 'Childlessness', 'Completed Fertility', 'Observed TFR', 'Tempo-adjusted TFR', 'Mean Age at Childbearing', 'MAC Change', 'Crude Birth Rate', 'General Fertility Rate']
     ];
     
     // Add history data
@@ -663,13 +739,29 @@ const ReproductiveAgeExplorer = () => {
       h.population.toFixed(0),
       h.births.toFixed(2),
       h.deaths.toFixed(2),
+      h.femaleDeaths?.toFixed(2) ?? '-',
+      h.maleDeaths?.toFixed(2) ?? '-',
       h.meanParentAge.toFixed(2),
       h.dependencyRatio.toFixed(4),
       h.lifeExpectancy || '-',
       h.totalFertility || '-',
       h.peakFertilityAge || '-',
       h.fertilitySpread || '-',
-      h.sexRatioBirth?.toFixed(3) || '-'
+      h.sexRatioBirth?.toFixed(3) || '-',
+      h.periodTFR?.toFixed(3) || '-',
+      h.cohortTFR?.toFixed(3) || '-',
+      h.netMigration?.toFixed(2) ?? '-',
+      h.missingGirls?.toFixed(2) ?? '-',
+      h.cumulativeMissingGirls?.toFixed(2) ?? '-',
+      h.marriageSexRatio?.toFixed(4) ?? '-',
+      h.childlessness?.toFixed(4) ?? '-',
+      h.completedFertility?.toFixed(3) ?? '-',
+      h.observedTFR?.toFixed(3) ?? '-',
+      h.tempoAdjustedTFR?.toFixed(3) ?? '-',
+      h.meanAgeAtChildbearing?.toFixed(2) ?? '-',
+      h.macChange?.toFixed(4) ?? '-',
+      h.crudeBirthRate?.toFixed(2) ?? '-',
+      h.generalFertilityRate?.toFixed(2) ?? '-'
     ]));
     
     const csv = rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
@@ -689,20 +781,63 @@ const ReproductiveAgeExplorer = () => {
         finalYear: time,
         finalPopulation: totalPop,
         scenarioName: scenario,
-        yearsSimulated: history.length
+        yearsSimulated: history.length,
+        openAgeGroup: `${maxAge}+`,
+        schedule: effectiveSchedule,
+        tempoEffect: activeSchedule.tempoEffect,
+        importedData: {
+          fertility: empiricalFertility && { file: empiricalFertility.fileName, year: empiricalFertility.year, tfr: empiricalFertility.tfr },
+          mortality: empiricalMortality && { female: empiricalMortality.femaleFile ?? null, male: empiricalMortality.maleFile ?? null, year: empiricalMortality.year },
+          population: importedPopulation && { file: importedPopulation.fileName ?? null, year: importedPopulation.year ?? null }
+        },
+        silerParameters,
+        fertilityModel: { model: fertilityModel, params: fertilityModel === 'gaussian' ? null : activeFertilityModelParams },
+        mortalityModel: {
+          model: mortalityModel,
+          params: mortalityModel === 'siler' ? null : activeMortalityModelParams,
+          oldAgeClosure,
+          leeCarterDrift: leeCarter ? leeCarterDrift : null
+        },
+        numerics: { solver, substeps },
+        parityModel: parityModel ? { progression: parityProgression, birthInterval } : null,
+        birthFunction: { model: twoSexModel, partnerAgeGap: twoSexModel === 'female' ? null : partnerAgeGap },
+        migration: {
+          netMigration,
+          unit: migrationUnit,
+          femaleShare: migrantFemaleShare,
+          rogersCastro: model.params.migrationSchedule
+        }
       },
       history: history.map(h => ({
         time: h.time,
         population: h.population,
         births: h.births,
         deaths: h.deaths,
+        femaleDeaths: h.femaleDeaths,
+        maleDeaths: h.maleDeaths,
         meanParentAge: h.meanParentAge,
         dependencyRatio: h.dependencyRatio,
         lifeExpectancy: h.lifeExpectancy,
         totalFertility: h.totalFertility,
         peakFertilityAge: h.peakFertilityAge,
         fertilitySpread: h.fertilitySpread,
-        sexRatioBirth: h.sexRatioBirth
+        sexRatioBirth: h.sexRatioBirth,
+        periodTFR: h.periodTFR,
+        cohortTFR: h.cohortTFR,
+        netMigration: h.netMigration,
+        missingGirls: h.missingGirls,
+        cumulativeMissingGirls: h.cumulativeMissingGirls,
+        marriageSexRatio: h.marriageSexRatio,
+        periodTFRByOrder: h.periodTFRByOrder,
+        completedParity: h.completedParity,
+        childlessness: h.childlessness,
+        completedFertility: h.completedFertility,
+        observedTFR: h.observedTFR,
+        tempoAdjustedTFR: h.tempoAdjustedTFR,
+        meanAgeAtChildbearing: h.meanAgeAtChildbearing,
+        macChange: h.macChange,
+        crudeBirthRate: h.crudeBirthRate,
+        generalFertilityRate: h.generalFertilityRate
       }))
     };
     
@@ -724,7 +859,7 @@ const ReproductiveAgeExplorer = () => {
       ['Final Year:', time],
       ['Final Population:', totalPop.toLocaleString()],
       [''],
-      ['Time', 'Population', 'Births', 'Deaths', 'Mean Parent Age', 'Dependency Ratio', 'Life Expectancy', 'Total Fertility', 'Peak Fertility Age', 'Fertility Spread', 'Sex Ratio at Birth']
+      ['Time', 'Population', 'Births', 'Deaths', 'Female Deaths', 'Male Deaths', 'Mean Parent Age', 'Dependency Ratio', 'Life Expectancy', 'Total Fertility', 'Peak Fertility Age', 'Fertility Spread', 'Sex Ratio at Birth', 'Period TFR', 'Cohort TFR', 'Net Migration', 'Missing Girls', 'Cumulative Missing Girls', 'Marriage Sex Ratio', 'Childlessness', 'Completed Fertility', 'Observed TFR', 'Tempo-adjusted TFR', 'Mean Age at Childbearing', 'MAC Change', 'Crude Birth Rate', 'General Fertility Rate']
     ];
     
     history.forEach(h => {
@@ -733,13 +868,29 @@ const ReproductiveAgeExplorer = () => {
         h.population.toFixed(0),
         h.births.toFixed(2),
         h.deaths.toFixed(2),
+        h.femaleDeaths?.toFixed(2) ?? '',
+        h.maleDeaths?.toFixed(2) ?? '',
         h.meanParentAge.toFixed(2),
         h.dependencyRatio.toFixed(4),
         h.lifeExpectancy || '',
         h.totalFertility || '',
         h.peakFertilityAge || '',
         h.fertilitySpread || '',
-        h.sexRatioBirth?.toFixed(3) || ''
+        h.sexRatioBirth?.toFixed(3) || '',
+        h.periodTFR?.toFixed(3) || '',
+        h.cohortTFR?.toFixed(3) || '',
+        h.netMigration?.toFixed(2) ?? '',
+        h.missingGirls?.toFixed(2) ?? '',
+        h.cumulativeMissingGirls?.toFixed(2) ?? '',
+        h.marriageSexRatio?.toFixed(4) ?? '',
+        h.childlessness?.toFixed(4) ?? '',
+        h.completedFertility?.toFixed(3) ?? '',
+        h.observedTFR?.toFixed(3) ?? '',
+        h.tempoAdjustedTFR?.toFixed(3) ?? '',
+        h.meanAgeAtChildbearing?.toFixed(2) ?? '',
+        h.macChange?.toFixed(4) ?? '',
+        h.crudeBirthRate?.toFixed(2) ?? '',
+        h.generalFertilityRate?.toFixed(2) ?? ''
       ]);
     });
     
@@ -769,14 +920,39 @@ const ReproductiveAgeExplorer = () => {
     link.click();
   };
 
+  const exportLifeTableCSV = () => {
+    const csv = lifeTableToCSV({ female: currentRates.femaleLifeTable, male: currentRates.maleLifeTable });
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `life-table-year-${time}-${new Date().getTime()}.csv`;
+    link.click();
+  };
+
+  const exportLeslieCSV = () => {
+    const csv = leslieToCSV(buildLeslieMatrix(currentRates));
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `leslie-matrix-year-${time}-${new Date().getTime()}.csv`;
+    link.click();
+  };
+
   return (
-    <div style={{
-      minHeight: '100vh',
-      background: '#08080c',
-      fontFamily: '"IBM Plex Sans", -apple-system, sans-serif',
-      color: '#e2e8f0',
-      padding: '25px 20px'
-    }}>
+    <div
+      onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+      onDragLeave={(e) => { if (!e.relatedTarget) setIsDraggingFile(false); }}
+      onDrop={handleFileDrop}
+      style={{
+        minHeight: '100vh',
+        background: '#08080c',
+        fontFamily: '"IBM Plex Sans", -apple-system, sans-serif',
+        color: '#e2e8f0',
+        padding: '25px 20px',
+        outline: isDraggingFile ? '2px dashed #6366f1' : 'none',
+        outlineOffset: '-8px'
+      }}
+    >
       {/* Header */}
       <header style={{ textAlign: 'center', marginBottom: '25px' }}>
         <h1 style={{ fontSize: '1.8rem', fontWeight: 600, marginBottom: '8px', color: '#f8fafc' }}>
@@ -851,6 +1027,20 @@ const ReproductiveAgeExplorer = () => {
               >
                 ↺ Reset
               </button>
+              <button
+                onClick={copyPermalink}
+                title="Copy a link that reopens this exact configuration"
+                style={{
+                  padding: '10px 16px',
+                  borderRadius: '8px',
+                  border: '1px solid #333',
+                  background: 'transparent',
+                  color: linkCopied ? '#22c55e' : '#94a3b8',
+                  cursor: 'pointer'
+                }}
+              >
+                {linkCopied ? '✓ Copied' : '🔗 Copy link'}
+              </button>
             </div>
           </div>
 
@@ -884,6 +1074,445 @@ const ReproductiveAgeExplorer = () => {
             </div>
           </div>
 
+          {/* Scenario Comparison */}
+          <div style={{
+            background: '#111116',
+            borderRadius: '12px',
+            padding: '15px'
+          }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', marginBottom: '12px' }}>Compare Scenarios</h3>
+            {comparisonRuns.map(run => (
+              <div key={run.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px', fontSize: '0.75rem', color: '#94a3b8' }}>
+                <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: run.color, flexShrink: 0 }} />
+                <span style={{ flex: 1 }}>{run.label}</span>
+                <button onClick={() => removeComparisonRun(run.id)} title="Remove run"
+                  style={{ border: 'none', background: 'transparent', color: '#ef4444', cursor: 'pointer', fontSize: '0.75rem' }}>✕</button>
+              </div>
+            ))}
+            {comparisonRuns.length < MAX_COMPARISON_RUNS && (
+              <div style={{ display: 'flex', gap: '6px' }}>
+                <select
+                  value={comparisonScenario}
+                  onChange={e => setComparisonScenario(e.target.value)}
+                  style={{ flex: 1, background: '#0a0a0e', border: '1px solid #2a2a35', borderRadius: '4px', color: '#e2e8f0', padding: '4px', fontSize: '0.75rem' }}
+                >
+                  {Object.entries(scenarios).map(([key, s]) => <option key={key} value={key}>{s.name}</option>)}
+                </select>
+                <button
+                  onClick={addComparisonRun}
+                  style={{ padding: '4px 10px', borderRadius: '4px', border: '1px solid #6366f1', background: 'transparent', color: '#818cf8', cursor: 'pointer', fontSize: '0.75rem' }}
+                >
+                  + Add
+                </button>
+              </div>
+            )}
+            <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '8px' }}>
+              Adds the scenario with the current slider values and its schedule, caught up to year {time} and stepped with the main run.
+            </div>
+          </div>
+
+          {/* Starting Population */}
+          <div style={{
+            background: '#111116',
+            borderRadius: '12px',
+            padding: '15px'
+          }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', marginBottom: '12px' }}>Starting Population</h3>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+              {Object.entries(INITIALIZATION_MODES).map(([key, mode]) => (
+                <button
+                  key={key}
+                  onClick={() => setInitMode(key)}
+                  disabled={key === 'imported' && !importedPopulation}
+                  title={mode.description}
+                  style={{
+                    padding: '5px 10px',
+                    borderRadius: '6px',
+                    border: initMode === key ? '1px solid #6366f1' : '1px solid #2a2a35',
+                    background: initMode === key ? '#6366f115' : 'transparent',
+                    color: initMode === key ? '#818cf8' : '#94a3b8',
+                    cursor: key === 'imported' && !importedPopulation ? 'not-allowed' : 'pointer',
+                    opacity: key === 'imported' && !importedPopulation ? 0.5 : 1,
+                    fontSize: '0.75rem'
+                  }}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '8px' }}>
+              {INITIALIZATION_MODES[initMode].description}
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '8px', color: '#94a3b8', fontSize: '0.7rem' }}>
+              Open age group
+              {MAX_AGE_OPTIONS.map(age => (
+                <button
+                  key={age}
+                  onClick={() => setMaxAge(age)}
+                  title={`Single ages 0–${age - 1}, survivors accumulate in ${age}+`}
+                  style={{
+                    padding: '3px 8px',
+                    borderRadius: '6px',
+                    border: maxAge === age ? '1px solid #6366f1' : '1px solid #2a2a35',
+                    background: maxAge === age ? '#6366f115' : 'transparent',
+                    color: maxAge === age ? '#818cf8' : '#94a3b8',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem'
+                  }}
+                >
+                  {age}+
+                </button>
+              ))}
+            </div>
+            <label style={{ display: 'block', marginTop: '8px', color: '#94a3b8', fontSize: '0.7rem', cursor: 'pointer' }}>
+              📂 Import population CSV
+              <input type="file" accept=".csv,.txt" onChange={e => importFiles(e.target.files)} style={{ display: 'none' }} />
+            </label>
+          </div>
+
+          {/* Country Data: empirical schedules from HMD / HFD / WPP files */}
+          <div style={{
+            background: '#111116',
+            borderRadius: '12px',
+            padding: '15px'
+          }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', marginBottom: '8px' }}>Country Data</h3>
+            <div style={{ color: '#64748b', fontSize: '0.7rem', marginBottom: '8px' }}>
+              Drop HMD, HFD or UN WPP files anywhere on the page: ASFR by age, life tables (mx or qx) by sex,
+              or population by age and sex. Imported data replace the parametric schedules.
+            </div>
+            <label style={{ display: 'inline-block', padding: '5px 10px', borderRadius: '6px', border: '1px solid #2a2a35', color: '#94a3b8', fontSize: '0.75rem', cursor: 'pointer' }}>
+              📂 Choose files
+              <input type="file" accept=".csv,.txt" multiple onChange={e => importFiles(e.target.files)} style={{ display: 'none' }} />
+            </label>
+            {[
+              empiricalFertility && {
+                key: 'fertility',
+                label: `${IMPORT_KINDS.fertility.label}: ${empiricalFertility.fileName}`,
+                detail: `${empiricalFertility.year ?? ''} TFR ${empiricalFertility.tfr.toFixed(2)}`,
+                onClear: () => setEmpiricalFertility(null)
+              },
+              empiricalMortality && {
+                key: 'lifeTable',
+                label: `${IMPORT_KINDS.lifeTable.label}: ${[empiricalMortality.femaleFile, empiricalMortality.maleFile].filter(Boolean).join(', ')}`,
+                detail: `${empiricalMortality.year ?? ''} ${empiricalMortality.female ? 'F' : ''}${empiricalMortality.male ? 'M' : ''}`,
+                onClear: () => setEmpiricalMortality(null)
+              },
+              importedPopulation && {
+                key: 'population',
+                label: `${IMPORT_KINDS.population.label}: ${importedPopulation.fileName ?? 'CSV'}`,
+                detail: `${importedPopulation.year ?? ''}`,
+                onClear: clearImportedPopulation
+              }
+            ].filter(Boolean).map(item => (
+              <div key={item.key} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '0.7rem' }}>
+                <span style={{ color: '#22c55e' }}>✓</span>
+                <span style={{ color: '#e2e8f0', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={item.label}>{item.label}</span>
+                <span style={{ color: '#64748b' }}>{item.detail}</span>
+                <button onClick={item.onClear} style={{ padding: '1px 6px', borderRadius: '4px', border: 'none', background: '#2a2a35', color: '#94a3b8', cursor: 'pointer', fontSize: '0.65rem' }}>✕</button>
+              </div>
+            ))}
+            {empiricalMortality && !(empiricalMortality.male && empiricalMortality.female) && (
+              <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '6px' }}>
+                {empiricalMortality.male ? 'Female' : 'Male'} mortality still follows the Siler model at the e₀ slider.
+              </div>
+            )}
+            {importErrors.length > 0 && (
+              <div style={{
+                marginTop: '8px',
+                padding: '8px 10px',
+                background: 'rgba(239, 68, 68, 0.1)',
+                border: '1px solid #ef4444',
+                borderRadius: '6px',
+                fontSize: '11px',
+                color: '#ef4444'
+              }}>
+                {Object.entries(importErrorsByColumn).map(([group, errors]) => (
+                  <div key={group} style={{ marginBottom: '4px' }}>
+                    <div style={{ fontWeight: 600 }}>{group}</div>
+                    {errors.slice(0, 3).map((err, i) => <div key={i}>{err.message}</div>)}
+                    {errors.length > 3 && <div>…and {errors.length - 3} more</div>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Advanced Mortality: custom or fitted Siler parameters per sex */}
+          <div style={{
+            background: '#111116',
+            borderRadius: '12px',
+            padding: '15px'
+          }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', marginBottom: '8px' }}>Advanced Mortality</h3>
+            {[
+              { title: 'Mortality law', options: MORTALITY_MODELS, value: mortalityModel, onSelect: setMortalityModel },
+              { title: 'Old-age closure', options: OLD_AGE_CLOSURES, value: oldAgeClosure, onSelect: setOldAgeClosure }
+            ].map(group => (
+              <div key={group.title} style={{ marginBottom: '8px' }}>
+                <div style={{ color: '#94a3b8', fontSize: '0.75rem', marginBottom: '4px' }}>{group.title}</div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                  {Object.entries(group.options).map(([key, spec]) => (
+                    <button
+                      key={key}
+                      onClick={() => group.onSelect(key)}
+                      title={spec.description}
+                      style={{
+                        padding: '4px 8px',
+                        borderRadius: '6px',
+                        border: group.value === key ? '1px solid #f97316' : '1px solid #2a2a35',
+                        background: group.value === key ? '#f9731615' : 'transparent',
+                        color: group.value === key ? '#fb923c' : '#94a3b8',
+                        cursor: 'pointer',
+                        fontSize: '0.7rem'
+                      }}
+                    >
+                      {spec.label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '4px' }}>{group.options[group.value].description}</div>
+              </div>
+            ))}
+            {Object.entries(MORTALITY_MODELS[mortalityModel].params).map(([key, spec]) => (
+              <label key={`${mortalityModel}-${key}`} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#94a3b8', fontSize: '0.7rem', marginBottom: '4px' }}>
+                <span style={{ width: '95px' }}>{spec.label}</span>
+                <input type="range" min={spec.min} max={spec.max} step={spec.step} value={activeMortalityModelParams[key]}
+                  onChange={e => setMortalityModelParam(key, Number(e.target.value))} style={{ flex: 1, accentColor: '#f97316' }} />
+                <span style={{ width: '45px', textAlign: 'right', color: '#e2e8f0' }}>{activeMortalityModelParams[key]}</span>
+              </label>
+            ))}
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#94a3b8', fontSize: '0.75rem', margin: '8px 0 4px', cursor: 'pointer' }}>
+              <input type="checkbox" checked={leeCarter} onChange={e => setLeeCarter(e.target.checked)} />
+              Lee–Carter improvement
+            </label>
+            {leeCarter && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#94a3b8', fontSize: '0.7rem', marginBottom: '4px' }}>
+                <span style={{ width: '95px' }}>k(t) drift / yr</span>
+                <input type="range" min={-3} max={0.5} step={0.1} value={leeCarterDrift}
+                  onChange={e => setLeeCarterDrift(Number(e.target.value))} style={{ flex: 1, accentColor: '#f97316' }} />
+                <span style={{ width: '45px', textAlign: 'right', color: '#e2e8f0' }}>{leeCarterDrift.toFixed(1)}</span>
+              </label>
+            )}
+            <div style={{ color: '#64748b', fontSize: '0.7rem', margin: '8px 0' }}>
+              Siler hazard μ(a) = α₁e^(−β₁a) + α₂ + α₃e^(β₃a) per sex. Edit the five parameters directly,
+              fit them to an imported life table, or rescale them to a target e₀ pair. Custom parameters
+              override the mortality law above.
+            </div>
+            {!silerParameters ? (
+              <button onClick={() => setSilerParameters(seedSilerParameters())}
+                style={{ padding: '5px 10px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: 'pointer', fontSize: '0.75rem' }}>
+                Edit Siler parameters (from e₀ = {lifeExpectancy})
+              </button>
+            ) : (
+              <>
+                <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr 1fr', gap: '4px 6px', alignItems: 'center', fontSize: '0.7rem' }}>
+                  <span />
+                  <span style={{ color: '#ec4899' }}>Female</span>
+                  <span style={{ color: '#3b82f6' }}>Male</span>
+                  {Object.entries(SILER_PARAMETERS).map(([key, spec]) => (
+                    <React.Fragment key={key}>
+                      <span style={{ color: '#94a3b8' }} title={spec.description}>{spec.label}</span>
+                      {['female', 'male'].map(sex => (
+                        // Uncontrolled so partial entries like "0.000" can be typed; committed on blur
+                        <input key={`${sex}-${silerParameters[sex][key]}`} type="number" step="any"
+                          defaultValue={Number(silerParameters[sex][key].toPrecision(4))}
+                          onBlur={e => updateSilerParameter(sex, key, Number(e.target.value))}
+                          onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                          style={{ width: '100%', background: '#1a1a22', color: '#f8fafc', border: '1px solid #333', borderRadius: '4px', padding: '2px 4px' }} />
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '10px', alignItems: 'center' }}>
+                  <button onClick={fitSilerToLifeTable} disabled={!empiricalMortality}
+                    title={empiricalMortality ? 'Least squares on ln mx' : 'Import a life table under Country Data first'}
+                    style={{ padding: '4px 8px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: empiricalMortality ? 'pointer' : 'not-allowed', opacity: empiricalMortality ? 1 : 0.5, fontSize: '0.7rem' }}>
+                    Fit to imported life table
+                  </button>
+                  <button onClick={resetSiler}
+                    style={{ padding: '4px 8px', borderRadius: '6px', border: 'none', background: '#2a2a35', color: '#94a3b8', cursor: 'pointer', fontSize: '0.7rem' }}>
+                    ✕ Back to e₀ slider
+                  </button>
+                </div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '8px', alignItems: 'center', fontSize: '0.7rem', color: '#94a3b8' }}>
+                  {['female', 'male'].map(sex => (
+                    <label key={sex}>
+                      e₀ {sex === 'female' ? '♀' : '♂'}{' '}
+                      <input type="number" min={20} max={100} step={0.5} value={silerTargets[sex]}
+                        onChange={e => setSilerTargets({ ...silerTargets, [sex]: Math.max(20, Math.min(100, Number(e.target.value))) })}
+                        style={{ width: '50px', background: '#1a1a22', color: '#f8fafc', border: '1px solid #333', borderRadius: '4px', padding: '2px 4px' }} />
+                    </label>
+                  ))}
+                  <button onClick={fitSilerToE0Pair}
+                    style={{ padding: '4px 8px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: 'pointer', fontSize: '0.7rem' }}>
+                    Fit to e₀ pair
+                  </button>
+                </div>
+                {silerFit && (
+                  <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '8px' }}>
+                    {['female', 'male'].filter(sex => silerFit[sex]).map(sex => (
+                      <div key={sex}>
+                        {sex === 'female' ? 'Female' : 'Male'}:{' '}
+                        {silerFit.source === 'lifeTable'
+                          ? `RMSE of ln mx ${silerFit[sex].rmse.toFixed(3)} over ${silerFit[sex].residuals.length} ages`
+                          : `e₀ ${silerFit[sex].e0.toFixed(2)} (target ${(silerFit[sex].e0 - silerFit[sex].residual).toFixed(1)}), α × ${silerFit[sex].scale.toFixed(3)}`}
+                      </div>
+                    ))}
+                    Residuals are plotted on the Mortality & Survival tab.
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          {/* Parity Progression: women tracked by children ever born */}
+          <div style={{
+            background: '#111116',
+            borderRadius: '12px',
+            padding: '15px'
+          }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', marginBottom: '8px' }}>Parity Progression</h3>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#94a3b8', fontSize: '0.75rem', marginBottom: '4px', cursor: 'pointer' }}>
+              <input type="checkbox" checked={parityModel} onChange={e => setParityModel(e.target.checked)} />
+              Track women by parity
+            </label>
+            <div style={{ color: '#64748b', fontSize: '0.7rem', marginBottom: '8px' }}>
+              Births come from women by number of children ever born, with parity progression ratios and a
+              birth-interval distribution. Replaces the TFR slider and fertility model; the peak age and spread
+              set the timing of first births.
+            </div>
+            {parityModel && (
+              <>
+                {PARITY_PARAMETERS.progression.map((spec, k) => (
+                  <label key={k} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#94a3b8', fontSize: '0.7rem', marginBottom: '4px' }}>
+                    <span style={{ width: '95px' }}>{spec.label}</span>
+                    <input type="range" min={0} max={1} step={0.01} value={parityProgression[k]}
+                      onChange={e => setParityProgression(parityProgression.map((a, i) => (i === k ? Number(e.target.value) : a)))}
+                      style={{ flex: 1, accentColor: '#ec4899' }} />
+                    <span style={{ width: '45px', textAlign: 'right', color: '#e2e8f0' }}>{parityProgression[k].toFixed(2)}</span>
+                  </label>
+                ))}
+                {Object.entries(PARITY_PARAMETERS.interval).map(([key, spec]) => (
+                  <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#94a3b8', fontSize: '0.7rem', marginBottom: '4px' }}>
+                    <span style={{ width: '95px' }}>{spec.label}</span>
+                    <input type="range" min={spec.min} max={spec.max} step={spec.step} value={birthInterval[key]}
+                      onChange={e => setBirthInterval({ ...birthInterval, [key]: Number(e.target.value) })}
+                      style={{ flex: 1, accentColor: '#06b6d4' }} />
+                    <span style={{ width: '45px', textAlign: 'right', color: '#e2e8f0' }}>{birthInterval[key].toFixed(1)}</span>
+                  </label>
+                ))}
+                <div style={{ color: '#64748b', fontSize: '0.7rem', margin: '8px 0' }}>
+                  First births: mean age {currentRates.params.peakAge.toFixed(1)}, SD {currentRates.params.spread.toFixed(1)}.
+                  Completed fertility at this year's hazards: {currentRates.fertilitySchedule.reduce((a, b) => a + b, 0).toFixed(3)}.
+                </div>
+                {displayedHistoryEntry?.completedParity && (() => {
+                  const entry = displayedHistoryEntry;
+                  const maxShare = Math.max(...entry.completedParity, 0.01);
+                  return (
+                    <div style={{ fontSize: '0.7rem', color: '#94a3b8' }}>
+                      <div>
+                        Period TFR {entry.periodTFR.toFixed(3)} by order: {entry.periodTFRByOrder.map((v, k) => `${k + 1}: ${v.toFixed(2)}`).join(' · ')}
+                      </div>
+                      <div style={{ marginTop: '4px' }}>
+                        Women leaving the fertile ages (year {entry.time}): mean {entry.completedFertility.toFixed(2)} children,
+                        {' '}{(entry.childlessness * 100).toFixed(1)}% childless
+                      </div>
+                      <svg width="100%" viewBox="0 0 240 70" style={{ marginTop: '4px' }}>
+                        {entry.completedParity.map((share, k) => (
+                          <g key={k}>
+                            <rect x={10 + k * 38} y={55 - (share / maxShare) * 45} width={30} height={(share / maxShare) * 45}
+                              fill={k === 0 ? '#64748b' : '#ec4899'} opacity="0.8" />
+                            <text x={25 + k * 38} y={52 - (share / maxShare) * 45} fill="#cbd5e1" fontSize="8" textAnchor="middle">
+                              {(share * 100).toFixed(0)}%
+                            </text>
+                            <text x={25 + k * 38} y={66} fill="#94a3b8" fontSize="8" textAnchor="middle">
+                              {k === MAX_PARITY ? `${k}+` : k}
+                            </text>
+                          </g>
+                        ))}
+                      </svg>
+                    </div>
+                  );
+                })()}
+              </>
+            )}
+          </div>
+
+          {/* Numerics: scheme and step size of the PDE solver, with a convergence check */}
+          <div style={{
+            background: '#111116',
+            borderRadius: '12px',
+            padding: '15px'
+          }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', marginBottom: '8px' }}>Numerics</h3>
+            {[
+              { title: 'Scheme', options: SOLVERS, value: solver, onSelect: setSolver },
+              { title: 'Time step', options: TIME_STEPS, value: substeps, onSelect: key => setSubsteps(Number(key)) }
+            ].map(group => (
+              <div key={group.title} style={{ marginBottom: '8px' }}>
+                <div style={{ color: '#94a3b8', fontSize: '0.75rem', marginBottom: '4px' }}>{group.title}</div>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                  {Object.entries(group.options).map(([key, spec]) => (
+                    <button
+                      key={key}
+                      onClick={() => group.onSelect(key)}
+                      title={spec.description}
+                      style={{
+                        padding: '4px 8px',
+                        borderRadius: '6px',
+                        border: String(group.value) === key ? '1px solid #14b8a6' : '1px solid #2a2a35',
+                        background: String(group.value) === key ? '#14b8a615' : 'transparent',
+                        color: String(group.value) === key ? '#2dd4bf' : '#94a3b8',
+                        cursor: 'pointer',
+                        fontSize: '0.7rem'
+                      }}
+                    >
+                      {spec.label}
+                    </button>
+                  ))}
+                </div>
+                <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '4px' }}>{group.options[group.value].description}</div>
+              </div>
+            ))}
+            <button
+              onClick={() => setConvergence({ model, ...compareResolutions(model.params) })}
+              title="Project 100 years under every scheme and step size"
+              style={{ padding: '5px 10px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: 'pointer', fontSize: '0.75rem' }}
+            >
+              Check convergence
+            </button>
+            {convergence?.model === model && (
+              <div style={{ marginTop: '8px', fontSize: '0.7rem' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', color: '#cbd5e1' }}>
+                  <thead>
+                    <tr style={{ color: '#64748b' }}>
+                      <th style={{ textAlign: 'left', fontWeight: 'normal' }}>Run</th>
+                      <th style={{ textAlign: 'right', fontWeight: 'normal' }}>P({convergence.years})</th>
+                      <th style={{ textAlign: 'right', fontWeight: 'normal' }}>Δ vs ref</th>
+                      <th style={{ textAlign: 'right', fontWeight: 'normal' }}>r − r*</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {convergence.runs.map(run => (
+                      <tr key={run.label} style={{ color: run.solver === solver && run.substeps === substeps ? '#2dd4bf' : undefined }}>
+                        <td>{run.label}</td>
+                        <td style={{ textAlign: 'right' }}>{Math.round(run.finalPopulation).toLocaleString()}</td>
+                        <td style={{ textAlign: 'right' }}>{(run.relativeError * 100).toFixed(3)}%</td>
+                        <td style={{ textAlign: 'right' }}>{run.growthError.toExponential(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div style={{ color: '#64748b', marginTop: '4px' }}>
+                  Reference: {convergence.reference}. r* = {(convergence.continuousR * 100).toFixed(4)}%/yr is the root of the
+                  continuous Lotka equation; r is the growth rate over the last decade. Upwind Euler errors shrink
+                  roughly in proportion to the step; the characteristics scheme is second order.
+                </div>
+              </div>
+            )}
+          </div>
+
           {/* Model Parameters */}
           <div style={{
             background: '#111116',
@@ -904,7 +1533,9 @@ const ReproductiveAgeExplorer = () => {
               max={6}
               step={0.1}
               equation="TFR = Σₐ β(a)"
-              description="Lifetime births per woman"
+              description={parityModel ? 'Not used — fertility comes from the parity progression ratios'
+                : isScheduled('totalFertility') ? 'Scheduled — see Parameter Schedules'
+                : empiricalFertility ? 'Rescales the imported ASFR pattern' : 'Lifetime births per woman'}
               color="#22c55e"
               marks={[
                 { value: 0.8, label: '0.8' },
@@ -934,7 +1565,12 @@ const ReproductiveAgeExplorer = () => {
               max={95}
               step={1}
               equation="e₀ = ∫l(a)da"
-              description="Expected years at birth"
+              description={silerParameters ? 'Custom Siler parameters in use — see Advanced Mortality'
+                : empiricalMortality?.male && empiricalMortality?.female
+                ? 'Imported life table in use — see Country Data'
+                : leeCarter ? `Year-0 level; Lee–Carter drift ${leeCarterDrift}/yr improves it`
+                : mortalityModel !== 'siler' ? `${MORTALITY_MODELS[mortalityModel].label} level solved for this female e₀`
+                : isScheduled('lifeExpectancy') ? 'Scheduled — see Parameter Schedules' : 'Expected years at birth'}
               color="#f97316"
               marks={[
                 { value: 30, label: '30' },
@@ -952,7 +1588,7 @@ const ReproductiveAgeExplorer = () => {
               max={0.6}
               step={0.005}
               equation={`SRB = ${(sexRatioBirth * 100).toFixed(1)}% F`}
-              description="Female fraction of births"
+              description={isScheduled('sexRatioBirth') ? 'Scheduled — see Parameter Schedules' : 'Female fraction of births'}
               color="#3b82f6"
               marks={[
                 { value: 0.4, label: '40%' },
@@ -961,8 +1597,103 @@ const ReproductiveAgeExplorer = () => {
               ]}
             />
 
+            {/* Birth function: one-sex or two-sex, with the partner age gap */}
+            <div>
+              <div style={{ color: '#94a3b8', fontSize: '0.75rem', marginBottom: '6px' }}>Birth Function</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                {Object.entries(TWO_SEX_MODELS).map(([key, spec]) => (
+                  <button
+                    key={key}
+                    onClick={() => setTwoSexModel(key)}
+                    title={spec.description}
+                    style={{
+                      padding: '4px 8px',
+                      borderRadius: '6px',
+                      border: twoSexModel === key ? '1px solid #3b82f6' : '1px solid #2a2a35',
+                      background: twoSexModel === key ? '#3b82f615' : 'transparent',
+                      color: twoSexModel === key ? '#60a5fa' : '#94a3b8',
+                      cursor: 'pointer',
+                      fontSize: '0.7rem'
+                    }}
+                  >
+                    {spec.label}
+                  </button>
+                ))}
+              </div>
+              <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '6px' }}>
+                {TWO_SEX_MODELS[twoSexModel].description}
+              </div>
+            </div>
+            {twoSexModel !== 'female' && (
+              <SliderControl
+                label="Partner Age Gap"
+                value={partnerAgeGap}
+                onChange={setPartnerAgeGap}
+                min={0}
+                max={10}
+                step={0.5}
+                equation={`men older by ${partnerAgeGap} yr (SD ${PARTNER_AGE_SD})`}
+                description="Mean age of male partners minus the woman's age"
+                color="#3b82f6"
+                marks={[
+                  { value: 0, label: '0' },
+                  { value: 3, label: '3' },
+                  { value: 10, label: '10' }
+                ]}
+              />
+            )}
+
+            {/* Fertility model family; non-Gaussian models bring their own sliders */}
+            <div>
+              <div style={{ color: '#94a3b8', fontSize: '0.75rem', marginBottom: '6px' }}>Fertility Model</div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                {Object.entries(FERTILITY_MODELS).map(([key, spec]) => (
+                  <button
+                    key={key}
+                    onClick={() => setFertilityModel(key)}
+                    title={spec.description}
+                    style={{
+                      padding: '4px 8px',
+                      borderRadius: '6px',
+                      border: fertilityModel === key ? '1px solid #ec4899' : '1px solid #2a2a35',
+                      background: fertilityModel === key ? '#ec489915' : 'transparent',
+                      color: fertilityModel === key ? '#f472b6' : '#94a3b8',
+                      cursor: 'pointer',
+                      fontSize: '0.7rem'
+                    }}
+                  >
+                    {spec.label}
+                  </button>
+                ))}
+              </div>
+              <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '6px' }}>
+                {empiricalFertility ? 'Imported ASFR in use — see Country Data' : FERTILITY_MODELS[fertilityModel].description}
+              </div>
+            </div>
+            {Object.entries(FERTILITY_MODELS[fertilityModel].params).map(([key, spec], i) => (
+              <SliderControl
+                key={`${fertilityModel}-${key}`}
+                label={spec.label}
+                value={activeFertilityModelParams[key]}
+                onChange={value => setFertilityModelParam(key, value)}
+                min={spec.min}
+                max={spec.max}
+                step={spec.step}
+                equation={`${FERTILITY_MODELS[fertilityModel].label}`}
+                description={fertilityModel === 'coaleTrussell' && i === 0
+                  ? `Implied level M = ${getCoaleTrussellLevel(activeFertilityModelParams, totalFertility, numAges).toFixed(3)}`
+                  : `Default ${spec.default}`}
+                color={['#ec4899', '#06b6d4', '#a855f7', '#f59e0b', '#22c55e'][i % 5]}
+                marks={[
+                  { value: spec.min, label: String(spec.min) },
+                  { value: spec.default, label: String(spec.default) },
+                  { value: spec.max, label: String(spec.max) }
+                ]}
+              />
+            ))}
+
             {/* Custom Scenario Controls - only show when custom is selected */}
-            {scenario === 'custom' && (
+            {scenario === 'custom' && (fertilityModel === 'gaussian' || parityModel) && (
               <>
                 {/* Peak Fertility Age Slider */}
                 <SliderControl
@@ -973,7 +1704,8 @@ const ReproductiveAgeExplorer = () => {
                   max={50}
                   step={1}
                   equation="μ (mode of fertility)"
-                  description="Age with highest fertility rate"
+                  description={isScheduled('peakAge') ? 'Scheduled — see Parameter Schedules'
+                    : parityModel ? 'Mean age at first birth (parity model)' : 'Age with highest fertility rate'}
                   color="#ec4899"
                   marks={[
                     { value: 15, label: '15' },
@@ -991,7 +1723,8 @@ const ReproductiveAgeExplorer = () => {
                   max={15}
                   step={0.5}
                   equation="σ (standard deviation)"
-                  description="Width of fertility curve"
+                  description={isScheduled('spread') ? 'Scheduled — see Parameter Schedules'
+                    : parityModel ? 'SD of age at first birth (parity model)' : 'Width of fertility curve'}
                   color="#06b6d4"
                   marks={[
                     { value: 2, label: '2' },
@@ -1014,9 +1747,62 @@ const ReproductiveAgeExplorer = () => {
               description="Starting population size"
               color="#8b5cf6"
               marks={[
-                { value: 1000, label: '1K' },
-                { value: 50000, label: '50K' },
-                { value: 100000, label: '100K' }
+                { value: 1000, label: '1K' },
+                { value: 50000, label: '50K' },
+                { value: 100000, label: '100K' }
+              ]}
+            />
+
+            {/* Net Migration */}
+            <div style={{ display: 'flex', gap: '4px' }}>
+              {Object.entries(MIGRATION_UNITS).map(([key, unit]) => (
+                <button
+                  key={key}
+                  onClick={() => changeMigrationUnit(key)}
+                  title={unit.description}
+                  style={{
+                    flex: 1,
+                    padding: '4px 6px',
+                    borderRadius: '4px',
+                    border: 'none',
+                    background: migrationUnit === key ? '#a855f7' : '#2a2a35',
+                    color: migrationUnit === key ? '#fff' : '#94a3b8',
+                    cursor: 'pointer',
+                    fontSize: '0.7rem'
+                  }}
+                >
+                  {unit.label}
+                </button>
+              ))}
+            </div>
+            <SliderControl
+              label="Net Migration"
+              value={netMigration}
+              onChange={setNetMigration}
+              {...migrationSliderRange}
+              equation={migrationUnit === 'rate' ? 'NMR (‰)' : 'I − E per year'}
+              description={isScheduled('netMigration') ? 'Scheduled — see Parameter Schedules' : MIGRATION_UNITS[migrationUnit].description}
+              color="#a855f7"
+              marks={[
+                { value: migrationSliderRange.min, label: String(migrationSliderRange.min) },
+                { value: 0, label: '0' },
+                { value: migrationSliderRange.max, label: String(migrationSliderRange.max) }
+              ]}
+            />
+            <SliderControl
+              label="Migrants Female Share"
+              value={migrantFemaleShare}
+              onChange={setMigrantFemaleShare}
+              min={0.2}
+              max={0.8}
+              step={0.05}
+              equation="Rogers–Castro by sex"
+              description="Female fraction of net migrants"
+              color="#a855f7"
+              marks={[
+                { value: 0.2, label: '20%' },
+                { value: 0.5, label: '50%' },
+                { value: 0.8, label: '80%' }
               ]}
             />
 
@@ -1139,6 +1925,17 @@ const ReproductiveAgeExplorer = () => {
               </div>
             </div>
           </div>
+
+          {/* Parameter Schedules */}
+          <ScheduleEditor
+            keyframes={activeSchedule.keyframes}
+            tempoEffect={activeSchedule.tempoEffect}
+            baseValues={{ totalFertility, lifeExpectancy, peakAge: params.peakAge, spread: params.spread, sexRatioBirth, netMigration }}
+            onChange={(keyframes) => updateActiveSchedule({ keyframes })}
+            onTempoEffectChange={(tempoEffect) => updateActiveSchedule({ tempoEffect })}
+            onRestorePreset={restorePresetSchedule}
+            color={scenarios[scenario].color}
+          />
         </div>
 
         {/* Right Main Content */}
@@ -1167,6 +1964,59 @@ const ReproductiveAgeExplorer = () => {
             <MetricBox label="e₀" value={`${actualE0.toFixed(1)} yr`} color="#f97316" />
           </div>
 
+          {/* Comparison Difference Table */}
+          {comparisonRuns.length > 0 && (() => {
+            const index = scrubIndex ?? history.length - 1;
+            const base = getRunMetrics(model, history, index);
+            const runs = comparisonRuns.map(run => ({ ...run, metrics: getRunMetrics(run.model, run.history, index) }));
+            const rows = [
+              { key: 'population', label: 'Population', format: v => v.toLocaleString('en-US', { maximumFractionDigits: 0 }) },
+              { key: 'growthRate', label: 'Growth Rate %/yr', format: v => v.toFixed(4) },
+              { key: 'intrinsicR', label: 'Intrinsic r %/yr', format: v => (v * 100).toFixed(4) },
+              { key: 'generationTime', label: 'Gen T̄', format: v => v.toFixed(1) },
+              { key: 'R0', label: 'R₀', format: v => v.toFixed(3) },
+              { key: 'dependencyRatio', label: 'Dep. Ratio', format: v => v.toFixed(2) },
+              { key: 'medianAge', label: 'Median Age', format: v => v.toFixed(0) },
+              { key: 'e0', label: 'e₀', format: v => v.toFixed(1) }
+            ];
+            const cellStyle = { padding: '4px 8px', textAlign: 'right' };
+            return base && (
+              <div style={{ background: '#111116', borderRadius: '12px', padding: '12px 15px', overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', color: '#94a3b8' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ ...cellStyle, textAlign: 'left', color: '#64748b' }}>Year {base.year}</th>
+                      <th style={{ ...cellStyle, color: '#6366f1' }}>{scenarios[scenario].name} (main)</th>
+                      {runs.map(run => (
+                        <th key={run.id} style={{ ...cellStyle, color: run.color }}>{scenarios[run.scenarioKey].name} (Δ vs main)</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => (
+                      <tr key={row.key} style={{ borderTop: '1px solid #2a2a35' }}>
+                        <td style={{ ...cellStyle, textAlign: 'left' }}>{row.label}</td>
+                        <td style={{ ...cellStyle, color: '#e2e8f0' }}>{row.format(base[row.key])}</td>
+                        {runs.map(run => {
+                          if (!run.metrics) return <td key={run.id} style={cellStyle}>–</td>;
+                          const diff = run.metrics[row.key] - base[row.key];
+                          return (
+                            <td key={run.id} style={{ ...cellStyle, color: '#e2e8f0' }}>
+                              {row.format(run.metrics[row.key])}{' '}
+                              <span style={{ color: diff > 0 ? '#22c55e' : diff < 0 ? '#ef4444' : '#64748b' }}>
+                                ({diff >= 0 ? '+' : '−'}{row.format(Math.abs(diff))})
+                              </span>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            );
+          })()}
+
           {/* Time Scrubber */}
           {history.length > 1 && (
             <div style={{
@@ -1240,10 +2090,15 @@ const ReproductiveAgeExplorer = () => {
               { id: 'age-dist', label: 'Age Distribution', icon: '📊' },
               { id: 'fertility', label: 'Fertility Schedule', icon: '👶' },
               { id: 'mortality', label: 'Mortality & Survival', icon: '📉' },
+              { id: 'sensitivity', label: 'Sensitivity', icon: '🎯' },
               { id: 'population', label: 'Population Over Time', icon: '📈' },
               { id: 'flows', label: 'Births & Deaths', icon: '↔️' },
               { id: 'dependency', label: 'Dependency Ratio', icon: '⚖️' },
-              { id: 'pyramid', label: 'Population Pyramid', icon: '🔺' }
+              { id: 'pyramid', label: 'Population Pyramid', icon: '🔺' },
+              { id: 'leslie', label: 'Leslie Matrix', icon: '🔢' },
+              { id: 'life-table', label: 'Life Table', icon: '📋' },
+              { id: 'lexis', label: 'Lexis Surface', icon: '🧬' },
+              { id: 'indicators', label: 'Fertility Indicators', icon: '📐' }
             ].map(tab => (
               <button
                 key={tab.id}
@@ -1305,10 +2160,14 @@ const ReproductiveAgeExplorer = () => {
             {selectedPlot === 'fertility' && (
               <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
                 <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '10px', flexShrink: 0 }}>
-                  Fertility Schedule β(a) — TFR = {totalFertility.toFixed(1)}
+                  Fertility Schedule β(a) & Reproductive Value v(a) — TFR = {currentRates.params.totalFertility.toFixed(1)}
+                  {fertilityModel !== 'gaussian' && !empiricalFertility && ` · ${FERTILITY_MODELS[fertilityModel].label}`}
+                  {currentRates.tempoShift !== 0 && ` (period ${debugInfo.periodTFR?.toFixed(2)}, peak shifting ${currentRates.tempoShift.toFixed(2)} yr/yr)`}
                 </h3>
                 {(() => {
                   const maxF = Math.max(...currentFertilitySchedule);
+                  const reproValue = stableAnalytics.reproductiveValue;
+                  const maxV = Math.max(...reproValue, 1e-9);
                   return (
                     <div style={{ flex: 1, minHeight: 0, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
                       <svg width="100%" height="100%" viewBox="0 0 400 140" preserveAspectRatio="xMidYMid meet">
@@ -1330,9 +2189,20 @@ const ReproductiveAgeExplorer = () => {
                       <text x="32" y="70" fill="#64748b" fontSize="7" textAnchor="end">{(maxF/2).toFixed(2)}</text>
                       <text x="32" y="118" fill="#64748b" fontSize="7" textAnchor="end">0</text>
                       <text x="8" y="70" fill="#94a3b8" fontSize="8" textAnchor="middle" transform="rotate(-90, 8, 70)">β(a)</text>
+                      <path
+                        d={reproValue.map((v, age) => {
+                          const x = 35 + (age / numAges) * 350;
+                          const y = 120 - (v / maxV) * 100;
+                          return `${age === 0 ? 'M' : 'L'} ${x} ${y}`;
+                        }).join(' ')}
+                        fill="none" stroke="#f8fafc" strokeWidth="1" strokeDasharray="4 2"
+                      />
+                      <text x="388" y="23" fill="#f8fafc" fontSize="7">{maxV.toFixed(2)}</text>
                       <text x={35 + (generationTime / numAges) * 350} y="12" fill={config.color} fontSize="9" textAnchor="middle">
                         T̄={generationTime.toFixed(0)}
                       </text>
+                      <text x="290" y="20" fill={config.color} fontSize="7">── β(a)</text>
+                      <text x="290" y="30" fill="#f8fafc" fontSize="7">╌╌ v(a), v(0) = 1</text>
                     </svg>
                     </div>
                   );
@@ -1376,8 +2246,58 @@ const ReproductiveAgeExplorer = () => {
                   <text x="8" y="70" fill="#22c55e" fontSize="8" textAnchor="middle" transform="rotate(-90, 8, 70)">l(a)</text>
                   <text x="305" y="20" fill="#22c55e" fontSize="7">── l(a)</text>
                   <text x="305" y="30" fill="#ef4444" fontSize="7">╌╌ μ(a) log</text>
+                  {/* Observed female mx behind a life-table Siler fit */}
+                  {silerFit?.source === 'lifeTable' && silerFit.female && (
+                    <>
+                      {silerFit.female.residuals.filter(r => r.age < numAges).map(r => (
+                        <circle key={r.age} cx={35 + (r.age / numAges) * 350}
+                          cy={Math.max(20, 120 - Math.min(Math.log10(r.observed + 0.0001) + 4, 3) * 33)}
+                          r="1" fill="#fbbf24" />
+                      ))}
+                      <text x="305" y="40" fill="#fbbf24" fontSize="7">• observed mx</text>
+                    </>
+                  )}
                 </svg>
                 </div>
+                {silerFit && (() => {
+                  const sexes = ['female', 'male'].filter(sex => silerFit[sex]);
+                  if (silerFit.source === 'e0') {
+                    return (
+                      <div style={{ flexShrink: 0, color: '#94a3b8', fontSize: '0.75rem', marginTop: '6px' }}>
+                        Siler fit to target e₀:{' '}
+                        {sexes.map(sex => `${sex === 'female' ? '♀' : '♂'} ${silerFit[sex].e0.toFixed(2)} (residual ${silerFit[sex].residual.toFixed(3)})`).join(' · ')}
+                      </div>
+                    );
+                  }
+                  // Log residuals ln μ̂(a) − ln m(a) by age, symmetric axis
+                  const points = sexes.flatMap(sex => silerFit[sex].residuals.filter(r => r.age < numAges));
+                  const bound = Math.max(0.25, ...points.map(r => Math.abs(r.residual)));
+                  const yOf = (residual) => 35 - (residual / bound) * 25;
+                  return (
+                    <div style={{ flexShrink: 0, marginTop: '6px' }}>
+                      <div style={{ color: '#94a3b8', fontSize: '0.75rem' }}>
+                        Siler fit residuals ln μ̂ − ln m —{' '}
+                        {sexes.map(sex => `${sex === 'female' ? '♀' : '♂'} RMSE ${silerFit[sex].rmse.toFixed(3)}`).join(' · ')}
+                      </div>
+                      <svg width="100%" height="70" viewBox="0 0 400 70" preserveAspectRatio="xMidYMid meet">
+                        <line x1="35" y1="35" x2="385" y2="35" stroke="#444" />
+                        <line x1="35" y1="10" x2="35" y2="60" stroke="#444" />
+                        <text x="32" y="13" fill="#64748b" fontSize="7" textAnchor="end">+{bound.toFixed(2)}</text>
+                        <text x="32" y="38" fill="#64748b" fontSize="7" textAnchor="end">0</text>
+                        <text x="32" y="62" fill="#64748b" fontSize="7" textAnchor="end">−{bound.toFixed(2)}</text>
+                        {sexes.map(sex => (
+                          <path key={sex}
+                            d={silerFit[sex].residuals.filter(r => r.age < numAges)
+                              .map((r, i) => `${i === 0 ? 'M' : 'L'} ${35 + (r.age / numAges) * 350} ${yOf(r.residual)}`).join(' ')}
+                            fill="none" stroke={sex === 'female' ? '#ec4899' : '#3b82f6'} strokeWidth="1" />
+                        ))}
+                        {[0, 25, 50, 75, 100].map(age => (
+                          <text key={age} x={35 + (age / numAges) * 350} y="69" fill="#64748b" fontSize="7" textAnchor="middle">{age}</text>
+                        ))}
+                      </svg>
+                    </div>
+                  );
+                })()}
               </div>
             )}
 
@@ -1388,15 +2308,20 @@ const ReproductiveAgeExplorer = () => {
                   Population Over Time — N = {totalPop.toLocaleString('en-US', {maximumFractionDigits: 0})}
                 </h3>
                 {(() => {
-                  const maxPop = yAxisRanges.population.max;
-                  const minPop = yAxisRanges.population.min;
+                  // Momentum counterfactual extends the time axis past the live year
+                  const cfPopulations = momentum ? momentum.populations.slice(0, momentumDisplayYears + 1) : [];
+                  const otherPopulations = [...cfPopulations, ...comparisonValues('population')];
+                  const maxPop = Math.max(yAxisRanges.population.max, ...otherPopulations.map(n => n * 1.05));
+                  const minPop = Math.min(yAxisRanges.population.min, ...otherPopulations.map(n => n * 0.95));
                   const plotWidth = 350;
-                  const tickInterval = time > 500 ? 100 : time > 200 ? 50 : time > 100 ? 25 : time > 50 ? 10 : 5;
+                  const xSpan = Math.max(history.length - 1, momentum ? momentum.startIndex + cfPopulations.length - 1 : 0, 1);
+                  const endTime = history[0] ? history[0].time + xSpan : time;
+                  const tickInterval = endTime > 500 ? 100 : endTime > 200 ? 50 : endTime > 100 ? 25 : endTime > 50 ? 10 : 5;
                   const ticks = [];
-                  for (let t = 0; t <= time; t += tickInterval) ticks.push(t);
-                  if (time > 0 && (ticks.length === 0 || ticks[ticks.length - 1] !== time)) ticks.push(time);
+                  for (let t = 0; t <= endTime; t += tickInterval) ticks.push(t);
+                  if (endTime > 0 && (ticks.length === 0 || ticks[ticks.length - 1] !== endTime)) ticks.push(endTime);
                   const scrubMarkerX = isViewingHistory && scrubIndex !== null
-                    ? 35 + (scrubIndex / Math.max(history.length - 1, 1)) * plotWidth 
+                    ? 35 + (scrubIndex / xSpan) * plotWidth 
                     : null;
                   
                   return (
@@ -1408,7 +2333,7 @@ const ReproductiveAgeExplorer = () => {
                       {history.length > 1 && (
                         <path
                           d={history.map((h, i) => {
-                            const x = 35 + (i / Math.max(history.length - 1, 1)) * plotWidth;
+                            const x = 35 + (i / xSpan) * plotWidth;
                             const range = maxPop - minPop || 1;
                             const y = 115 - ((h.population - minPop) / range) * 95;
                             return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
@@ -1416,6 +2341,25 @@ const ReproductiveAgeExplorer = () => {
                           fill="none" stroke="#6366f1" strokeWidth="1"
                         />
                       )}
+                      {comparisonRuns.map(run => (
+                        <path key={run.id}
+                          d={historyPath(run.history, h => 115 - ((h.population - minPop) / (maxPop - minPop || 1)) * 95, xSpan)}
+                          fill="none" stroke={run.color} strokeWidth="1"
+                        />
+                      ))}
+                      {momentum && (
+                        <>
+                          <path
+                            d={cfPopulations.map((n, i) => {
+                              const x = 35 + ((momentum.startIndex + i) / xSpan) * plotWidth;
+                              const y = 115 - ((n - minPop) / (maxPop - minPop || 1)) * 95;
+                              return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
+                            }).join(' ')}
+                            fill="none" stroke="#f59e0b" strokeWidth="1" strokeDasharray="4 2"
+                          />
+                          <text x="270" y="20" fill="#f59e0b" fontSize="7">╌╌ R₀ = 1 from year {momentum.startTime}</text>
+                        </>
+                      )}
                       {isViewingHistory && scrubMarkerX !== null && displayedHistoryEntry && (
                         <>
                           <line x1={scrubMarkerX} y1="20" x2={scrubMarkerX} y2="120" stroke="#f59e0b" strokeWidth="2" strokeDasharray="4 2" />
@@ -1425,13 +2369,12 @@ const ReproductiveAgeExplorer = () => {
                       <line x1="35" y1="120" x2="385" y2="120" stroke="#444" />
                       <line x1="35" y1="20" x2="35" y2="120" stroke="#444" />
                       {ticks.map((t, tickIdx) => {
-                        const historyIdx = history.findIndex(h => h.time === t);
-                        const xPos = historyIdx >= 0 ? 35 + (historyIdx / Math.max(history.length - 1, 1)) * plotWidth : null;
-                        return xPos !== null ? <text key={t} x={xPos} y="132" fill="#64748b" fontSize="8" textAnchor="middle">{t}</text> : null;
+                        const xPos = 35 + ((t - (history[0]?.time ?? 0)) / xSpan) * plotWidth;
+                        return <text key={t} x={xPos} y="132" fill="#64748b" fontSize="8" textAnchor="middle">{t}</text>;
                       })}
-                      <text x="32" y="23" fill="#64748b" fontSize="7" textAnchor="end">{maxPop.toLocaleString()}</text>
-                      <text x="32" y="70" fill="#64748b" fontSize="7" textAnchor="end">{((maxPop + minPop) / 2).toLocaleString()}</text>
-                      <text x="32" y="118" fill="#64748b" fontSize="7" textAnchor="end">{minPop.toLocaleString()}</text>
+                      <text x="32" y="23" fill="#64748b" fontSize="7" textAnchor="end">{maxPop.toLocaleString('en-US', {maximumFractionDigits: 0})}</text>
+                      <text x="32" y="70" fill="#64748b" fontSize="7" textAnchor="end">{((maxPop + minPop) / 2).toLocaleString('en-US', {maximumFractionDigits: 0})}</text>
+                      <text x="32" y="118" fill="#64748b" fontSize="7" textAnchor="end">{minPop.toLocaleString('en-US', {maximumFractionDigits: 0})}</text>
                       <text x="8" y="70" fill="#94a3b8" fontSize="8" textAnchor="middle" transform="rotate(-90, 8, 70)">N(t)</text>
                     </svg>
                     </div>
@@ -1444,10 +2387,13 @@ const ReproductiveAgeExplorer = () => {
             {selectedPlot === 'flows' && (
               <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
                 <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '10px', flexShrink: 0 }}>
-                  Births & Deaths Over Time — B={(displayedHistoryEntry?.births||0).toFixed(0)} D={(displayedHistoryEntry?.deaths||0).toFixed(0)}
+                  Births, Deaths & Migration Over Time — B={(displayedHistoryEntry?.births||0).toFixed(0)} D={(displayedHistoryEntry?.deaths||0).toFixed(0)} M={(displayedHistoryEntry?.netMigration||0).toFixed(0)}
                 </h3>
                 {(() => {
-                  const maxFlow = yAxisRanges.birthsDeath.max;
+                  const maxFlow = Math.max(yAxisRanges.birthsDeath.max, ...comparisonValues('births'), ...comparisonValues('deaths'));
+                  const minFlow = Math.min(yAxisRanges.birthsDeath.min, ...comparisonValues('netMigration'));
+                  const flowY = (v) => 115 - (((v || 0) - minFlow) / (maxFlow - minFlow)) * 95;
+                  const hasMigration = history.some(h => h.netMigration) || comparisonRuns.some(run => run.history.some(h => h.netMigration));
                   const plotWidth = 350;
                   const tickInterval = time > 500 ? 100 : time > 200 ? 50 : time > 100 ? 25 : time > 50 ? 10 : 5;
                   const ticks = [];
@@ -1465,7 +2411,7 @@ const ReproductiveAgeExplorer = () => {
                           <path
                             d={history.map((h, i) => {
                               const x = 35 + (i / Math.max(history.length - 1, 1)) * plotWidth;
-                              const y = 115 - ((h.births || 0) / maxFlow) * 95;
+                              const y = flowY(h.births);
                               return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
                             }).join(' ')}
                             fill="none" stroke="#22c55e" strokeWidth="1"
@@ -1473,13 +2419,29 @@ const ReproductiveAgeExplorer = () => {
                           <path
                             d={history.map((h, i) => {
                               const x = 35 + (i / Math.max(history.length - 1, 1)) * plotWidth;
-                              const y = 115 - ((h.deaths || 0) / maxFlow) * 95;
+                              const y = flowY(h.deaths);
                               return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
                             }).join(' ')}
                             fill="none" stroke="#ef4444" strokeWidth="1" strokeDasharray="4 2"
                           />
+                          {hasMigration && (
+                            <path d={historyPath(history, h => flowY(h.netMigration))}
+                              fill="none" stroke="#a855f7" strokeWidth="1" strokeDasharray="6 1 1 1" />
+                          )}
                         </>
                       )}
+                      {comparisonRuns.map(run => (
+                        <g key={run.id}>
+                          <path d={historyPath(run.history, h => flowY(h.births))}
+                            fill="none" stroke={run.color} strokeWidth="1" />
+                          <path d={historyPath(run.history, h => flowY(h.deaths))}
+                            fill="none" stroke={run.color} strokeWidth="1" strokeDasharray="1 2" />
+                          {hasMigration && (
+                            <path d={historyPath(run.history, h => flowY(h.netMigration))}
+                              fill="none" stroke={run.color} strokeWidth="1" strokeDasharray="6 1 1 1" opacity="0.7" />
+                          )}
+                        </g>
+                      ))}
                       {isViewingHistory && scrubMarkerX !== null && (
                         <line x1={scrubMarkerX} y1="20" x2={scrubMarkerX} y2="120" stroke="#f59e0b" strokeWidth="2" strokeDasharray="4 2" />
                       )}
@@ -1490,12 +2452,19 @@ const ReproductiveAgeExplorer = () => {
                         const xPos = historyIdx >= 0 ? 35 + (historyIdx / Math.max(history.length - 1, 1)) * plotWidth : null;
                         return xPos !== null ? <text key={t} x={xPos} y="132" fill="#64748b" fontSize="8" textAnchor="middle">{t}</text> : null;
                       })}
+                      {minFlow < 0 && (
+                        <>
+                          <line x1="35" y1={flowY(0)} x2="385" y2={flowY(0)} stroke="#333" strokeDasharray="2 2" />
+                          <text x="32" y={flowY(0) + 2} fill="#64748b" fontSize="7" textAnchor="end">0</text>
+                        </>
+                      )}
                       <text x="32" y="23" fill="#64748b" fontSize="7" textAnchor="end">{maxFlow.toFixed(0)}</text>
-                      <text x="32" y="70" fill="#64748b" fontSize="7" textAnchor="end">{(maxFlow/2).toFixed(0)}</text>
-                      <text x="32" y="118" fill="#64748b" fontSize="7" textAnchor="end">0</text>
+                      <text x="32" y="70" fill="#64748b" fontSize="7" textAnchor="end">{((maxFlow + minFlow) / 2).toFixed(0)}</text>
+                      <text x="32" y="118" fill="#64748b" fontSize="7" textAnchor="end">{minFlow.toFixed(0)}</text>
                       <text x="8" y="70" fill="#94a3b8" fontSize="8" textAnchor="middle" transform="rotate(-90, 8, 70)">Count</text>
                       <text x="320" y="20" fill="#22c55e" fontSize="7">── Births</text>
                       <text x="320" y="30" fill="#ef4444" fontSize="7">╌╌ Deaths</text>
+                      {hasMigration && <text x="320" y="40" fill="#a855f7" fontSize="7">─·─ Net migration</text>}
                     </svg>
                     </div>
                   );
@@ -1511,10 +2480,10 @@ const ReproductiveAgeExplorer = () => {
                 </h3>
                 {(() => {
                   const maxDep = history.length > 0 
-                    ? Math.max(...history.map(h => h.dependencyRatio || 0), 0.5)
+                    ? Math.max(...history.map(h => h.dependencyRatio || 0), ...comparisonValues('dependencyRatio'), 0.5)
                     : 1;
                   const minDep = history.length > 0 
-                    ? Math.min(...history.map(h => h.dependencyRatio || 0))
+                    ? Math.min(...history.map(h => h.dependencyRatio || 0), ...comparisonValues('dependencyRatio'))
                     : 0;
                   const plotWidth = 350;
                   const tickInterval = time > 500 ? 100 : time > 200 ? 50 : time > 100 ? 25 : time > 50 ? 10 : 5;
@@ -1536,6 +2505,12 @@ const ReproductiveAgeExplorer = () => {
                           fill="none" stroke="#ec4899" strokeWidth="1"
                         />
                       )}
+                      {comparisonRuns.map(run => (
+                        <path key={run.id}
+                          d={historyPath(run.history, h => 115 - ((h.dependencyRatio || 0) - minDep) / (maxDep - minDep || 1) * 95)}
+                          fill="none" stroke={run.color} strokeWidth="1"
+                        />
+                      ))}
                       <line x1="35" y1="120" x2="385" y2="120" stroke="#444" />
                       <line x1="35" y1="20" x2="35" y2="120" stroke="#444" />
                       {ticks.map((t, tickIdx) => {
@@ -1560,11 +2535,30 @@ const ReproductiveAgeExplorer = () => {
                 <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '10px', flexShrink: 0 }}>
                   Population Pyramid (Bigender) — Year {displayedHistoryEntry?.time ?? time}{isViewingHistory ? ' (history)' : ''}
                 </h3>
-                {(() => {
+                {comparisonRuns.length > 0 ? (() => {
+                  // Linked pyramids: every run at the displayed year, on a common scale
+                  const index = scrubIndex ?? history.length - 1;
+                  const runs = [
+                    { id: 'main', label: scenarios[scenario].name, color: '#6366f1', entry: history[index] },
+                    ...comparisonRuns.map(run => ({ id: run.id, label: run.label, color: run.color, entry: run.history[index] }))
+                  ].filter(run => run.entry);
+                  const maxPyramid = Math.max(...runs.flatMap(run => [...run.entry.maleDistribution, ...run.entry.femaleDistribution]), 1);
+                  return (
+                    <div style={{ flex: 1, minHeight: 0, display: 'grid', gridTemplateColumns: `repeat(${runs.length}, 1fr)`, gap: '8px' }}>
+                      {runs.map(run => (
+                        <MiniPyramid key={run.id} label={run.label} color={run.color} maxValue={maxPyramid}
+                          male={run.entry.maleDistribution} female={run.entry.femaleDistribution} />
+                      ))}
+                    </div>
+                  );
+                })() : (() => {
                   // Use actual tracked male/female populations
                   const femalePopulation = displayedFemaleDist.length > 0 ? displayedFemaleDist : displayedAgeDist.map(n => n * 0.5);
                   const malePopulation = displayedMaleDist.length > 0 ? displayedMaleDist : displayedAgeDist.map(n => n * 0.5);
                   const maxPyramid = Math.max(...femalePopulation, ...malePopulation, 100);
+                  // Women missing because of sex selection, by current age
+                  const missingFemale = displayedHistoryEntry?.missingFemaleDistribution ?? [];
+                  const hasMissing = missingFemale.some(n => Math.abs(n) > 1e-6);
                   
                   return (
                     <div style={{ flex: 1, minHeight: 0, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
@@ -1577,12 +2571,9 @@ const ReproductiveAgeExplorer = () => {
                         const female = femalePopulation[age] || 0;
                         const male = malePopulation[age] || 0;
                         
-                        // Skip ages beyond 100
-                        if (age >= 100) return null;
-                        
-                        // Position from bottom (age 0 at bottom, age 100 at top)
-                        const y = 260 - (age / 100) * 250;
-                        const barHeight = 2.5;
+                        // Position from bottom (age 0 at bottom, open group maxAge+ at top)
+                        const y = 260 - (age / numAges) * 250;
+                        const barHeight = 250 / numAges;
                         
                         // Scale bars
                         const femaleWidth = (female / maxPyramid) * 120;
@@ -1641,6 +2632,21 @@ const ReproductiveAgeExplorer = () => {
                               />
                             )}
                             
+                            {/* Missing women: dashed outline where the female bar would reach at the biological SRB */}
+                            {hasMissing && Math.abs(missingFemale[age] || 0) > 1e-6 && (
+                              <rect
+                                x={250 + Math.min(femaleWidth, femaleWidth + (missingFemale[age] / maxPyramid) * 120)}
+                                y={y}
+                                width={Math.abs(missingFemale[age] / maxPyramid) * 120}
+                                height={barHeight}
+                                fill="#f43f5e"
+                                fillOpacity="0.15"
+                                stroke="#f43f5e"
+                                strokeWidth="0.5"
+                                strokeDasharray="2,1"
+                              />
+                            )}
+
                             {/* Age label every 10 years */}
                             {age % 10 === 0 && (
                               <text 
@@ -1651,7 +2657,7 @@ const ReproductiveAgeExplorer = () => {
                                 textAnchor="middle"
                                 fontWeight="500"
                               >
-                                {age}
+                                {age === numAges - 1 ? `${age}+` : age}
                               </text>
                             )}
                           </g>
@@ -1669,7 +2675,7 @@ const ReproductiveAgeExplorer = () => {
                         <text x="40" y="51" fill="#94a3b8" fontSize="10">Females (dark = excess) e₀={femaleE0.toFixed(1)}</text>
                         
                         <text x="20" y="72" fill="#64748b" fontSize="9">
-                          Birth ratio: {(sexRatioBirth * 100).toFixed(1)}% F / {((1 - sexRatioBirth) * 100).toFixed(1)}% M
+                          Birth ratio: {((displayedHistoryEntry?.sexRatioBirth ?? sexRatioBirth) * 100).toFixed(1)}% F / {((1 - (displayedHistoryEntry?.sexRatioBirth ?? sexRatioBirth)) * 100).toFixed(1)}% M
                         </text>
                         <text x="20" y="84" fill="#64748b" fontSize="9">
                           {(() => {
@@ -1680,6 +2686,17 @@ const ReproductiveAgeExplorer = () => {
                             return `Pop: ${(totalF / total * 100).toFixed(1)}% F / ${(totalM / total * 100).toFixed(1)}% M`;
                           })()}
                         </text>
+                        <text x="20" y="96" fill="#64748b" fontSize="9">
+                          Men/woman at 20–29 (+{Math.round(partnerAgeGap)} yr): {(displayedHistoryEntry?.marriageSexRatio ?? 0).toFixed(3)}
+                        </text>
+                        {hasMissing && (
+                          <>
+                            <rect x="20" y="104" width="14" height="8" fill="#f43f5e" fillOpacity="0.15" stroke="#f43f5e" strokeWidth="0.5" strokeDasharray="2,1" />
+                            <text x="40" y="111" fill="#94a3b8" fontSize="9">
+                              Missing women: {missingFemale.reduce((a, b) => a + b, 0).toFixed(0)} alive, {(displayedHistoryEntry?.cumulativeMissingGirls ?? 0).toFixed(0)} girls since year 0
+                            </text>
+                          </>
+                        )}
                       </g>
                       
                       {/* Y-axis label */}
@@ -1690,7 +2707,670 @@ const ReproductiveAgeExplorer = () => {
                 })()}
               </div>
             )}
+
+            {/* Sensitivity & Elasticity */}
+            {selectedPlot === 'sensitivity' && sensitivityAnalysis && (
+              <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+                <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '10px', flexShrink: 0 }}>
+                  Sensitivity & Elasticity of λ and R₀ — year {time} rates (λ = {sensitivityAnalysis.ages.lambda.toFixed(5)}, R₀ = {sensitivityAnalysis.ages.R0.toFixed(3)})
+                </h3>
+                {oneSexNotice}
+                {(() => {
+                  const a = sensitivityAnalysis.ages;
+                  const rows = [
+                    { label: '∂λ/∂β(a)', values: a.lambdaFertility },
+                    { label: 'e_λ β(a)', values: a.lambdaFertilityElasticity },
+                    { label: '∂λ/∂P(a)', values: a.lambdaSurvival },
+                    { label: 'e_λ P(a)', values: a.lambdaSurvivalElasticity },
+                    { label: '∂R₀/∂β(a)', values: a.r0Fertility },
+                    { label: 'e_R₀ β(a)', values: a.r0FertilityElasticity },
+                    { label: '∂R₀/∂P(a)', values: a.r0Survival },
+                    { label: 'e_R₀ P(a)', values: a.r0SurvivalElasticity }
+                  ];
+                  const rowHeight = 12;
+                  return (
+                    <div style={{ flex: 1, minHeight: 0, display: 'flex', flexDirection: 'column', gap: '10px', overflowY: 'auto' }}>
+                      <svg width="100%" viewBox="0 0 400 112" preserveAspectRatio="xMidYMid meet" style={{ flexShrink: 0 }}>
+                      {rows.map((row, i) => {
+                        // Each row is shaded relative to its own largest magnitude
+                        const maxAbs = Math.max(...row.values.map(Math.abs), 1e-12);
+                        return (
+                          <g key={row.label}>
+                            <text x="48" y={8 + i * rowHeight + rowHeight / 2} fill="#94a3b8" fontSize="6" textAnchor="end">{row.label}</text>
+                            {row.values.map((value, age) => (
+                              <rect key={age} x={50 + (age / numAges) * 340} y={4 + i * rowHeight} width={340 / numAges + 0.1} height={rowHeight - 1}
+                                fill={value >= 0 ? '#14b8a6' : '#ef4444'} opacity={Math.abs(value) / maxAbs} />
+                            ))}
+                            <text x="392" y={8 + i * rowHeight + rowHeight / 2} fill="#64748b" fontSize="5">{maxAbs.toExponential(1)}</text>
+                          </g>
+                        );
+                      })}
+                      {[0, 15, 25, 35, 50, 75].map(age => (
+                        <text key={age} x={50 + (age / numAges) * 340} y={rows.length * rowHeight + 12} fill="#64748b" fontSize="6" textAnchor="middle">{age}</text>
+                      ))}
+                    </svg>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', color: '#94a3b8' }}>
+                        <thead>
+                          <tr style={{ color: '#64748b', textAlign: 'right' }}>
+                            <th style={{ textAlign: 'left', padding: '4px' }}>Parameter</th>
+                            <th style={{ padding: '4px' }}>Value</th>
+                            <th style={{ padding: '4px' }}>∂λ/∂θ</th>
+                            <th style={{ padding: '4px' }}>Elasticity of λ</th>
+                            <th style={{ padding: '4px' }}>∂R₀/∂θ</th>
+                            <th style={{ padding: '4px' }}>Elasticity of R₀</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {sensitivityAnalysis.parameters.map(p => (
+                            <tr key={p.key} style={{ borderTop: '1px solid #2a2a35', textAlign: 'right' }}>
+                              <td style={{ textAlign: 'left', padding: '4px', color: '#e2e8f0' }}>{SCHEDULABLE_PARAMS[p.key].label}</td>
+                              <td style={{ padding: '4px' }}>{p.value.toFixed(2)}</td>
+                              <td style={{ padding: '4px' }}>{p.dLambda.toExponential(3)}</td>
+                              <td style={{ padding: '4px', color: '#14b8a6' }}>{p.lambdaElasticity.toFixed(4)}</td>
+                              <td style={{ padding: '4px' }}>{p.dR0.toExponential(3)}</td>
+                              <td style={{ padding: '4px', color: '#14b8a6' }}>{p.r0Elasticity.toFixed(4)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  );
+                })()}
+              </div>
+            )}
+
+            {/* Life Table */}
+            {selectedPlot === 'life-table' && (
+              <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px', flexShrink: 0 }}>
+                  <h3 style={{ color: '#f8fafc', fontSize: '1rem', margin: 0 }}>
+                    Period Life Table — year {time} rates, e₀ = {(lifeTableSex === 'female' ? femaleE0 : maleE0).toFixed(2)}
+                  </h3>
+                  {['female', 'male'].map(sex => (
+                    <button
+                      key={sex}
+                      onClick={() => setLifeTableSex(sex)}
+                      style={{
+                        padding: '4px 10px',
+                        borderRadius: '6px',
+                        border: 'none',
+                        background: lifeTableSex === sex ? (sex === 'female' ? '#ec4899' : '#3b82f6') : '#2a2a35',
+                        color: lifeTableSex === sex ? '#fff' : '#94a3b8',
+                        cursor: 'pointer',
+                        fontSize: '0.75rem'
+                      }}
+                    >
+                      {sex === 'female' ? '♀ Female' : '♂ Male'}
+                    </button>
+                  ))}
+                  <button
+                    onClick={exportLifeTableCSV}
+                    style={{ marginLeft: 'auto', padding: '4px 10px', borderRadius: '6px', border: 'none', background: '#06b6d4', color: '#fff', cursor: 'pointer', fontSize: '0.75rem' }}
+                  >
+                    📋 Export CSV
+                  </button>
+                </div>
+                {(() => {
+                  const table = lifeTableSex === 'female' ? currentRates.femaleLifeTable : currentRates.maleLifeTable;
+                  const lastAge = table.length - 1;
+                  const { column, direction } = lifeTableSort;
+                  const rows = [...table].sort((a, b) => (a[column] - b[column]) * direction);
+                  const format = (key, value) => {
+                    if (key === 'mx' || key === 'qx') return value.toExponential(4);
+                    if (key === 'lx' || key === 'dx' || key === 'Lx' || key === 'Tx') return value.toLocaleString('en-US', { maximumFractionDigits: 0 });
+                    return value.toFixed(2);
+                  };
+                  return (
+                    <div style={{ flex: 1, minHeight: 0, overflowY: 'auto' }}>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', color: '#94a3b8', fontFamily: 'monospace' }}>
+                        <thead style={{ position: 'sticky', top: 0, background: '#111116' }}>
+                          <tr style={{ color: '#64748b', textAlign: 'right' }}>
+                            {LIFE_TABLE_COLUMNS.map(key => (
+                              <th key={key} onClick={() => sortLifeTable(key)}
+                                style={{ padding: '4px', cursor: 'pointer', color: column === key ? '#f8fafc' : '#64748b', whiteSpace: 'nowrap' }}>
+                                {key === 'age' ? 'x' : key}{column === key ? (direction > 0 ? ' ▲' : ' ▼') : ''}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {rows.map(row => (
+                            <tr key={row.age} style={{ borderTop: '1px solid #2a2a35', textAlign: 'right' }}>
+                              <td style={{ padding: '3px 4px', color: '#e2e8f0' }}>{row.age === lastAge ? `${row.age}+` : row.age}</td>
+                              {LIFE_TABLE_COLUMNS.slice(1).map(key => (
+                                <td key={key} style={{ padding: '3px 4px', color: key === 'ex' ? '#f97316' : undefined }}>{format(key, row[key])}</td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  );
+                })()}
+              </div>
+            )}
+
+            {/* Leslie Matrix */}
+            {/* Lexis surface: age × time heatmap with cohort diagonals */}
+            {/* Fertility Indicators */}
+            {selectedPlot === 'indicators' && (
+              <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0, overflowY: 'auto' }}>
+                <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '10px', flexShrink: 0 }}>
+                  Fertility Indicators — observed TFR {(displayedHistoryEntry?.observedTFR || 0).toFixed(3)}, tempo-adjusted {displayedHistoryEntry?.tempoAdjustedTFR?.toFixed(3) ?? '–'}, MAC {(displayedHistoryEntry?.meanAgeAtChildbearing || 0).toFixed(2)} ({(displayedHistoryEntry?.macChange || 0) >= 0 ? '+' : ''}{(displayedHistoryEntry?.macChange || 0).toFixed(3)} yr/yr)
+                </h3>
+                {(() => {
+                  const plotWidth = 350;
+                  const span = Math.max(history.length - 1, 1);
+                  const xOf = (i) => 35 + (i / span) * plotWidth;
+                  // Path through a field, broken where it is undefined
+                  const fieldPath = (entries, field, yOf) => {
+                    let pen = 'M';
+                    return entries.map((h, i) => {
+                      if (h[field] === null || h[field] === undefined) {
+                        pen = 'M';
+                        return '';
+                      }
+                      const segment = `${pen} ${xOf(i)} ${yOf(h[field])}`;
+                      pen = 'L';
+                      return segment;
+                    }).join(' ');
+                  };
+                  const tickInterval = time > 500 ? 100 : time > 200 ? 50 : time > 100 ? 25 : time > 50 ? 10 : 5;
+                  const ticks = [];
+                  for (let t = 0; t <= time; t += tickInterval) ticks.push(t);
+                  if (time > 0 && (ticks.length === 0 || ticks[ticks.length - 1] !== time)) ticks.push(time);
+                  const scrubMarkerX = isViewingHistory && scrubIndex !== null ? xOf(scrubIndex) : null;
+                  const values = (fields) => history.flatMap(h => fields.map(field => h[field])).filter(v => v !== null && v !== undefined);
+
+                  // Each panel: { title, series: [{ field, label, color, dash }], comparison, digits }
+                  const panels = [
+                    {
+                      title: 'TFR',
+                      series: [
+                        { field: 'periodTFR', label: 'Σβ(a) input', color: '#f59e0b', dash: '4 2' },
+                        { field: 'observedTFR', label: 'Observed period', color: '#14b8a6' },
+                        { field: 'tempoAdjustedTFR', label: 'Bongaarts–Feeney', color: '#a855f7' },
+                        { field: 'cohortTFR', label: `Cohort (t−${FERTILE_AGE_MAX})`, color: '#22c55e', dash: '1 2' }
+                      ],
+                      comparison: 'observedTFR',
+                      digits: 2
+                    },
+                    {
+                      title: 'Per 1000',
+                      series: [
+                        { field: 'generalFertilityRate', label: `GFR (women ${FERTILE_AGE_MIN}–${FERTILE_AGE_MAX - 1})`, color: '#ec4899' },
+                        { field: 'crudeBirthRate', label: 'CBR (population)', color: '#6366f1' }
+                      ],
+                      comparison: 'crudeBirthRate',
+                      digits: 1
+                    },
+                    {
+                      title: 'MAC',
+                      series: [{ field: 'meanAgeAtChildbearing', label: 'Mean age at childbearing', color: '#06b6d4' }],
+                      comparison: 'meanAgeAtChildbearing',
+                      digits: 1
+                    }
+                  ];
+
+                  return panels.map(({ title, series, comparison, digits }) => {
+                    const own = values(series.map(s => s.field));
+                    const others = comparisonRuns.flatMap(run => run.history.map(h => h[comparison])).filter(v => v !== null && v !== undefined);
+                    let min = Math.min(...own, ...others);
+                    let max = Math.max(...own, ...others);
+                    if (!Number.isFinite(min)) { min = 0; max = 1; }
+                    const pad = Math.max((max - min) * 0.1, 0.05 * Math.abs(max), 0.01);
+                    min -= pad;
+                    max += pad;
+                    const yOf = (v) => 90 - ((v - min) / (max - min)) * 80;
+                    return (
+                      <svg key={title} width="100%" viewBox="0 0 400 110" preserveAspectRatio="xMidYMid meet" style={{ flexShrink: 0 }}>
+                        {history.length > 1 && series.map(s => (
+                          <path key={s.field} d={fieldPath(history, s.field, yOf)}
+                            fill="none" stroke={s.color} strokeWidth="1" strokeDasharray={s.dash} />
+                        ))}
+                        {comparisonRuns.map(run => (
+                          <path key={run.id} d={fieldPath(run.history, comparison, yOf)}
+                            fill="none" stroke={run.color} strokeWidth="1" opacity="0.7" />
+                        ))}
+                        {scrubMarkerX !== null && (
+                          <line x1={scrubMarkerX} y1="10" x2={scrubMarkerX} y2="90" stroke="#f59e0b" strokeWidth="2" strokeDasharray="4 2" />
+                        )}
+                        <line x1="35" y1="90" x2="385" y2="90" stroke="#444" />
+                        <line x1="35" y1="10" x2="35" y2="90" stroke="#444" />
+                        {ticks.map(t => {
+                          const historyIdx = history.findIndex(h => h.time === t);
+                          return historyIdx >= 0 ? <text key={t} x={xOf(historyIdx)} y="100" fill="#64748b" fontSize="7" textAnchor="middle">{t}</text> : null;
+                        })}
+                        <text x="32" y="13" fill="#64748b" fontSize="7" textAnchor="end">{max.toFixed(digits)}</text>
+                        <text x="32" y="52" fill="#64748b" fontSize="7" textAnchor="end">{((max + min) / 2).toFixed(digits)}</text>
+                        <text x="32" y="90" fill="#64748b" fontSize="7" textAnchor="end">{min.toFixed(digits)}</text>
+                        <text x="8" y="50" fill="#94a3b8" fontSize="8" textAnchor="middle" transform="rotate(-90, 8, 50)">{title}</text>
+                        {series.map((s, i) => (
+                          <text key={s.field} x={40 + i * 86} y="8" fill={s.color} fontSize="6">
+                            {s.dash ? '╌╌' : '──'} {s.label}
+                          </text>
+                        ))}
+                      </svg>
+                    );
+                  });
+                })()}
+                <div style={{ color: '#64748b', fontSize: '0.7rem', marginTop: '6px', lineHeight: 1.5 }}>
+                  Observed rates divide each year's simulated births by the women's person-years at each age; they differ from Σβ(a)
+                  when births depend on partners (two-sex birth functions). Tempo-adjusted TFR* = TFR / (1 − r), with r the change
+                  in mean age at childbearing since the previous year; it is left blank when r ≥ {MAX_TEMPO_SHIFT}.
+                </div>
+              </div>
+            )}
+
+            {selectedPlot === 'lexis' && lexisSurface && (
+              <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0, overflowY: 'auto' }}>
+                <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '10px', flexShrink: 0 }}>
+                  Lexis Surface — population by age and year{lexisCohort !== null ? `, cohort born ${lexisCohort}` : ' (click a cell to follow its cohort)'}
+                </h3>
+                {(() => {
+                  const { columns, ageStride, ages, max } = lexisSurface;
+                  const startTime = columns[0].time;
+                  const endTime = Math.max(history[history.length - 1].time, startTime + 1);
+                  const xOf = (t) => 35 + ((t - startTime) / (endTime - startTime)) * 350;
+                  const yOf = (age) => 170 - (age / ages) * 160;
+                  const cellWidth = 350 / columns.length + 0.1;
+                  const cellHeight = (160 / ages) * ageStride + 0.1;
+                  // Dark violet (few) to amber (many)
+                  const color = (value) => {
+                    const v = max > 0 ? value / max : 0;
+                    return `hsl(${260 - 220 * v}, 75%, ${12 + 48 * v}%)`;
+                  };
+                  // Cohort diagonal from its first to its last year in view
+                  const diagonal = (birthYear) => {
+                    const from = Math.max(startTime, birthYear);
+                    const to = Math.min(endTime, birthYear + ages);
+                    return to > from ? { x1: xOf(from), y1: yOf(from - birthYear), x2: xOf(to), y2: yOf(to - birthYear) } : null;
+                  };
+                  const guides = [];
+                  for (let b = Math.ceil((startTime - ages) / 10) * 10; b <= endTime; b += 10) guides.push(b);
+                  const selected = lexisCohort !== null ? diagonal(lexisCohort) : null;
+                  const timeTicks = [0, 0.25, 0.5, 0.75, 1].map(f => Math.round(startTime + f * (endTime - startTime)));
+
+                  return (
+                    <svg width="100%" viewBox="0 0 400 190" preserveAspectRatio="xMidYMid meet" style={{ flexShrink: 0 }}>
+                      {columns.map((column, i) => column.cells.map((value, j) => (
+                        <rect key={`${i}-${j}`} x={35 + i * (350 / columns.length)} y={yOf((j + 1) * ageStride)}
+                          width={cellWidth} height={cellHeight} fill={color(value)}
+                          style={{ cursor: 'pointer' }}
+                          onClick={() => setLexisCohort(column.time - Math.min(j * ageStride + Math.floor(ageStride / 2), ages - 1))}>
+                          <title>{`Year ${column.time}, age ${j * ageStride}${ageStride > 1 ? `–${j * ageStride + ageStride - 1}` : ''}: ${value.toFixed(1)}`}</title>
+                        </rect>
+                      )))}
+                      {guides.map(b => {
+                        const line = diagonal(b);
+                        return line && <line key={b} {...line} stroke="#ffffff" strokeOpacity="0.15" strokeWidth="0.5" pointerEvents="none" />;
+                      })}
+                      {selected && <line {...selected} stroke="#f8fafc" strokeWidth="1.5" pointerEvents="none" />}
+                      <line x1="35" y1="170" x2="385" y2="170" stroke="#444" />
+                      <line x1="35" y1="10" x2="35" y2="170" stroke="#444" />
+                      {timeTicks.map(t => (
+                        <text key={t} x={xOf(t)} y="180" fill="#64748b" fontSize="7" textAnchor="middle">{t}</text>
+                      ))}
+                      {[0, 20, 40, 60, 80, 100].filter(age => age <= ages).map(age => (
+                        <text key={age} x="31" y={yOf(age) + 2} fill="#64748b" fontSize="7" textAnchor="end">{age}</text>
+                      ))}
+                      <text x="8" y="90" fill="#94a3b8" fontSize="8" textAnchor="middle" transform="rotate(-90, 8, 90)">Age</text>
+                      <text x="210" y="189" fill="#94a3b8" fontSize="7" textAnchor="middle">Year (diagonals: cohorts every 10 years)</text>
+                    </svg>
+                  );
+                })()}
+                {cohortHistory && cohortHistory.points.length > 0 && (() => {
+                  const { points, firstAge, ctfr, complete, peakSize, birthYear } = cohortHistory;
+                  const lastAge = points[points.length - 1].age;
+                  const ageSpan = Math.max(lastAge - firstAge, 1);
+                  // Three small panels side by side, each over the cohort's observed ages
+                  const panel = (index, values, maxValue) => points.map((point, i) => {
+                    const x = 10 + index * 130 + ((point.age - firstAge) / ageSpan) * 115;
+                    const y = 75 - (values(point) / (maxValue || 1)) * 60;
+                    return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
+                  }).join(' ');
+                  const fertile = points.filter(point => point.age <= FERTILE_AGE_MAX);
+                  const maxFertility = Math.max(ctfr, ...fertile.map(point => point.cumulativeFertility), 0.1);
+                  return (
+                    <div style={{ flexShrink: 0, marginTop: '8px' }}>
+                      <div style={{ color: '#94a3b8', fontSize: '0.8rem' }}>
+                        Cohort born in year {birthYear}{firstAge > 0 ? ` (in view from age ${firstAge})` : ''}:
+                        {' '}CTFR {ctfr.toFixed(3)}{complete ? '' : ` so far (age ${lastAge})`}, peak size {peakSize.toFixed(0)}
+                        {' '}<button onClick={() => setLexisCohort(null)}
+                          style={{ padding: '2px 8px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: 'pointer', fontSize: '0.7rem' }}>
+                          Clear
+                        </button>
+                      </div>
+                      <svg width="100%" viewBox="0 0 400 90" preserveAspectRatio="xMidYMid meet">
+                        {['Cohort size', `Survival from age ${firstAge}`, 'Births per woman'].map((title, index) => (
+                          <g key={title}>
+                            <text x={10 + index * 130} y="10" fill="#94a3b8" fontSize="7">{title}</text>
+                            <line x1={10 + index * 130} y1="75" x2={125 + index * 130} y2="75" stroke="#444" />
+                            <text x={10 + index * 130} y="84" fill="#64748b" fontSize="6">{firstAge}</text>
+                            <text x={125 + index * 130} y="84" fill="#64748b" fontSize="6" textAnchor="end">{lastAge}</text>
+                          </g>
+                        ))}
+                        <path d={panel(0, point => point.size, peakSize)} fill="none" stroke="#6366f1" strokeWidth="1" />
+                        <path d={panel(1, point => point.femaleSurvival, 1)} fill="none" stroke="#ec4899" strokeWidth="1" />
+                        <path d={panel(1, point => point.maleSurvival, 1)} fill="none" stroke="#3b82f6" strokeWidth="1" />
+                        <path d={panel(2, point => (point.age <= FERTILE_AGE_MAX ? point.cumulativeFertility : ctfr), maxFertility)}
+                          fill="none" stroke="#22c55e" strokeWidth="1" />
+                        <text x="270" y="18" fill="#64748b" fontSize="6">CTFR {ctfr.toFixed(2)}</text>
+                        <text x="140" y="18" fill="#ec4899" fontSize="6">♀ {points[points.length - 1].femaleSurvival.toFixed(3)}</text>
+                        <text x="175" y="18" fill="#3b82f6" fontSize="6">♂ {points[points.length - 1].maleSurvival.toFixed(3)}</text>
+                      </svg>
+                    </div>
+                  );
+                })()}
+              </div>
+            )}
+
+            {selectedPlot === 'leslie' && leslieAnalysis && (
+              <div style={{ flex: 1, display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px', flexShrink: 0 }}>
+                  <h3 style={{ color: '#f8fafc', fontSize: '1rem', margin: 0 }}>
+                    Two-Sex Leslie Matrix — year {time} rates ({leslieAnalysis.leslie.size}×{leslieAnalysis.leslie.size})
+                  </h3>
+                  <button
+                    onClick={exportLeslieCSV}
+                    style={{ marginLeft: 'auto', padding: '4px 10px', borderRadius: '6px', border: 'none', background: '#06b6d4', color: '#fff', cursor: 'pointer', fontSize: '0.75rem' }}
+                  >
+                    📋 Export CSV
+                  </button>
+                </div>
+                {oneSexNotice}
+                {(() => {
+                  const { leslie, entries, eigenvalues, subdominant } = leslieAnalysis;
+                  const cell = 120 / leslie.size;
+                  const maxEntry = Math.max(...entries.map(e => e.value));
+                  // Complex plane: unit circle scaled to radius 50 around (220, 70)
+                  const cx = 220;
+                  const cy = 70;
+                  const scale = 50 / Math.max(1, ...eigenvalues.map(e => e.modulus));
+                  const maxStable = Math.max(...leslieAnalysis.stableFemale, ...leslieAnalysis.stableMale, 1e-12);
+                  const maxRepro = Math.max(...leslieAnalysis.reproductiveValueFemale, 1e-12);
+                  // Ages 0 … maxAge+ span the 100-unit w(a), v(a) panel whatever the open age
+                  const ageX = (age) => 290 + (age / Math.max(leslie.numAges - 1, 1)) * 100;
+                  return (
+                    <div style={{ flex: 1, minHeight: 0, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                      <svg width="100%" height="100%" viewBox="0 0 400 140" preserveAspectRatio="xMidYMid meet">
+                      {/* Non-zero entries, shaded by log magnitude */}
+                      <rect x="10" y="10" width="120" height="120" fill="#0a0a0e" stroke="#2a2a35" />
+                      <line x1="70" y1="10" x2="70" y2="130" stroke="#2a2a35" strokeDasharray="2 2" />
+                      <line x1="10" y1="70" x2="130" y2="70" stroke="#2a2a35" strokeDasharray="2 2" />
+                      {entries.map(({ row, col, value }) => (
+                        <rect key={`${row}-${col}`} x={10 + col * cell} y={10 + row * cell} width={Math.max(cell, 0.8)} height={Math.max(cell, 0.8)}
+                          fill={row === 0 || row === leslie.numAges ? '#ec4899' : '#22c55e'}
+                          opacity={0.3 + 0.7 * Math.max(0, 1 + Math.log10(value / maxEntry) / 4)} />
+                      ))}
+                      <text x="40" y="8" fill="#64748b" fontSize="6" textAnchor="middle">F</text>
+                      <text x="100" y="8" fill="#64748b" fontSize="6" textAnchor="middle">M</text>
+                      <text x="70" y="138" fill="#64748b" fontSize="6" textAnchor="middle">■ fertility  ■ survival</text>
+
+                      {/* Eigenvalues in the complex plane */}
+                      <circle cx={cx} cy={cy} r={scale} fill="none" stroke="#2a2a35" strokeDasharray="2 2" />
+                      <line x1={cx - 55} y1={cy} x2={cx + 55} y2={cy} stroke="#2a2a35" />
+                      <line x1={cx} y1={cy - 55} x2={cx} y2={cy + 55} stroke="#2a2a35" />
+                      {eigenvalues.map((e, i) => (
+                        <circle key={i} cx={cx + e.re * scale} cy={cy - e.im * scale} r={i === 0 ? 2.5 : 1.5}
+                          fill={i === 0 ? '#f59e0b' : subdominant && Math.abs(e.modulus - subdominant.modulus) < 1e-9 ? '#ec4899' : '#6366f1'} />
+                      ))}
+                      <text x={cx} y="136" fill="#64748b" fontSize="6" textAnchor="middle">eigenvalues (|λ| = 1 dashed)</text>
+
+                      {/* Stable structure and reproductive value */}
+                      <line x1="290" y1="60" x2="390" y2="60" stroke="#444" />
+                      <path
+                        d={leslieAnalysis.stableFemale.map((w, a) => `${a === 0 ? 'M' : 'L'} ${ageX(a)} ${60 - (w / maxStable) * 45}`).join(' ')}
+                        fill="none" stroke="#f97316" strokeWidth="1"
+                      />
+                      <path
+                        d={leslieAnalysis.stableMale.map((w, a) => `${a === 0 ? 'M' : 'L'} ${ageX(a)} ${60 - (w / maxStable) * 45}`).join(' ')}
+                        fill="none" stroke="#3b82f6" strokeWidth="1"
+                      />
+                      <path
+                        d={leslieAnalysis.reproductiveValueFemale.map((v, a) => `${a === 0 ? 'M' : 'L'} ${ageX(a)} ${60 - (v / maxRepro) * 45}`).join(' ')}
+                        fill="none" stroke="#f8fafc" strokeWidth="1" strokeDasharray="3 2"
+                      />
+                      <text x="290" y="10" fill="#94a3b8" fontSize="6">w(a): <tspan fill="#f97316">F</tspan> <tspan fill="#3b82f6">M</tspan>  <tspan fill="#f8fafc">╌ v(a) F</tspan></text>
+                      <text x="290" y="76" fill="#f59e0b" fontSize="7">λ₁ = {leslieAnalysis.lambda.toFixed(5)} (r = {(leslieAnalysis.r * 100).toFixed(3)}%)</text>
+                      <text x="290" y="88" fill="#ec4899" fontSize="7">|λ₂| = {subdominant ? subdominant.modulus.toFixed(5) : '–'}</text>
+                      <text x="290" y="100" fill="#94a3b8" fontSize="7">Damping ρ = λ₁/|λ₂| = {Number.isFinite(leslieAnalysis.dampingRatio) ? leslieAnalysis.dampingRatio.toFixed(4) : '∞'}</text>
+                      <text x="290" y="112" fill="#94a3b8" fontSize="7">Period 2π/θ₂ = {Number.isFinite(leslieAnalysis.period) ? `${leslieAnalysis.period.toFixed(1)} yr` : '–'}</text>
+                      <text x="290" y="124" fill="#94a3b8" fontSize="7">Transient ÷10 in {Number.isFinite(leslieAnalysis.convergenceTime) ? `${leslieAnalysis.convergenceTime.toFixed(0)} yr` : '–'}</text>
+                    </svg>
+                    </div>
+                  );
+                })()}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Stable Population Analytics */}
+        <div style={{
+          background: '#111116',
+          borderRadius: '12px',
+          padding: '15px 20px'
+        }}>
+          <h3 style={{ color: '#f8fafc', fontSize: '1rem', marginBottom: '12px' }}>
+            🧮 Stable Population Analytics — year {time} rates
+          </h3>
+          {oneSexNotice}
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+            gap: '10px'
+          }}>
+            <MetricBox label="Lotka r (exact)" value={`${(stableAnalytics.r * 100).toFixed(4)}%/yr`}
+              color={stableAnalytics.r > 0.001 ? '#22c55e' : stableAnalytics.r < -0.001 ? '#ef4444' : '#f59e0b'} />
+            <MetricBox label="ln(R₀)/T̄ approx." value={`${(generationTime > 0 ? Math.log(netReproductionRate) / generationTime * 100 : 0).toFixed(4)}%/yr`} color="#94a3b8" />
+            <MetricBox label="λ = eʳ" value={stableAnalytics.lambda.toFixed(5)} color="#8b5cf6" />
+            <MetricBox label="Intrinsic birth rate" value={`${(stableAnalytics.birthRate * 1000).toFixed(2)}‰`} color="#22c55e" />
+            <MetricBox label="Intrinsic death rate" value={`${(stableAnalytics.deathRate * 1000).toFixed(2)}‰`} color="#ef4444" />
+            <MetricBox label="Mean age, stationary" value={`${stableAnalytics.meanAgeStationary.toFixed(2)} yr`} color="#06b6d4" />
+            <MetricBox label="Mean age, stable" value={`${stableAnalytics.meanAgeStable.toFixed(2)} yr`} color="#06b6d4" />
+            <MetricBox label="Generation T = ln R₀ / r" value={`${stableAnalytics.generationLength.toFixed(2)} yr`} color={config.color} />
+          </div>
+        </div>
+
+        {/* Population Momentum */}
+        <div style={{
+          background: '#111116',
+          borderRadius: '12px',
+          padding: '15px 20px'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '1rem', margin: 0 }}>
+              ⏳ Population Momentum
+            </h3>
+            <button
+              onClick={runMomentumCounterfactual}
+              disabled={history.length === 0}
+              style={{
+                padding: '6px 12px',
+                borderRadius: '6px',
+                border: 'none',
+                background: '#f59e0b',
+                color: '#08080c',
+                fontWeight: 600,
+                cursor: 'pointer',
+                fontSize: '0.8rem'
+              }}
+            >
+              Drop to replacement at year {displayedHistoryEntry?.time ?? time}
+            </button>
+            {momentum && (
+              <button
+                onClick={() => setMomentum(null)}
+                style={{ padding: '6px 10px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: 'pointer', fontSize: '0.8rem' }}
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          {oneSexNotice}
+          {momentumError && (
+            <div style={{
+              marginBottom: '10px',
+              padding: '8px 10px',
+              background: 'rgba(239, 68, 68, 0.1)',
+              border: '1px solid #ef4444',
+              borderRadius: '6px',
+              fontSize: '11px',
+              color: '#ef4444'
+            }}>
+              Counterfactual failed: {momentumError}
+            </div>
+          )}
+          {momentum ? (
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+              gap: '10px'
+            }}>
+              <MetricBox label="From year" value={momentum.startTime} color="#f8fafc" />
+              <MetricBox label="Replacement TFR" value={momentum.replacementTFR.toFixed(3)} color="#22c55e" />
+              <MetricBox label="Ultimate / current" value={momentum.momentum.toFixed(3)} color="#f59e0b" />
+              <MetricBox label="Ultimate N" value={momentum.ultimatePopulation.toLocaleString('en-US', {maximumFractionDigits: 0})} color="#6366f1" />
+              <MetricBox label="Years to plateau (±1%)" value={`${momentum.yearsToPlateau} yr`} color="#06b6d4" />
+              <MetricBox label="Keyfitz estimate" value={momentum.keyfitzMomentum.toFixed(3)} color="#94a3b8" />
+            </div>
+          ) : (
+            <p style={{ color: '#64748b', fontSize: '0.8rem', margin: 0 }}>
+              Projects the displayed year's population with fertility cut instantly to R₀ = 1 (same age pattern and mortality)
+              as a closed population with that year's mortality held fixed, and overlays it on Population Over Time. Keyfitz's estimate assumes the population was stable before the drop.
+            </p>
+          )}
+        </div>
+
+        {/* Replacement Migration */}
+        <div style={{
+          background: '#111116',
+          borderRadius: '12px',
+          padding: '15px 20px'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '12px', flexWrap: 'wrap' }}>
+            <h3 style={{ color: '#f8fafc', fontSize: '1rem', margin: 0 }}>
+              🌍 Replacement Migration
+            </h3>
+            {Object.entries(REPLACEMENT_TARGETS).map(([key, t]) => (
+              <button
+                key={key}
+                onClick={() => setReplacementTarget(key)}
+                title={t.description}
+                style={{
+                  padding: '4px 10px',
+                  borderRadius: '6px',
+                  border: 'none',
+                  background: replacementTarget === key ? '#a855f7' : '#2a2a35',
+                  color: replacementTarget === key ? '#fff' : '#94a3b8',
+                  cursor: 'pointer',
+                  fontSize: '0.75rem'
+                }}
+              >
+                {t.label}
+              </button>
+            ))}
+            {replacementTarget === 'dependencyRatio' && (
+              <label style={{ color: '#94a3b8', fontSize: '0.75rem' }}>
+                DR ≤{' '}
+                <input type="number" min={0.2} max={2} step={0.05} value={maxDependencyRatio}
+                  onChange={e => setMaxDependencyRatio(Math.max(0.2, Math.min(2, Number(e.target.value))))}
+                  style={{ width: '55px', background: '#1a1a22', color: '#f8fafc', border: '1px solid #333', borderRadius: '4px', padding: '2px 4px' }} />
+              </label>
+            )}
+            <label style={{ color: '#94a3b8', fontSize: '0.75rem' }}>
+              for{' '}
+              <select value={replacementYears} onChange={e => setReplacementYears(Number(e.target.value))}
+                style={{ background: '#1a1a22', color: '#f8fafc', border: '1px solid #333', borderRadius: '4px', padding: '2px 4px' }}>
+                {[50, 100, 150, 200].map(y => <option key={y} value={y}>{y} yr</option>)}
+              </select>
+            </label>
+            <button
+              onClick={runReplacementMigration}
+              disabled={history.length === 0}
+              style={{
+                padding: '6px 12px',
+                borderRadius: '6px',
+                border: 'none',
+                background: '#a855f7',
+                color: '#fff',
+                fontWeight: 600,
+                cursor: 'pointer',
+                fontSize: '0.8rem'
+              }}
+            >
+              Solve from year {displayedHistoryEntry?.time ?? time}
+            </button>
+            {replacement && (
+              <button
+                onClick={() => setReplacement(null)}
+                style={{ padding: '6px 10px', borderRadius: '6px', border: '1px solid #2a2a35', background: 'transparent', color: '#94a3b8', cursor: 'pointer', fontSize: '0.8rem' }}
+              >
+                Clear
+              </button>
+            )}
           </div>
+          {replacement ? (
+            <>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(130px, 1fr))',
+                gap: '10px',
+                marginBottom: '12px'
+              }}>
+                <MetricBox label="Cumulative net migrants" value={replacement.totalMigrants.toLocaleString('en-US', {maximumFractionDigits: 0})} color="#a855f7" />
+                <MetricBox label="Average / yr" value={replacement.averageMigration.toFixed(1)} color="#a855f7" />
+                <MetricBox label="Peak / yr" value={replacement.peakMigration.toFixed(1)} color="#a855f7" />
+                <MetricBox label={`N at +${replacement.required.length} yr`} value={replacement.finalPopulation.toLocaleString('en-US', {maximumFractionDigits: 0})} color="#6366f1" />
+                <MetricBox label="N without migration" value={replacement.closedFinalPopulation.toLocaleString('en-US', {maximumFractionDigits: 0})} color="#94a3b8" />
+                <MetricBox label="Final DR (vs closed)" value={`${replacement.finalDependencyRatio.toFixed(2)} (${replacement.closedFinalDependencyRatio.toFixed(2)})`} color="#ec4899" />
+              </div>
+              {replacement.infeasibleYears > 0 && (
+                <p style={{ color: '#fb923c', fontSize: '0.75rem', margin: '0 0 8px' }}>
+                  ⚠️ In {replacement.infeasibleYears} year(s) no inflow could meet the ceiling: migrants' own children and elderly outweigh their workers at DR ≤ {maxDependencyRatio}.
+                </p>
+              )}
+              {(() => {
+                const { required, populations, closedPopulations, startTime } = replacement;
+                const span = Math.max(required.length, 1);
+                const maxM = Math.max(...required, 0);
+                const minM = Math.min(...required, 0);
+                const migY = (v) => 70 - ((v - minM) / Math.max(maxM - minM, 1e-9)) * 60;
+                const maxP = Math.max(...populations, ...closedPopulations);
+                const popY = (v) => 150 - (v / maxP) * 60;
+                const x = (i) => 45 + (i / span) * 340;
+                return (
+                  <svg width="100%" viewBox="0 0 400 170" style={{ maxHeight: '260px' }}>
+                    <line x1="45" y1={migY(0)} x2="385" y2={migY(0)} stroke="#333" strokeDasharray="2 2" />
+                    <path d={required.map((v, i) => `${i === 0 ? 'M' : 'L'} ${x(i + 1)} ${migY(v)}`).join(' ')}
+                      fill="none" stroke="#a855f7" strokeWidth="1.2" />
+                    <text x="42" y="13" fill="#64748b" fontSize="7" textAnchor="end">{maxM.toFixed(0)}</text>
+                    <text x="42" y="72" fill="#64748b" fontSize="7" textAnchor="end">{minM.toFixed(0)}</text>
+                    <text x="50" y="10" fill="#a855f7" fontSize="7">Required net migration / yr</text>
+
+                    <line x1="45" y1="150" x2="385" y2="150" stroke="#444" />
+                    <path d={closedPopulations.map((v, i) => `${i === 0 ? 'M' : 'L'} ${x(i)} ${popY(v)}`).join(' ')}
+                      fill="none" stroke="#94a3b8" strokeWidth="1" strokeDasharray="4 2" />
+                    <path d={populations.map((v, i) => `${i === 0 ? 'M' : 'L'} ${x(i)} ${popY(v)}`).join(' ')}
+                      fill="none" stroke="#6366f1" strokeWidth="1.2" />
+                    <text x="42" y="93" fill="#64748b" fontSize="7" textAnchor="end">{maxP.toLocaleString('en-US', {maximumFractionDigits: 0})}</text>
+                    <text x="42" y="152" fill="#64748b" fontSize="7" textAnchor="end">0</text>
+                    <text x="50" y="88" fill="#6366f1" fontSize="7">── Population with migration</text>
+                    <text x="170" y="88" fill="#94a3b8" fontSize="7">╌╌ without</text>
+                    <text x="45" y="162" fill="#64748b" fontSize="7" textAnchor="middle">{startTime}</text>
+                    <text x="385" y="162" fill="#64748b" fontSize="7" textAnchor="middle">{startTime + required.length}</text>
+                  </svg>
+                );
+              })()}
+            </>
+          ) : (
+            <p style={{ color: '#64748b', fontSize: '0.8rem', margin: 0 }}>
+              Projects the displayed year's population under the current fertility and mortality schedules and solves, year by year,
+              for the net migration (Rogers–Castro age-sex profile) that holds the target — the UN "replacement migration" exercise.
+              Migration set in Model Parameters is replaced by the solved flow.
+            </p>
+          )}
         </div>
 
         {/* Equations Reference */}
@@ -1720,16 +3400,65 @@ const ReproductiveAgeExplorer = () => {
               equation={TEX.tfr}
               description="Sum of age-specific fertility rates; B(a) = births to women age a, W(a) = women age a"
             />
-            <EquationCard
-              title="Fertility Schedule (ASFR)"
-              equation={TEX.fertility}
-              description="Gaussian ASFR centered at peak age μ with spread σ; Z normalizes so Σβ(a) = TFR"
-            />
+            {parityModel ? (
+              <EquationCard
+                title="Parity-Progression Fertility"
+                equation={TEX.parity}
+                description="Women by age a, parity k and years d since the last birth (shares π). a_k: progression ratios; g₁: age at first birth (mean = peak age, SD = spread); g_I: gamma birth interval; later births decline after 40"
+              />
+            ) : fertilityModel === 'gaussian' ? (
+              <EquationCard
+                title="Fertility Schedule (ASFR)"
+                equation={TEX.fertility}
+                description="Gaussian ASFR centered at peak age μ with spread σ; Z normalizes so Σβ(a) = TFR"
+              />
+            ) : (
+              <EquationCard
+                title={`Fertility Schedule — ${FERTILITY_MODELS[fertilityModel].label}`}
+                equation={TEX[fertilityModel]}
+                description={`${FERTILITY_MODELS[fertilityModel].description}; β(a) = TFR · f(a + ½) / Σf, capped at ${MAX_ASFR} per year`}
+              />
+            )}
             <EquationCard
               title="Siler Mortality Model"
               equation={TEX.siler}
               description="Infant mortality (α₁e^(-β₁a), declining) + background (α₂, constant) + senescent (α₃e^(β₃a), Gompertz aging). Parameters scale with e₀."
             />
+            {mortalityModel !== 'siler' && (
+              <EquationCard
+                title={`${MORTALITY_MODELS[mortalityModel].label} Mortality Law`}
+                equation={TEX[mortalityModel]}
+                description={`${MORTALITY_MODELS[mortalityModel].description}. Males scale the infant, background/hump and senescent terms as in the Siler model.`}
+              />
+            )}
+            {oldAgeClosure === 'kannisto' && (
+              <EquationCard
+                title="Kannisto Old-Age Closure"
+                equation={TEX.kannisto}
+                description="Logistic hazard fitted to logit μ over ages 75–84; it approaches 1 instead of stopping at the 0.6 cap"
+              />
+            )}
+            {twoSexModel !== 'female' && (
+              <EquationCard
+                title={`Two-Sex Birth Function — ${TWO_SEX_MODELS[twoSexModel].label}`}
+                equation={TEX.twoSex}
+                description={`𝓜 combines female- and male-implied births per age pair (women i, men j): male-dominant, harmonic mean or minimum. w: Gaussian partner ages, gap g = ${partnerAgeGap}, SD ${PARTNER_AGE_SD}; F*, M*: balanced stationary population`}
+              />
+            )}
+            {solver === 'characteristics' && (
+              <EquationCard
+                title="Method of Characteristics"
+                equation={TEX.characteristics}
+                description={`Cohorts advance along a = t + c with trapezoidal survival; births by the trapezoid rule, newborns surviving half a step. h = 1/${substeps} year`}
+              />
+            )}
+            {leeCarter && (
+              <EquationCard
+                title="Lee–Carter Projection"
+                equation={TEX.leeCarter}
+                description={`a_x: year-0 log rates; b_x: relative improvement between the Siler schedules at e₀ 70 and 85; drift d = ${leeCarterDrift} per year`}
+              />
+            )}
             <EquationCard
               title="Survival Function"
               equation={TEX.survival}
@@ -1740,6 +3469,11 @@ const ReproductiveAgeExplorer = () => {
               equation={TEX.lifeExp}
               description="Expected years of life at birth = area under survival curve"
             />
+            <EquationCard
+              title="Life Table"
+              equation={TEX.lifeTable}
+              description="Single-year period life table per sex with a = 0.5 and an open last age group (L = l/m); the headline e₀ is e at age 0"
+            />
             <EquationCard
               title="Net Reproduction Rate"
               equation={TEX.R0}
@@ -1753,7 +3487,32 @@ const ReproductiveAgeExplorer = () => {
             <EquationCard
               title="Intrinsic Growth Rate (Lotka's r)"
               equation={TEX.intrinsic}
-              description="Long-term exponential growth rate; positive means growth, negative means decline"
+              description="Euler–Lotka characteristic equation, solved numerically for r; positive means growth, negative means decline"
+            />
+            <EquationCard
+              title="Reproductive Value (Fisher)"
+              equation={TEX.reproValue}
+              description="Expected future daughters of a woman aged a, discounted at rate r; peaks just before the childbearing ages"
+            />
+            <EquationCard
+              title="Population Momentum (Keyfitz)"
+              equation={TEX.keyfitz}
+              description="Ultimate/initial population after an instant drop to replacement, for a stable population with birth rate b, growth r and mean age of childbearing μ"
+            />
+            <EquationCard
+              title="Leslie Matrix & Eigen-analysis"
+              equation={TEX.leslie}
+              description="One-year projection as a matrix; λ₁ = eʳ, w = stable age-sex structure, v = reproductive value, ρ = damping ratio of the transient"
+            />
+            <EquationCard
+              title="Sensitivity & Elasticity"
+              equation={TEX.elasticity}
+              description="How λ responds to each age's fertility (first row) and survival (sub-diagonal); elasticities sum to 1"
+            />
+            <EquationCard
+              title="Migration Schedule (Rogers–Castro)"
+              equation={TEX.rogersCastro}
+              description="Age profile of net migrants by sex: childhood component, labour-force peak at μ₂ and a constant; scaled to the annual net migration volume"
             />
             <EquationCard
               title="Dependency Ratio"
@@ -1782,14 +3541,32 @@ const ReproductiveAgeExplorer = () => {
           }}>
             <DebugItem label="Births/yr" value={(debugInfo.births || 0).toFixed(2)} color="#22c55e" />
             <DebugItem label="Deaths/yr" value={(debugInfo.deaths || 0).toFixed(2)} color="#ef4444" />
+            <DebugItem label="Deaths ♀ / ♂" value={`${(debugInfo.femaleDeaths || 0).toFixed(1)} / ${(debugInfo.maleDeaths || 0).toFixed(1)}`} color="#ef4444" />
+            <DebugItem label="Net migration/yr" value={(debugInfo.netMigration || 0).toFixed(2)} color="#a855f7" />
+            {twoSexModel !== 'female' && <DebugItem label="Two-sex / one-sex births" value={(debugInfo.partnerSqueeze ?? 1).toFixed(4)}
+              color={debugInfo.partnerSqueeze < 1 ? '#ef4444' : '#22c55e'} />}
+            {leeCarter && <DebugItem label="Lee–Carter k(t)" value={(debugInfo.leeCarterIndex || 0).toFixed(2)} color="#f97316" />}
             <DebugItem label="B/D Ratio" value={(debugInfo.birthDeathRatio || 0).toFixed(4)} 
               color={debugInfo.birthDeathRatio >= 1 ? '#22c55e' : '#ef4444'} />
             <DebugItem label="Σβ(a) = TFR" value={(debugInfo.fertilitySum || 0).toFixed(3)} color="#f59e0b" />
+            <DebugItem label="Observed TFR" value={(debugInfo.observedTFR || 0).toFixed(3)} color="#f59e0b" />
+            <DebugItem label="Tempo-adjusted TFR" value={debugInfo.tempoAdjustedTFR?.toFixed(3) ?? '–'} color="#a855f7" />
+            <DebugItem label="MAC / ΔMAC" value={`${(debugInfo.meanAgeAtChildbearing || 0).toFixed(2)} / ${(debugInfo.macChange || 0).toFixed(3)}`} color="#06b6d4" />
+            <DebugItem label="CBR / GFR (‰)" value={`${(debugInfo.crudeBirthRate || 0).toFixed(2)} / ${(debugInfo.generalFertilityRate || 0).toFixed(1)}`} color="#22c55e" />
             <DebugItem label="Max ASFR" value={(debugInfo.maxASFR || 0).toFixed(4)} color="#8b5cf6" />
             <DebugItem label="Peak β age" value={debugInfo.peakAge || '-'} color="#8b5cf6" />
             <DebugItem label="Women 15-49" value={(debugInfo.fertileWomen || 0).toFixed(0)} color="#06b6d4" />
+            <DebugItem label="Period TFR" value={(debugInfo.periodTFR || 0).toFixed(3)} color="#14b8a6" />
+            <DebugItem label="Cohort TFR (t−55)" value={(debugInfo.cohortTFR || 0).toFixed(3)} color="#14b8a6" />
             <DebugItem label="R₀" value={netReproductionRate.toFixed(4)} 
               color={netReproductionRate >= 1 ? '#22c55e' : '#ef4444'} />
+            <DebugItem label="Men/woman at 20–29" value={(debugInfo.marriageSexRatio || 0).toFixed(3)}
+              color={Math.abs((debugInfo.marriageSexRatio || 1) - 1) > 0.1 ? '#ef4444' : '#94a3b8'} />
+            {debugInfo.cumulativeMissingGirls !== 0 && (
+              <DebugItem label="Missing girls (cum. / alive)" value={`${(debugInfo.cumulativeMissingGirls || 0).toFixed(0)} / ${(debugInfo.missingWomen || 0).toFixed(0)}`} color="#f43f5e" />
+            )}
+            <DebugItem label="max |N − M − F|" value={(debugInfo.distributionResidual || 0).toExponential(1)}
+              color={debugInfo.distributionResidual < 1e-6 ? '#22c55e' : '#ef4444'} />
           </div>
         </div>
       </div>
@@ -1938,6 +3715,147 @@ const EquationCard = ({ title, equation, description }) => {
   );
 };
 
+// Keyframe editor for time-varying parameters (one parameter at a time)
+const ScheduleEditor = ({ keyframes, tempoEffect, baseValues, onChange, onTempoEffectChange, onRestorePreset, color }) => {
+  const [selectedParam, setSelectedParam] = React.useState('totalFertility');
+  const spec = SCHEDULABLE_PARAMS[selectedParam];
+  const rows = keyframes[selectedParam] || [];
+  const sorted = sortKeyframes(rows);
+
+  const setRows = (newRows) => onChange({ ...keyframes, [selectedParam]: newRows });
+  const updateRow = (index, changes) => setRows(rows.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+  const removeRow = (index) => setRows(rows.filter((_, i) => i !== index));
+  const addRow = () => {
+    const last = sorted[sorted.length - 1];
+    setRows([...rows, last
+      ? { year: last.year + 20, value: last.value, transition: 'linear' }
+      : { year: 0, value: baseValues[selectedParam], transition: 'linear' }]);
+  };
+
+  // Preview trajectory over the scheduled horizon
+  const horizon = Math.max(100, (sorted[sorted.length - 1]?.year || 0) + 20);
+  const preview = sorted.length > 0
+    ? Array.from({ length: 101 }, (_, i) => evaluateSchedule(sorted, (i / 100) * horizon))
+    : [];
+  const inputStyle = {
+    width: '100%', background: '#0a0a0e', border: '1px solid #2a2a35', borderRadius: '4px',
+    color: '#e2e8f0', padding: '3px 5px', fontSize: '0.75rem'
+  };
+
+  return (
+    <div style={{ background: '#111116', borderRadius: '12px', padding: '15px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 style={{ color: '#f8fafc', fontSize: '0.9rem', margin: 0 }}>Parameter Schedules</h3>
+        <button
+          onClick={onRestorePreset}
+          style={{ padding: '2px 8px', borderRadius: '4px', border: '1px solid #2a2a35', background: 'transparent', color: '#64748b', cursor: 'pointer', fontSize: '0.7rem' }}
+        >
+          Restore preset
+        </button>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginBottom: '10px' }}>
+        {Object.entries(SCHEDULABLE_PARAMS).map(([key, p]) => (
+          <button
+            key={key}
+            onClick={() => setSelectedParam(key)}
+            style={{
+              padding: '3px 8px',
+              borderRadius: '4px',
+              border: selectedParam === key ? `1px solid ${color}` : '1px solid #2a2a35',
+              background: selectedParam === key ? `${color}15` : 'transparent',
+              color: selectedParam === key ? color : '#94a3b8',
+              cursor: 'pointer',
+              fontSize: '0.7rem'
+            }}
+          >
+            {p.label}{keyframes[key]?.length > 0 ? ' •' : ''}
+          </button>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <div style={{ color: '#64748b', fontSize: '0.75rem', marginBottom: '8px' }}>
+          Not scheduled — the slider value applies every year.
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1.2fr auto', gap: '4px', marginBottom: '8px', fontSize: '0.7rem', color: '#64748b' }}>
+          <span>Year</span><span>{spec.label}</span><span>Transition</span><span />
+          {rows.map((row, i) => (
+            <React.Fragment key={i}>
+              <input type="number" min={0} step={1} value={row.year} style={inputStyle}
+                onChange={e => updateRow(i, { year: Math.max(0, Number(e.target.value)) })} />
+              <input type="number" min={spec.min} max={spec.max} step={spec.step} value={row.value} style={inputStyle}
+                onChange={e => updateRow(i, { value: Math.max(spec.min, Math.min(spec.max, Number(e.target.value))) })} />
+              <select value={row.transition || 'linear'} style={inputStyle}
+                onChange={e => updateRow(i, { transition: e.target.value })}>
+                {TRANSITIONS.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+              <button onClick={() => removeRow(i)} title="Remove keyframe"
+                style={{ border: 'none', background: 'transparent', color: '#ef4444', cursor: 'pointer', fontSize: '0.75rem' }}>✕</button>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={addRow}
+        style={{ width: '100%', padding: '5px', borderRadius: '6px', border: `1px dashed ${color}`, background: 'transparent', color, cursor: 'pointer', fontSize: '0.75rem' }}
+      >
+        + Keyframe
+      </button>
+
+      {preview.length > 0 && (
+        <svg width="100%" viewBox="0 0 200 50" style={{ marginTop: '8px', background: '#0a0a0e', borderRadius: '4px' }}>
+          <path
+            d={preview.map((v, i) => {
+              const x = 5 + i * 1.9;
+              const y = 45 - ((v - spec.min) / (spec.max - spec.min)) * 40;
+              return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
+            }).join(' ')}
+            fill="none" stroke={color} strokeWidth="1"
+          />
+          <text x="5" y="10" fill="#64748b" fontSize="6">{spec.max}</text>
+          <text x="5" y="48" fill="#64748b" fontSize="6">{spec.min}</text>
+          <text x="195" y="48" fill="#64748b" fontSize="6" textAnchor="end">yr {horizon}</text>
+        </svg>
+      )}
+
+      {selectedParam === 'peakAge' && (
+        <label style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', marginTop: '8px', color: '#94a3b8', fontSize: '0.7rem' }}>
+          <input type="checkbox" checked={tempoEffect} onChange={e => onTempoEffectChange(e.target.checked)} />
+          Peak-age shifts are cohort postponement (TFR = cohort quantum; period TFR scaled by 1 − r)
+        </label>
+      )}
+    </div>
+  );
+};
+
+// Compact outline pyramid for side-by-side comparison (males left, females right)
+const MiniPyramid = ({ label, color, male, female, maxValue }) => {
+  const numAges = male.length;
+  const toY = (age) => 190 - (age / numAges) * 180;
+  const malePath = male.map((n, age) => `${age === 0 ? 'M' : 'L'} ${100 - (n / maxValue) * 90} ${toY(age)}`).join(' ');
+  const femalePath = female.map((n, age) => `${age === 0 ? 'M' : 'L'} ${100 + (n / maxValue) * 90} ${toY(age)}`).join(' ');
+  const totalM = male.reduce((a, b) => a + b, 0);
+  const totalF = female.reduce((a, b) => a + b, 0);
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+      <div style={{ color, fontSize: '0.75rem', fontWeight: 600, textAlign: 'center', marginBottom: '4px' }}>{label}</div>
+      <svg width="100%" height="100%" viewBox="0 0 200 210" preserveAspectRatio="xMidYMid meet">
+        <line x1="100" y1="10" x2="100" y2="190" stroke="#2a2a35" />
+        <path d={`${malePath} L 100 ${toY(numAges - 1)} L 100 190 Z`} fill="#3b82f6" opacity="0.5" stroke="#3b82f6" strokeWidth="0.5" />
+        <path d={`${femalePath} L 100 ${toY(numAges - 1)} L 100 190 Z`} fill="#f97316" opacity="0.5" stroke="#f97316" strokeWidth="0.5" />
+        {[0, 20, 40, 60, 80].map(age => (
+          <text key={age} x="100" y={toY(age) + 3} fill="#64748b" fontSize="6" textAnchor="middle">{age}</text>
+        ))}
+        <text x="100" y="204" fill="#94a3b8" fontSize="8" textAnchor="middle">
+          N = {(totalM + totalF).toLocaleString('en-US', { maximumFractionDigits: 0 })}
+        </text>
+      </svg>
+    </div>
+  );
+};
+
 const DebugItem = ({ label, value, color }) => (
   <div>
     <span style={{ color: '#64748b' }}>{label}: </span>
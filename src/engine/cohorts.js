@@ -0,0 +1,73 @@
+import { FERTILE_AGE_MAX } from './fertility.js';
+
+// === COHORTS AND THE LEXIS SURFACE ===
+// History entries are period snapshots: entry t holds ages 0 … N−1 at year t.
+// The cohort born in year b is age t − b in entry t, so each cohort runs along a
+// diagonal of the age × time (Lexis) surface. Cohorts born before year 0 enter
+// the history at age −b.
+
+// Population by age and time, thinned to at most maxColumns × maxRows cells
+// (each cell averages its single ages; the open age group is left out).
+// Returns { columns: [{ time, cells }], timeStride, ageStride, ages, max }.
+export const getLexisSurface = (history, { maxColumns = 120, maxRows = 60 } = {}) => {
+  const ages = Math.max((history[0]?.ageDistribution.length ?? 1) - 1, 0);
+  const timeStride = Math.max(1, Math.ceil(history.length / maxColumns));
+  const ageStride = Math.max(1, Math.ceil(ages / maxRows));
+  const columns = [];
+  let max = 0;
+  for (let i = 0; i < history.length; i += timeStride) {
+    const dist = history[i].ageDistribution;
+    const cells = [];
+    for (let age = 0; age < ages; age += ageStride) {
+      const top = Math.min(age + ageStride, ages);
+      let total = 0;
+      for (let a = age; a < top; a++) total += dist[a];
+      const value = total / (top - age);
+      cells.push(value);
+      max = Math.max(max, value);
+    }
+    columns.push({ time: history[i].time, cells });
+  }
+  return { columns, timeStride, ageStride, ages, max };
+};
+
+// One cohort followed through the history.
+// points: [{ time, age, size, female, male, femaleSurvival, maleSurvival, cumulativeFertility }]
+// Size includes migrants; survival is the product of e^{−μ(a, t)} along the
+// diagonal at the model's rates, from the first age observed. cumulativeFertility
+// is the cohort's realized births per woman so far (not the input β), so at
+// FERTILE_AGE_MAX it is the CTFR.
+export const getCohortHistory = (model, history, birthYear) => {
+  const last = model.numAges - 1;
+  const points = [];
+  let femaleSurvival = 1;
+  let maleSurvival = 1;
+  for (const entry of history) {
+    const age = entry.time - birthYear;
+    if (age < 0 || age >= last) continue;
+    if (points.length > 0) {
+      const rates = model.ratesAt(entry.time - 1);
+      femaleSurvival *= Math.exp(-rates.femaleMortality[age - 1]);
+      maleSurvival *= Math.exp(-rates.maleMortality[age - 1]);
+    }
+    points.push({
+      time: entry.time,
+      age,
+      size: entry.ageDistribution[age],
+      female: entry.femaleDistribution[age],
+      male: entry.maleDistribution[age],
+      femaleSurvival,
+      maleSurvival,
+      cumulativeFertility: entry.cumulativeFertility[age]
+    });
+  }
+  const final = points[points.length - 1];
+  return {
+    birthYear,
+    firstAge: points[0]?.age ?? 0,
+    points,
+    ctfr: final?.cumulativeFertility ?? 0,
+    complete: final ? final.age >= FERTILE_AGE_MAX : false,
+    peakSize: Math.max(0, ...points.map(point => point.size))
+  };
+};
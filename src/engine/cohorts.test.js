@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, getCohortHistory } from './index.js';
+
+describe('cohort fertility', () => {
+  it('completes at the TFR under the one-sex model', () => {
+    const model = createModel({ totalFertility: 2.1 });
+    const history = model.project(model.initialize(), 70);
+    const cohort = getCohortHistory(model, history, 10);
+    expect(cohort.complete).toBe(true);
+    expect(cohort.ctfr).toBeCloseTo(2.1, 9);
+  });
+
+  it('counts births that happened, not the input schedule, under a partner shortage', () => {
+    const model = createModel({ totalFertility: 2.1, twoSexModel: 'pollak', sexRatioBirth: 0.53 });
+    const history = model.project(model.initialize(), 130);
+    const cohort = getCohortHistory(model, history, 60);
+    expect(cohort.complete).toBe(true);
+    expect(cohort.ctfr).toBeLessThan(2);
+    // A cohort living through constant rates completes at their observed period TFR
+    const last = history[history.length - 1];
+    expect(cohort.ctfr).toBeCloseTo(last.observedTFR, 1);
+    expect(last.cohortTFR).toBeCloseTo(cohort.ctfr, 1);
+  });
+});
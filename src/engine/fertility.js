@@ -0,0 +1,90 @@
+// === FERTILITY MODEL ===
+// Age-Specific Fertility Rate: β(a) ~ Gaussian centered at peak
+// Based on Coale-Trussell fertility model structure
+// Normalized so that Σβ(a) = TFR, with biological maximum constraint
+
+// Biological maximum ASFR: ~1.1 births per woman per year
+// Based on ~9 months gestation + ~1-2 months minimum postpartum recovery
+// This caps the maximum possible births regardless of how narrow the fertility window
+export const MAX_ASFR = 1.1;
+
+// Biological fertility window: menarche ~12-13, menopause ~48-52
+export const FERTILE_AGE_MIN = 12;
+export const FERTILE_AGE_MAX = 55; // exclusive
+
+export const getFertilitySchedule = (peak, spreadVal, secondPeak = null, tfr = 2.1, numAges = 100) => {
+  let schedule = new Array(numAges).fill(0);
+  const sigma = Math.max(spreadVal, 2.5); // Minimum spread for numerical stability
+  
+  for (let age = FERTILE_AGE_MIN; age < FERTILE_AGE_MAX; age++) {
+    // Primary peak (Gaussian)
+    const primary = Math.exp(-((age - peak) ** 2) / (2 * sigma ** 2));
+    
+    // Secondary peak if bimodal (for modeling e.g., teen + delayed childbearing)
+    let secondary = 0;
+    if (secondPeak && Math.abs(secondPeak - peak) > 5) {
+      secondary = Math.exp(-((age - secondPeak) ** 2) / (2 * sigma ** 2)) * 0.6;
+    }
+    
+    // Biological decline after age 40 (declining oocyte quality/quantity)
+    let biologicalDecline = 1.0;
+    if (age > 40) {
+      biologicalDecline = Math.exp(-0.1 * (age - 40));
+    }
+    
+    schedule[age] = (primary + secondary) * biologicalDecline;
+  }
+  
+  // Normalize so that sum(ASFR) = TFR
+  const sum = schedule.reduce((a, b) => a + b, 0);
+  if (sum < 1e-10) return schedule; // Avoid division by zero
+  schedule = schedule.map(f => (f / sum) * tfr);
+  
+  return applyBiologicalCap(schedule, tfr);
+};
+
+// Apply biological maximum constraint (gestation + recovery limits)
+// If any age exceeds MAX_ASFR, cap it and redistribute across fertile ages
+export const applyBiologicalCap = (schedule, tfr) => {
+  const capped = schedule.map(f => Math.min(f, MAX_ASFR));
+  const totalCapped = capped.reduce((a, b) => a + b, 0);
+  const isCapped = totalCapped < tfr * 0.99;
+  
+  // If we hit the biological cap, redistribute the excess proportionally
+  let redistributed = capped;
+  if (isCapped) {
+    // Calculate how much fertility was lost due to capping
+    const lostFertility = tfr - totalCapped;
+    // Find fertile ages that aren't at the cap
+    const canReceive = capped.map((f, a) => f < MAX_ASFR && a >= FERTILE_AGE_MIN && a < FERTILE_AGE_MAX);
+    const numCanReceive = canReceive.filter(x => x).length;
+    
+    if (numCanReceive > 0) {
+      // Distribute the lost fertility proportionally among ages that can receive it
+      redistributed = capped.map((f, a) => {
+        if (canReceive[a]) {
+          return Math.min(f + (lostFertility / numCanReceive), MAX_ASFR);
+        }
+        return f;
+      });
+    }
+  }
+  
+  // Store whether we hit the biological cap for UI feedback
+  redistributed.biologicallyCapped = isCapped;
+  redistributed.effectiveTFR = redistributed.reduce((a, b) => a + b, 0);
+  
+  return redistributed;
+};
+
+// Empirical ASFR (e.g. imported from HFD/WPP) rescaled to `tfr`: the data fix the
+// age pattern, TFR keeps its usual role so sliders and schedules still apply
+export const getEmpiricalFertilitySchedule = (asfr, tfr, numAges = 100) => {
+  const schedule = new Array(numAges).fill(0);
+  for (let age = FERTILE_AGE_MIN; age < Math.min(FERTILE_AGE_MAX, numAges); age++) {
+    schedule[age] = asfr[age] || 0;
+  }
+  const sum = schedule.reduce((a, b) => a + b, 0);
+  if (sum < 1e-10) return applyBiologicalCap(schedule, 0);
+  return applyBiologicalCap(schedule.map(f => (f / sum) * tfr), tfr);
+};
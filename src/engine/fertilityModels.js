@@ -0,0 +1,194 @@
+import { applyBiologicalCap, FERTILE_AGE_MIN, FERTILE_AGE_MAX } from './fertility.js';
+
+// === PARAMETRIC FERTILITY MODELS ===
+// Alternatives to the Gaussian ASFR. Each model gives only the age pattern f(x),
+// evaluated at mid-year ages x = a + 0.5 inside the fertile window; the level is
+// set by normalizing Σβ(a) = TFR, and the biological cap (MAX_ASFR) applies as
+// for every other schedule.
+//
+//   Hadwiger            f(x) = H/(T√π) (T/x)^{3/2} exp(−H²(T/x + x/T − 2))
+//   Gamma               f(x) ∝ (x−d)^{k−1} e^{−(x−d)/θ},  k, θ from mean and SD
+//   Beta                f(x) ∝ z^{a−1}(1−z)^{b−1},  z = (x−α)/(β−α), a, b from mean and SD
+//   Coale–Trussell      r(x) = G(x) M n(x) e^{m v(x)}, G = proportion married
+//   Schmertmann         quadratic spline through (α, 0), (P, 1), (H, ½), (50, 0)
+//   Chandola mixture    w Hadwiger(H₁, T₁) + (1−w) Hadwiger(H₂, T₂)
+
+// Coale & Trussell (1974) natural fertility n(x) and control pattern v(x),
+// five-year groups 20–24 … 45–49 placed at their mid-points
+const CT_AGES = [22.5, 27.5, 32.5, 37.5, 42.5, 47.5];
+const CT_NATURAL = [0.460, 0.431, 0.395, 0.322, 0.167, 0.024];
+const CT_CONTROL = [0, -0.279, -0.667, -1.042, -1.414, -1.671];
+
+// Schmertmann's schedules end at β = 50
+const SCHMERTMANN_END = 50;
+
+// Linear interpolation in (CT_AGES, values), held flat below the first point.
+// Past the last point the value falls to `end` at age 50.
+const interpolateCT = (x, values, end) => {
+  if (x <= CT_AGES[0]) return values[0];
+  const last = CT_AGES.length - 1;
+  if (x >= CT_AGES[last]) {
+    return x >= 50 ? end : values[last] + ((end - values[last]) * (x - CT_AGES[last])) / (50 - CT_AGES[last]);
+  }
+  const i = CT_AGES.findIndex(a => a > x) - 1;
+  const t = (x - CT_AGES[i]) / (CT_AGES[i + 1] - CT_AGES[i]);
+  return values[i] + t * (values[i + 1] - values[i]);
+};
+
+const hadwiger = (x, H, T) => (x > 0
+  ? (H / (T * Math.sqrt(Math.PI))) * (T / x) ** 1.5 * Math.exp(-(H ** 2) * (T / x + x / T - 2))
+  : 0);
+
+// Solve A x = b (small dense system, Gaussian elimination with partial pivoting)
+const solveLinear = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col || M[col][col] === 0) continue;
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) M[row][k] -= factor * M[col][k];
+    }
+  }
+  return M.map((row, i) => (row[i] !== 0 ? row[n] / row[i] : 0));
+};
+
+// Schmertmann (2003) quadratic spline f(x) = Σ θₖ (x − tₖ)₊² with knots
+// α, α + ¼(P−α), ½(α+P), P, ½(P+H), H, ½(H+β). θ is the minimum-norm solution of
+// f(P) = 1, f′(P) = 0, f(H) = ½, f(β) = 0, f′(β) = 0.
+const schmertmannSpline = ({ alpha, P, H }) => {
+  const a = alpha;
+  const p = Math.max(P, a + 4);
+  const h = Math.min(Math.max(H, p + 2), SCHMERTMANN_END - 2);
+  const knots = [a, a + (p - a) / 4, (a + p) / 2, p, (p + h) / 2, h, (h + SCHMERTMANN_END) / 2];
+  const value = (x) => knots.map(t => Math.max(0, x - t) ** 2);
+  const slope = (x) => knots.map(t => 2 * Math.max(0, x - t));
+  const A = [value(p), slope(p), value(h), value(SCHMERTMANN_END), slope(SCHMERTMANN_END)];
+  const b = [1, 0, 0.5, 0, 0];
+  // θ = Aᵀ (A Aᵀ)⁻¹ b
+  const AAt = A.map(ri => A.map(rj => ri.reduce((acc, v, k) => acc + v * rj[k], 0)));
+  const y = solveLinear(AAt, b);
+  const theta = knots.map((_, k) => A.reduce((acc, row, i) => acc + row[k] * y[i], 0));
+  return (x) => (x >= SCHMERTMANN_END ? 0 : Math.max(0, value(x).reduce((acc, v, k) => acc + v * theta[k], 0)));
+};
+
+export const FERTILITY_MODELS = {
+  gaussian: {
+    label: 'Gaussian',
+    description: 'Normal curve at the peak age (bimodal in some scenarios), declining after 40',
+    params: {}
+  },
+  hadwiger: {
+    label: 'Hadwiger',
+    description: 'Skewed unimodal curve; T sets the location, H the sharpness',
+    params: {
+      H: { label: 'Shape H', min: 1, max: 8, step: 0.1, default: 3.5 },
+      T: { label: 'Location T', min: 18, max: 38, step: 0.5, default: 28 }
+    },
+    shape: (x, { H, T }) => hadwiger(x, H, T)
+  },
+  gamma: {
+    label: 'Gamma',
+    description: 'Gamma density starting at age d, parameterized by mean and SD of age at childbearing',
+    params: {
+      mean: { label: 'Mean age', min: 20, max: 38, step: 0.5, default: 29 },
+      sd: { label: 'SD', min: 3, max: 10, step: 0.1, default: 5.5 },
+      start: { label: 'Start age d', min: FERTILE_AGE_MIN, max: 18, step: 0.5, default: 14 }
+    },
+    shape: (x, { mean, sd, start }) => {
+      const z = x - start;
+      const m = Math.max(mean - start, 1);
+      if (z <= 0) return 0;
+      const k = (m / sd) ** 2;
+      const theta = sd ** 2 / m;
+      return Math.exp((k - 1) * Math.log(z) - z / theta);
+    }
+  },
+  beta: {
+    label: 'Beta',
+    description: `Beta density on the fertile window ${FERTILE_AGE_MIN}–${FERTILE_AGE_MAX}, parameterized by mean and SD`,
+    params: {
+      mean: { label: 'Mean age', min: 20, max: 38, step: 0.5, default: 29 },
+      sd: { label: 'SD', min: 3, max: 10, step: 0.1, default: 6 }
+    },
+    shape: (x, { mean, sd }) => {
+      const width = FERTILE_AGE_MAX - FERTILE_AGE_MIN;
+      const z = (x - FERTILE_AGE_MIN) / width;
+      if (z <= 0 || z >= 1) return 0;
+      const mu = (mean - FERTILE_AGE_MIN) / width;
+      const common = Math.max((mu * (1 - mu)) / (sd / width) ** 2 - 1, 1e-3);
+      return Math.exp((mu * common - 1) * Math.log(z) + ((1 - mu) * common - 1) * Math.log(1 - z));
+    }
+  },
+  coaleTrussell: {
+    label: 'Coale–Trussell',
+    description: 'Natural fertility n(x) modified by parity-specific control m; M is the level implied by TFR',
+    params: {
+      m: { label: 'Control m', min: 0, max: 2.5, step: 0.05, default: 0.8 },
+      marriageAge: { label: 'Marriage age', min: 15, max: 30, step: 0.5, default: 21 }
+    },
+    // Proportion married as a logistic curve around the marriage age
+    shape: (x, { m, marriageAge }) => {
+      const married = 1 / (1 + Math.exp(-(x - marriageAge) / 1.5));
+      return married * interpolateCT(x, CT_NATURAL, 0) * Math.exp(m * interpolateCT(x, CT_CONTROL, CT_CONTROL[CT_CONTROL.length - 1]));
+    }
+  },
+  schmertmann: {
+    label: 'Schmertmann',
+    description: 'Quadratic spline: fertility starts at α, peaks at P and falls to half the peak at H',
+    params: {
+      alpha: { label: 'Start α', min: FERTILE_AGE_MIN, max: 20, step: 0.5, default: 15 },
+      P: { label: 'Peak P', min: 20, max: 36, step: 0.5, default: 28 },
+      H: { label: 'Half-peak H', min: 24, max: 46, step: 0.5, default: 36 }
+    },
+    shape: (x, params) => schmertmannSpline(params)(x)
+  },
+  chandola: {
+    label: 'Chandola mixture',
+    description: 'Weighted sum of an early and a late Hadwiger curve, for bimodal fertility',
+    params: {
+      weight: { label: 'Early share w', min: 0, max: 1, step: 0.05, default: 0.35 },
+      T1: { label: 'Early T₁', min: 16, max: 26, step: 0.5, default: 20 },
+      H1: { label: 'Early H₁', min: 1, max: 8, step: 0.1, default: 3 },
+      T2: { label: 'Late T₂', min: 24, max: 38, step: 0.5, default: 30 },
+      H2: { label: 'Late H₂', min: 1, max: 8, step: 0.1, default: 4 }
+    },
+    shape: (x, { weight, T1, H1, T2, H2 }) => weight * hadwiger(x, H1, T1) + (1 - weight) * hadwiger(x, H2, T2)
+  }
+};
+
+// Default parameter values of a model
+export const getFertilityModelDefaults = (model) => Object.fromEntries(
+  Object.entries(FERTILITY_MODELS[model]?.params ?? {}).map(([key, spec]) => [key, spec.default])
+);
+
+// Relative age pattern of a model over single ages (unnormalized)
+const getModelShape = (model, modelParams, numAges) => {
+  const spec = FERTILITY_MODELS[model];
+  const params = { ...getFertilityModelDefaults(model), ...modelParams };
+  const shape = new Array(numAges).fill(0);
+  for (let age = FERTILE_AGE_MIN; age < Math.min(FERTILE_AGE_MAX, numAges); age++) {
+    const value = spec.shape(age + 0.5, params);
+    shape[age] = Number.isFinite(value) && value > 0 ? value : 0;
+  }
+  return shape;
+};
+
+// ASFR for a non-Gaussian model, normalized so Σβ(a) = TFR and capped at MAX_ASFR
+export const getModelFertilitySchedule = (model, modelParams, tfr = 2.1, numAges = 100) => {
+  const shape = getModelShape(model, modelParams, numAges);
+  const total = shape.reduce((a, b) => a + b, 0);
+  if (total < 1e-10) return applyBiologicalCap(shape, 0);
+  return applyBiologicalCap(shape.map(f => (f / total) * tfr), tfr);
+};
+
+// Coale–Trussell level M implied by a TFR: TFR = M Σ G(x) n(x) e^{m v(x)}
+export const getCoaleTrussellLevel = (modelParams, tfr, numAges = 100) => {
+  const total = getModelShape('coaleTrussell', modelParams, numAges).reduce((a, b) => a + b, 0);
+  return total > 0 ? tfr / total : 0;
+};
@@ -0,0 +1,277 @@
+import { MAX_ASFR } from './fertility.js';
+
+// === DATA IMPORT ===
+// Parsers for user-supplied files. They never throw on bad content; instead they
+// return { data, errors } so the UI can show every problem at once. Each error is
+// { column, message }, with column null for problems with the file as a whole.
+//
+// Accepted layouts (column names are case-insensitive):
+//   Human Mortality Database   Population.txt (Year Age Female Male Total),
+//                              fltper_1x1 / mltper_1x1 life tables (Year Age mx qx ax lx …)
+//   Human Fertility Database   asfrRR (Code Year Age ASFR)
+//   UN WPP                     Time/AgeGrpStart with PopMale/PopFemale (thousands),
+//                              ASFR (per 1,000 women), or Sex with mx/qx
+// HMD/HFD text files are whitespace-separated and start with title lines; the
+// header is the first row that has an age column. When a file holds several
+// years, the latest is used. Files with rows for more than one location (WPP
+// Location/LocID, HFD Code) are rejected rather than summed.
+
+// Comma, semicolon or tab separated; otherwise runs of whitespace
+const splitLine = (line) => (/[,;\t]/.test(line) ? line.split(/[,;\t]/) : line.trim().split(/\s+/))
+  .map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+const COLUMN_ALIASES = {
+  age: ['age', 'agegrpstart', 'agestart'],
+  year: ['year', 'time', 'period'],
+  sex: ['sex'],
+  male: ['male', 'popmale', 'males'],
+  female: ['female', 'popfemale', 'females'],
+  asfr: ['asfr'],
+  mx: ['mx', 'm(x,n)'],
+  qx: ['qx', 'q(x,n)'],
+  location: ['location', 'locid', 'country', 'code']
+};
+
+const findColumn = (header, name) => header.findIndex(h => COLUMN_ALIASES[name].includes(h));
+
+// Header row and data rows ({ line, cells }, line numbers 1-based as in the file)
+const readTable = (text) => {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => findColumn(splitLine(line).map(h => h.toLowerCase()), 'age') >= 0);
+  if (headerIndex < 0) return null;
+  return {
+    header: splitLine(lines[headerIndex]).map(h => h.toLowerCase()),
+    rows: lines.slice(headerIndex + 1)
+      .map((line, i) => ({ line: headerIndex + i + 2, cells: splitLine(line) }))
+      .filter(row => row.cells.some(cell => cell !== ''))
+  };
+};
+
+// Keep only the latest year's rows when there is a year column; returns { rows, year }
+const latestYear = (rows, yearColumn) => {
+  if (yearColumn < 0) return { rows, year: null };
+  let latest = null;
+  for (const row of rows) {
+    const cell = row.cells[yearColumn];
+    if (latest === null || parseFloat(cell) >= parseFloat(latest)) latest = cell;
+  }
+  return { rows: rows.filter(row => row.cells[yearColumn] === latest), year: parseInt(latest, 10) || null };
+};
+
+// Error for a file whose rows cover more than one location (none without a location column)
+const locationErrors = (header, rows) => {
+  const column = findColumn(header, 'location');
+  if (column < 0) return [];
+  const locations = [...new Set(rows.map(row => row.cells[column]))];
+  if (locations.length <= 1) return [];
+  const listed = locations.slice(0, 5).join(', ') + (locations.length > 5 ? ', …' : '');
+  return [{ column: 'location', message: `File holds ${locations.length} locations (${listed}); export one location per file` }];
+};
+
+// Ages such as "100+", "12-" or "55+" are read as their lower bound
+const parseAge = (cell) => {
+  const age = parseInt(cell, 10);
+  return Number.isInteger(age) && age >= 0 && /^\d+[+-]?$/.test(cell) ? age : null;
+};
+
+// Parse `cell` as a number in [min, max], recording an error against `column` otherwise
+const readNumber = (cell, column, row, errors, { min = 0, max = Infinity } = {}) => {
+  const value = Number(cell);
+  if (cell === undefined || cell === '' || !Number.isFinite(value)) {
+    errors.push({ column, message: `Line ${row.line}: "${cell ?? ''}" is not a number` });
+    return null;
+  }
+  if (value < min || value > max) {
+    errors.push({ column, message: `Line ${row.line}: ${value} is outside [${min}, ${max === Infinity ? '∞' : max}]` });
+    return null;
+  }
+  return value;
+};
+
+const missingColumns = (header, names) => names
+  .filter(name => findColumn(header, name) < 0)
+  .map(name => ({ column: name, message: `Missing column (expected one of: ${COLUMN_ALIASES[name].join(', ')})` }));
+
+// Population by single year of age and sex.
+// Returns { male, female, year } counts by age; WPP PopMale/PopFemale are in thousands.
+export const parsePopulationCSV = (text) => {
+  const table = readTable(text);
+  if (!table || table.rows.length === 0) {
+    return { data: null, errors: [{ column: null, message: 'File needs a header row with an age column and at least one data row' }] };
+  }
+  const { header } = table;
+  const errors = [...missingColumns(header, ['age', 'male', 'female']), ...locationErrors(header, table.rows)];
+  if (errors.length > 0) return { data: null, errors };
+
+  const columns = { age: findColumn(header, 'age'), male: findColumn(header, 'male'), female: findColumn(header, 'female') };
+  const scale = header[columns.male] === 'popmale' ? 1000 : 1;
+  const { rows, year } = latestYear(table.rows, findColumn(header, 'year'));
+
+  const male = [];
+  const female = [];
+  for (const row of rows) {
+    const age = parseAge(row.cells[columns.age]);
+    if (age === null) {
+      errors.push({ column: 'age', message: `Line ${row.line}: invalid age "${row.cells[columns.age]}"` });
+      continue;
+    }
+    const m = readNumber(row.cells[columns.male], 'male', row, errors);
+    const f = readNumber(row.cells[columns.female], 'female', row, errors);
+    if (m === null || f === null) continue;
+    male[age] = (male[age] || 0) + m * scale;
+    female[age] = (female[age] || 0) + f * scale;
+  }
+
+  return { data: errors.length > 0 ? null : { male, female, year }, errors };
+};
+
+// Age-specific fertility rates by single year of age.
+// Returns { asfr, year, tfr }; rates summing to more than 20 are taken as per 1,000 women (WPP).
+export const parseFertilityCSV = (text) => {
+  const table = readTable(text);
+  if (!table || table.rows.length === 0) {
+    return { data: null, errors: [{ column: null, message: 'File needs a header row with an age column and at least one data row' }] };
+  }
+  const { header } = table;
+  const errors = [...missingColumns(header, ['age', 'asfr']), ...locationErrors(header, table.rows)];
+  if (errors.length > 0) return { data: null, errors };
+
+  const ageColumn = findColumn(header, 'age');
+  const asfrColumn = findColumn(header, 'asfr');
+  const { rows, year } = latestYear(table.rows, findColumn(header, 'year'));
+
+  const raw = [];
+  for (const row of rows) {
+    const age = parseAge(row.cells[ageColumn]);
+    if (age === null) {
+      errors.push({ column: 'age', message: `Line ${row.line}: invalid age "${row.cells[ageColumn]}"` });
+      continue;
+    }
+    const value = readNumber(row.cells[asfrColumn], 'asfr', row, errors);
+    if (value !== null) raw.push({ age, value, row });
+  }
+  if (errors.length > 0) return { data: null, errors };
+
+  const perThousand = raw.reduce((acc, r) => acc + r.value, 0) > 20;
+  const asfr = [];
+  for (const { age, value, row } of raw) {
+    const rate = perThousand ? value / 1000 : value;
+    if (rate > MAX_ASFR) {
+      errors.push({ column: 'asfr', message: `Line ${row.line}: ${rate.toFixed(3)} births per woman exceeds the biological maximum ${MAX_ASFR}` });
+    }
+    asfr[age] = (asfr[age] || 0) + rate;
+  }
+  const filled = Array.from(asfr, v => v || 0);
+  const tfr = filled.reduce((a, b) => a + b, 0);
+  if (tfr <= 0) errors.push({ column: 'asfr', message: 'All rates are zero' });
+
+  return { data: errors.length > 0 ? null : { asfr: filled, year, tfr }, errors };
+};
+
+const SEX_CODES = {
+  male: ['m', 'male', 'males', '1'],
+  female: ['f', 'female', 'females', '2']
+};
+
+// Sex of a single-sex life table from its file name (HMD fltper_/mltper_, or "female"/"male")
+export const sexFromFileName = (name = '') => {
+  const lower = name.toLowerCase();
+  if (/female|fltper/.test(lower)) return 'female';
+  if (/(^|[^e])male|mltper/.test(lower)) return 'male';
+  return null;
+};
+
+// Period life table by single year of age: mx, or qx converted to the hazard −ln(1 − qx).
+// Sex comes from a Sex column (rows for both sexes) or, for HMD single-sex files, from options.sex.
+// Returns { male?, female?, year, measure } with hazards by age.
+export const parseLifeTableCSV = (text, { sex = null } = {}) => {
+  const table = readTable(text);
+  if (!table || table.rows.length === 0) {
+    return { data: null, errors: [{ column: null, message: 'File needs a header row with an age column and at least one data row' }] };
+  }
+  const { header } = table;
+  const errors = [...missingColumns(header, ['age']), ...locationErrors(header, table.rows)];
+  const measure = findColumn(header, 'mx') >= 0 ? 'mx' : findColumn(header, 'qx') >= 0 ? 'qx' : null;
+  if (!measure) errors.push({ column: 'mx', message: 'Missing column (expected mx or qx)' });
+  const sexColumn = findColumn(header, 'sex');
+  if (sexColumn < 0 && !sex) {
+    errors.push({ column: 'sex', message: 'No Sex column; add one, or name the file with "female"/"male" (HMD fltper_/mltper_)' });
+  }
+  if (errors.length > 0) return { data: null, errors };
+
+  const ageColumn = findColumn(header, 'age');
+  const valueColumn = findColumn(header, measure);
+  const { rows, year } = latestYear(table.rows, findColumn(header, 'year'));
+
+  const bySex = { male: [], female: [] };
+  for (const row of rows) {
+    let rowSex = sex;
+    if (sexColumn >= 0) {
+      const code = (row.cells[sexColumn] || '').toLowerCase();
+      rowSex = Object.keys(SEX_CODES).find(key => SEX_CODES[key].includes(code)) ?? null;
+      if (!rowSex) continue; // both-sexes rows
+    }
+    const age = parseAge(row.cells[ageColumn]);
+    if (age === null) {
+      errors.push({ column: 'age', message: `Line ${row.line}: invalid age "${row.cells[ageColumn]}"` });
+      continue;
+    }
+    const value = readNumber(row.cells[valueColumn], measure, row, errors, { min: 0, max: measure === 'qx' ? 1 : Infinity });
+    if (value === null) continue;
+    // qx = 1 in the open age group; keep the hazard finite
+    bySex[rowSex][age] = measure === 'qx' ? -Math.log(Math.max(1 - value, 1e-6)) : value;
+  }
+
+  const data = { year, measure };
+  for (const key of ['male', 'female']) {
+    const rates = bySex[key];
+    if (rates.length === 0) continue;
+    // Ages missing from the file take the previous age's rate
+    for (let age = 0; age < rates.length; age++) {
+      if (rates[age] === undefined) {
+        if (age === 0) errors.push({ column: 'age', message: `No ${key} rate for age 0` });
+        rates[age] = rates[age - 1] ?? 0;
+      }
+    }
+    data[key] = rates;
+  }
+  if (!data.male && !data.female) errors.push({ column: 'sex', message: 'No male or female rows' });
+
+  return { data: errors.length > 0 ? null : data, errors };
+};
+
+export const IMPORT_KINDS = {
+  population: { label: 'Base population' },
+  fertility: { label: 'ASFR' },
+  lifeTable: { label: 'Life table' }
+};
+
+// What a file holds, from its header columns
+export const detectImportKind = (text) => {
+  const table = readTable(text);
+  if (!table) return null;
+  const { header } = table;
+  if (findColumn(header, 'asfr') >= 0) return 'fertility';
+  if (findColumn(header, 'mx') >= 0 || findColumn(header, 'qx') >= 0) return 'lifeTable';
+  if (findColumn(header, 'male') >= 0 || findColumn(header, 'female') >= 0) return 'population';
+  return null;
+};
+
+// Parse any supported file; returns { kind, data, errors }
+export const parseDemographicFile = (text, fileName = '') => {
+  const kind = detectImportKind(text);
+  switch (kind) {
+    case 'fertility':
+      return { kind, ...parseFertilityCSV(text) };
+    case 'lifeTable':
+      return { kind, ...parseLifeTableCSV(text, { sex: sexFromFileName(fileName) }) };
+    case 'population':
+      return { kind, ...parsePopulationCSV(text) };
+    default:
+      return {
+        kind: null,
+        data: null,
+        errors: [{ column: null, message: 'Unrecognized layout: expected an age column plus ASFR, mx/qx, or male and female counts' }]
+      };
+  }
+};
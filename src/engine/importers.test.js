@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { parsePopulationCSV, parseFertilityCSV, parseLifeTableCSV } from './importers.js';
+
+const WPP_POPULATION = [
+  'LocID,Location,Time,AgeGrpStart,PopMale,PopFemale',
+  '4,Afghanistan,2023,0,5.5,5.2',
+  '4,Afghanistan,2023,1,5.1,4.9',
+  '8,Albania,2023,0,5.5,5.3',
+  '8,Albania,2023,1,5.0,4.8'
+].join('\n');
+
+describe('locations', () => {
+  it('rejects a population file with more than one location', () => {
+    const { data, errors } = parsePopulationCSV(WPP_POPULATION);
+    expect(data).toBeNull();
+    expect(errors).toHaveLength(1);
+    expect(errors[0].column).toBe('location');
+    expect(errors[0].message).toContain('2 locations');
+  });
+
+  it('reads a single location in thousands', () => {
+    const single = WPP_POPULATION.split('\n').filter(line => !line.includes('Albania')).join('\n');
+    const { data, errors } = parsePopulationCSV(single);
+    expect(errors).toEqual([]);
+    expect(data.male[0]).toBeCloseTo(5500, 9);
+    expect(data.female[1]).toBeCloseTo(4900, 9);
+  });
+
+  it('rejects fertility and life tables with more than one location', () => {
+    const fertility = 'Code Year Age ASFR\nAUT 2020 20 0.05\nBEL 2020 20 0.06';
+    expect(parseFertilityCSV(fertility).errors[0].column).toBe('location');
+    const lifeTable = 'Location,Time,Sex,AgeGrpStart,mx\nA,2020,Female,0,0.01\nB,2020,Female,0,0.02';
+    expect(parseLifeTableCSV(lifeTable).errors[0].column).toBe('location');
+  });
+});
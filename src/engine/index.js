@@ -0,0 +1,24 @@
+export * from './mortality.js';
+export * from './fertility.js';
+export * from './fertilityModels.js';
+export * from './model.js';
+export * from './schedule.js';
+export * from './lotka.js';
+export * from './initialization.js';
+export * from './importers.js';
+export * from './momentum.js';
+export * from './leslie.js';
+export * from './sensitivity.js';
+export * from './metrics.js';
+export * from './migration.js';
+export * from './replacement.js';
+export * from './lifeTable.js';
+export * from './siler.js';
+export * from './mortalityModels.js';
+export * from './numerics.js';
+export * from './convergence.js';
+export * from './twoSex.js';
+export * from './parity.js';
+export * from './cohorts.js';
+export * from './indicators.js';
+export { scenarios } from './scenarios.js';
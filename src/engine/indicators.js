@@ -0,0 +1,51 @@
+import { FERTILE_AGE_MIN, FERTILE_AGE_MAX } from './fertility.js';
+
+// === PERIOD FERTILITY INDICATORS ===
+// What a statistics office would compute from one year's simulated births,
+// rather than the Σβ(a) fed into the model:
+//
+//   CBR       = 1000 B / P̄                 (P̄: mean of the start and end population)
+//   GFR       = 1000 B / W̄                 (W̄: women's person-years at fertile ages)
+//   f(a)      = B(a) / W̄(a),   TFR = Σₐ f(a)
+//   MAC       = Σₐ (a + ½) f(a) / Σₐ f(a)  (mean age of the rate schedule, free of age structure)
+//   r(t)      = MAC(t) − MAC(t − 1)
+//   TFR*      = TFR / (1 − r)              (Bongaarts–Feeney tempo-adjusted TFR)
+//
+// r is a backward difference, since an entry cannot see the next year; the
+// adjustment is left undefined (null) once the mean age rises by half a year or
+// more in one year, where postponement swamps the quantum.
+
+// Largest annual rise in MAC the tempo adjustment is applied to
+export const MAX_TEMPO_SHIFT = 0.5;
+
+// Observed ASFR f(a) = B(a) / W̄(a) by single age (0 where no women are exposed)
+export const getObservedASFR = (birthsByAge, femaleExposure) =>
+  birthsByAge.map((b, age) => (femaleExposure[age] > 0 ? b / femaleExposure[age] : 0));
+
+// births: total births; birthsByAge, femaleExposure: by single age;
+// population: mean population over the year; previousMAC: last year's MAC (null
+// when there is none, taken as unchanged).
+// Returns { crudeBirthRate, generalFertilityRate, observedTFR,
+// meanAgeAtChildbearing, macChange, tempoAdjustedTFR }.
+export const getPeriodIndicators = ({ births, birthsByAge, femaleExposure, population, previousMAC = null }) => {
+  const asfr = getObservedASFR(birthsByAge, femaleExposure);
+  let observedTFR = 0;
+  let weightedAge = 0;
+  let women = 0;
+  for (let age = FERTILE_AGE_MIN; age < FERTILE_AGE_MAX; age++) {
+    women += femaleExposure[age];
+    const rate = asfr[age];
+    observedTFR += rate;
+    weightedAge += (age + 0.5) * rate;
+  }
+  const meanAgeAtChildbearing = observedTFR > 0 ? weightedAge / observedTFR : previousMAC;
+  const macChange = previousMAC !== null && meanAgeAtChildbearing !== null ? meanAgeAtChildbearing - previousMAC : 0;
+  return {
+    crudeBirthRate: population > 0 ? (1000 * births) / population : 0,
+    generalFertilityRate: women > 0 ? (1000 * births) / women : 0,
+    observedTFR,
+    meanAgeAtChildbearing,
+    macChange,
+    tempoAdjustedTFR: macChange < MAX_TEMPO_SHIFT ? observedTFR / (1 - macChange) : null
+  };
+};
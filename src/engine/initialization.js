@@ -0,0 +1,93 @@
+import { getNetMaternity, solveLotkaR, getStableDistribution } from './lotka.js';
+
+// === INITIAL POPULATION SEEDS ===
+export const INITIALIZATION_MODES = {
+  stable: {
+    label: 'Stable',
+    description: 'Exact stable age-sex structure c(a) ∝ e^{-ra} l(a) for the year-0 rates; no startup transient.'
+  },
+  stationary: {
+    label: 'Stationary l(a)',
+    description: 'Survival-weighted structure split 50/50; only stable when r = 0.'
+  },
+  uniform: {
+    label: 'Uniform',
+    description: 'Equal numbers at every age, split by sex ratio at birth.'
+  },
+  babyBoom: {
+    label: 'Post-baby-boom',
+    description: 'Stable structure with the cohorts aged 0–19 enlarged by 60%.'
+  },
+  imported: {
+    label: 'Imported',
+    description: 'Population by single age and sex from a CSV file (age,male,female) or an HMD / UN WPP population file.'
+  }
+};
+
+// Relative size of the boom cohorts in the post-baby-boom seed
+const BABY_BOOM_FACTOR = 1.6;
+const BABY_BOOM_MAX_AGE = 20; // exclusive
+
+const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+
+const scaleTo = ({ male, female }, total) => {
+  const current = sum(male) + sum(female);
+  const factor = current > 0 ? total / current : 0;
+  return { male: male.map(n => n * factor), female: female.map(n => n * factor) };
+};
+
+// Fit an imported single-age population to numAges, folding older ages into the last bucket
+const fitToAges = (values = [], numAges) => {
+  const fitted = new Array(numAges).fill(0);
+  values.forEach((n, age) => {
+    fitted[Math.min(age, numAges - 1)] += Math.max(0, n || 0);
+  });
+  return fitted;
+};
+
+// Build the year-0 male/female distributions for the chosen seed.
+// `rates` are the model's year-0 rates; returns { male, female, r } where r is the
+// Euler–Lotka intrinsic growth rate of those rates.
+export const seedPopulation = (mode, rates, { numAges, initialPopulation, importedPopulation }) => {
+  const { fertilitySchedule, survivalCurve, maleSurvivalCurve, femaleMortality, maleMortality } = rates;
+  const femaleShare = rates.params.sexRatioBirth;
+  const r = solveLotkaR(getNetMaternity(fertilitySchedule, survivalCurve, femaleShare));
+  const stable = getStableDistribution(Number.isFinite(r) ? r : 0, survivalCurve, maleSurvivalCurve, femaleShare,
+    { femaleMortality, maleMortality });
+
+  switch (mode) {
+    case 'stationary': {
+      // Survival-weighted age structure split 50/50 (the original seed)
+      const both = survivalCurve.map(l => l * 0.5);
+      return { ...scaleTo({ male: both, female: both.slice() }, initialPopulation), r };
+    }
+    case 'uniform':
+      return {
+        ...scaleTo({
+          male: new Array(numAges).fill(1 - femaleShare),
+          female: new Array(numAges).fill(femaleShare)
+        }, initialPopulation),
+        r
+      };
+    case 'babyBoom': {
+      const boom = (n, age) => (age < BABY_BOOM_MAX_AGE ? n * BABY_BOOM_FACTOR : n);
+      return {
+        ...scaleTo({ male: stable.male.map(boom), female: stable.female.map(boom) }, initialPopulation),
+        r
+      };
+    }
+    case 'imported':
+      if (importedPopulation) {
+        // Imported counts are used as-is, not rescaled to initialPopulation
+        return {
+          male: fitToAges(importedPopulation.male, numAges),
+          female: fitToAges(importedPopulation.female, numAges),
+          r
+        };
+      }
+      return { ...scaleTo(stable, initialPopulation), r };
+    case 'stable':
+    default:
+      return { ...scaleTo(stable, initialPopulation), r };
+  }
+};
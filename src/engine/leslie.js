@@ -0,0 +1,171 @@
+import { getNetMaternity } from './lotka.js';
+
+// === LESLIE MATRIX ===
+// The one-year projection in step() written as a matrix, n(t+1) = A n(t), over the
+// stacked vector [females 0..N-1, males 0..N-1]:
+//
+//   A = | F_f   0  |   F_f: first row f_f β(a), sub-diagonal e^{-μ_f(a)}
+//       | F_m  S_m |   F_m: first row (1 - f_f) β(a); S_m: sub-diagonal e^{-μ_m(a)}
+//
+// The open last age group keeps its survivors, so both blocks also carry
+// e^{-μ(N-1)} in their bottom-right corner. The matrix is the female-dominant
+// (one-sex) birth function: births depend only on women, so A is block
+// lower-triangular and its eigenvalues are those of F_f plus the male open-group
+// survival (the rest of S_m is nilpotent). Two-sex birth functions (twoSex.js)
+// are nonlinear in the population and have no Leslie matrix; for them this is
+// the one-sex approximation at the same β(a).
+
+export const buildLeslieMatrix = (rates) => {
+  const { fertilitySchedule, femaleMortality, maleMortality } = rates;
+  const femaleShare = rates.params.sexRatioBirth;
+  const n = fertilitySchedule.length;
+  const size = 2 * n;
+  const matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let age = 0; age < n; age++) {
+    matrix[0][age] = femaleShare * fertilitySchedule[age];
+    matrix[n][age] = (1 - femaleShare) * fertilitySchedule[age];
+    if (age > 0) {
+      matrix[age][age - 1] = Math.exp(-femaleMortality[age - 1]);
+      matrix[n + age][n + age - 1] = Math.exp(-maleMortality[age - 1]);
+    }
+  }
+  matrix[n - 1][n - 1] = Math.exp(-femaleMortality[n - 1]);
+  matrix[size - 1][size - 1] = Math.exp(-maleMortality[n - 1]);
+
+  const labels = [
+    ...Array.from({ length: n }, (_, a) => `F${a}`),
+    ...Array.from({ length: n }, (_, a) => `M${a}`)
+  ];
+  return { size, numAges: n, matrix, labels };
+};
+
+// Sparse (row, col, value) view, for iteration and rendering
+export const getNonZeroEntries = ({ matrix }) => {
+  const entries = [];
+  matrix.forEach((row, i) => row.forEach((value, j) => {
+    if (value !== 0) entries.push({ row: i, col: j, value });
+  }));
+  return entries;
+};
+
+const normalize = (vector, by) => {
+  const total = by(vector);
+  return total > 0 ? vector.map(x => x / total) : vector;
+};
+
+// Power iteration for the dominant eigenvalue and right (or left, with transpose) eigenvector
+const powerIteration = (entries, size, transpose, maxIterations = 5000, tolerance = 1e-13) => {
+  let vector = new Array(size).fill(1 / size);
+  let lambda = 0;
+  for (let i = 0; i < maxIterations; i++) {
+    const next = new Array(size).fill(0);
+    for (const { row, col, value } of entries) {
+      if (transpose) next[col] += value * vector[row];
+      else next[row] += value * vector[col];
+    }
+    const norm = next.reduce((a, b) => a + Math.abs(b), 0);
+    if (norm === 0) return { lambda: 0, vector: next };
+    const nextLambda = norm / vector.reduce((a, b) => a + Math.abs(b), 0);
+    vector = next.map(x => x / norm);
+    if (Math.abs(nextLambda - lambda) < tolerance) return { lambda: nextLambda, vector };
+    lambda = nextLambda;
+  }
+  return { lambda, vector };
+};
+
+// --- complex helpers for the characteristic polynomial ---
+const cAdd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const cSub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const cMul = (a, b) => [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+const cDiv = (a, b) => {
+  const d = b[0] * b[0] + b[1] * b[1];
+  return [(a[0] * b[0] + a[1] * b[1]) / d, (a[1] * b[0] - a[0] * b[1]) / d];
+};
+const cAbs = (a) => Math.hypot(a[0], a[1]);
+
+// Roots of a monic polynomial (coefficients highest degree first) by Durand–Kerner
+const polynomialRoots = (coefficients, maxIterations = 2000, tolerance = 1e-12) => {
+  const degree = coefficients.length - 1;
+  const evaluate = (z) => coefficients.reduce((acc, c) => cAdd(cMul(acc, z), [c, 0]), [0, 0]);
+  let roots = Array.from({ length: degree }, (_, k) => {
+    const angle = (2 * Math.PI * k) / degree + 0.4;
+    return [Math.cos(angle), Math.sin(angle)];
+  });
+  for (let it = 0; it < maxIterations; it++) {
+    let maxChange = 0;
+    roots = roots.map((z, i) => {
+      let denominator = [1, 0];
+      roots.forEach((w, j) => {
+        if (i !== j) denominator = cMul(denominator, cSub(z, w));
+      });
+      const delta = cDiv(evaluate(z), denominator);
+      maxChange = Math.max(maxChange, cAbs(delta));
+      return cSub(z, delta);
+    });
+    if (maxChange < tolerance) break;
+  }
+  return roots;
+};
+
+// Non-zero eigenvalues of the female Leslie matrix: roots of the characteristic
+// polynomial λ^D − Σₐ φ(a) λ^{D−1−a} = 0, with net maternity φ(a) = f_f β(a) l(a)
+// and D = last fertile age + 1 (the others are zero, apart from the open age
+// group's post-reproductive survival e^{-μ(N-1)})
+export const getLeslieEigenvalues = (rates) => {
+  const { fertilitySchedule, survivalCurve } = rates;
+  const netMaternity = getNetMaternity(fertilitySchedule, survivalCurve, rates.params.sexRatioBirth);
+  let last = netMaternity.length - 1;
+  while (last >= 0 && netMaternity[last] === 0) last--;
+  if (last < 0) return [];
+
+  const coefficients = [1, ...netMaternity.slice(0, last + 1).map(phi => -phi)];
+  return polynomialRoots(coefficients)
+    .map(([re, im]) => ({ re, im, modulus: Math.hypot(re, im), argument: Math.atan2(im, re) }))
+    .sort((a, b) => b.modulus - a.modulus);
+};
+
+export const analyzeLeslie = (rates) => {
+  const leslie = buildLeslieMatrix(rates);
+  const entries = getNonZeroEntries(leslie);
+  const { size, numAges } = leslie;
+
+  const right = powerIteration(entries, size, false);
+  const left = powerIteration(entries, size, true);
+  const eigenvalues = getLeslieEigenvalues(rates);
+
+  const lambda = right.lambda;
+  // Subdominant: the largest-modulus eigenvalue with a non-zero imaginary part pair
+  const subdominant = eigenvalues.find((e, i) => i > 0 && Math.abs(e.im) > 1e-10) || eigenvalues[1] || null;
+  const dampingRatio = subdominant && subdominant.modulus > 0 ? lambda / subdominant.modulus : Infinity;
+  const period = subdominant && Math.abs(subdominant.argument) > 1e-10
+    ? (2 * Math.PI) / Math.abs(subdominant.argument)
+    : Infinity;
+
+  // Stable structure w (sums to 1) and reproductive value v (v of newborn girls = 1)
+  const stableStructure = normalize(right.vector, vec => vec.reduce((a, b) => a + b, 0));
+  const reproductiveValue = left.vector[0] > 0 ? left.vector.map(x => x / left.vector[0]) : left.vector;
+
+  return {
+    leslie,
+    entries,
+    lambda,
+    r: Math.log(lambda),
+    eigenvalues,
+    subdominant,
+    dampingRatio,
+    period,
+    // Years for the transient to shrink tenfold relative to the dominant mode
+    convergenceTime: dampingRatio > 1 ? Math.log(10) / Math.log(dampingRatio) : Infinity,
+    stableFemale: stableStructure.slice(0, numAges),
+    stableMale: stableStructure.slice(numAges),
+    reproductiveValueFemale: reproductiveValue.slice(0, numAges),
+    reproductiveValueMale: reproductiveValue.slice(numAges)
+  };
+};
+
+export const leslieToCSV = ({ matrix, labels }) => {
+  const header = ['', ...labels].join(',');
+  const rows = matrix.map((row, i) => [labels[i], ...row.map(v => (v === 0 ? '0' : v.toExponential(8)))].join(','));
+  return [header, ...rows].join('\n');
+};
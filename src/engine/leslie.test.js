@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, analyzeLeslie, getStableAnalytics } from './index.js';
+
+describe('Leslie matrix', () => {
+  [1.4, 2.1, 4].forEach(totalFertility => {
+    it(`has the Lotka λ as its dominant eigenvalue (TFR ${totalFertility})`, () => {
+      const rates = createModel({ totalFertility }).ratesAt(0);
+      const analysis = analyzeLeslie(rates);
+      expect(analysis.lambda).toBeCloseTo(getStableAnalytics(rates).lambda, 8);
+      expect(analysis.eigenvalues[0].re).toBeCloseTo(analysis.lambda, 8);
+      expect(Math.abs(analysis.eigenvalues[0].im)).toBeLessThan(1e-10);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+// === LIFE TABLE ===
+// Period life table by single year of age from age-specific death rates mx:
+//   qx = mx / (1 + (1 − ax) mx)        probability of dying between x and x+1
+//   dx = lx qx,  lx+1 = lx − dx         deaths and survivors from a radix l0
+//   Lx = lx − (1 − ax) dx              person-years lived in [x, x+1)
+//   Tx = Σ_{y≥x} Ly,  ex = Tx / lx     person-years remaining, life expectancy
+// ax is the mean fraction of the year lived by those dying (0.5 below the open
+// age group). The last age is open-ended: qx = 1 and Lx = lx / mx.
+
+export const LIFE_TABLE_RADIX = 100000;
+export const SEPARATION_FACTOR = 0.5;
+
+export const LIFE_TABLE_COLUMNS = ['age', 'mx', 'qx', 'ax', 'lx', 'dx', 'Lx', 'Tx', 'ex'];
+
+// mx: death rates by age; returns one row per age with LIFE_TABLE_COLUMNS
+export const buildLifeTable = (mx, { radix = LIFE_TABLE_RADIX, ax = SEPARATION_FACTOR } = {}) => {
+  const last = mx.length - 1;
+  const rows = [];
+  let lx = radix;
+  for (let age = 0; age <= last; age++) {
+    const m = mx[age];
+    const open = age === last;
+    const rowAx = open ? (m > 0 ? 1 / m : 0) : ax;
+    const qx = open ? 1 : m / (1 + (1 - ax) * m);
+    const dx = lx * qx;
+    const Lx = open ? (m > 0 ? lx / m : 0) : lx - (1 - ax) * dx;
+    rows.push({ age, mx: m, qx, ax: rowAx, lx, dx, Lx, Tx: 0, ex: 0 });
+    lx -= dx;
+  }
+  let Tx = 0;
+  for (let age = last; age >= 0; age--) {
+    Tx += rows[age].Lx;
+    rows[age].Tx = Tx;
+    rows[age].ex = rows[age].lx > 0 ? Tx / rows[age].lx : 0;
+  }
+  return rows;
+};
+
+export const lifeTableToCSV = (tables) => {
+  const header = ['sex', ...LIFE_TABLE_COLUMNS].join(',');
+  const rows = Object.entries(tables).flatMap(([sex, table]) => table.map(row => [
+    sex,
+    row.age === table.length - 1 ? `${row.age}+` : row.age,
+    ...LIFE_TABLE_COLUMNS.slice(1).map(column => row[column].toPrecision(8))
+  ].join(',')));
+  return [header, ...rows].join('\n');
+};
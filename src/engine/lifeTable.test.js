@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, buildLifeTable } from './index.js';
+
+describe('life table', () => {
+  [0.01, 0.05, 0.2].forEach(mu => {
+    it(`gives e(x) = 1/μ at every age for a constant hazard μ = ${mu}`, () => {
+      const table = buildLifeTable(new Array(101).fill(mu));
+      table.forEach(row => expect(row.ex).toBeCloseTo(1 / mu, 9));
+      expect(table[table.length - 1].qx).toBe(1);
+    });
+  });
+
+  it('reports e₀ = 1/μ from a constant imported hazard', () => {
+    const mx = new Array(101).fill(0.025);
+    const rates = createModel({ empiricalMortality: { female: mx, male: mx } }).ratesAt(0);
+    expect(rates.femaleE0).toBeCloseTo(40, 9);
+    expect(rates.maleE0).toBeCloseTo(40, 9);
+  });
+});
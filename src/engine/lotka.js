@@ -0,0 +1,135 @@
+// === STABLE POPULATION THEORY ===
+// In the discrete model, daughters born in year t+1 come from women of age a in
+// year t, who were born a years earlier and survived with probability l(a):
+//   B_f(t+1) = f_f Σₐ β(a) l(a) B_f(t-a)
+// Trying B_f(t) ∝ e^{rt} gives the discrete Euler–Lotka characteristic equation
+//   Σₐ e^{-r(a+1)} f_f β(a) l(a) = 1
+// whose unique real root r is the intrinsic growth rate of the projection under
+// the female-dominant birth function. Two-sex birth functions (twoSex.js) have no
+// such equation in general; for them these analytics are one-sex approximations.
+
+// Net maternity φ(a) = f_f β(a) l(a): expected daughters at age a per newborn girl
+export const getNetMaternity = (fertilitySchedule, survivalCurve, femaleShare) => {
+  return fertilitySchedule.map((beta, age) => femaleShare * beta * survivalCurve[age]);
+};
+
+// `lag`: age at childbearing relative to a, 1 in the discrete model (births reach
+// age 0 a year later), ½ for the continuous equation by the midpoint rule
+const characteristic = (netMaternity, r, lag = 1) => {
+  let value = 0;
+  let slope = 0;
+  for (let age = 0; age < netMaternity.length; age++) {
+    if (netMaternity[age] === 0) continue;
+    const term = netMaternity[age] * Math.exp(-r * (age + lag));
+    value += term;
+    slope -= (age + lag) * term;
+  }
+  return { value: value - 1, slope };
+};
+
+// Solve the characteristic equation for r (Newton's method with a bisection fallback)
+export const solveLotkaR = (netMaternity, tolerance = 1e-12, lag = 1) => {
+  const R0 = netMaternity.reduce((a, b) => a + b, 0);
+  if (R0 <= 0) return -Infinity;
+
+  // Starting guess r ≈ ln(R₀)/T, with T the mean age of net maternity
+  const T = netMaternity.reduce((acc, phi, age) => acc + (age + lag) * phi, 0) / R0;
+  let r = Math.log(R0) / T;
+
+  for (let i = 0; i < 50; i++) {
+    const { value, slope } = characteristic(netMaternity, r, lag);
+    if (Math.abs(value) < tolerance) return r;
+    const next = r - value / slope;
+    if (!Number.isFinite(next)) break;
+    r = next;
+  }
+
+  // Characteristic function decreases monotonically in r: bracket and bisect
+  let lo = -1;
+  let hi = 1;
+  while (characteristic(netMaternity, lo, lag).value < 0) lo *= 2;
+  while (characteristic(netMaternity, hi, lag).value > 0) hi *= 2;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (characteristic(netMaternity, mid, lag).value > 0) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Stable age-sex structure: c(a) ∝ e^{-ra} l(a), births split by the sex ratio at birth.
+// The last (open) group holds every age ≥ x: e^{-rx} l(x) / (1 − e^{-r} P), with P its
+// annual survival e^{-μ(x)} as step() applies it, so the seed is an exact fixed point
+// of the projection. Without the hazards P falls back to l(x) / l(x−1).
+export const getStableDistribution = (r, survivalCurve, maleSurvivalCurve, femaleShare, { femaleMortality, maleMortality } = {}) => {
+  const stable = (curve, share, mortality) => {
+    const dist = curve.map((l, age) => share * Math.exp(-r * age) * l);
+    const last = curve.length - 1;
+    const openSurvival = mortality
+      ? Math.exp(-mortality[last])
+      : last > 0 && curve[last - 1] > 0 ? curve[last] / curve[last - 1] : 0;
+    const retained = Math.exp(-r) * openSurvival;
+    if (last > 0 && retained < 1) dist[last] /= 1 - retained;
+    return dist;
+  };
+  return {
+    male: stable(maleSurvivalCurve, 1 - femaleShare, maleMortality),
+    female: stable(survivalCurve, femaleShare, femaleMortality)
+  };
+};
+
+// Fisher's reproductive value, normalized so v(0) = 1:
+//   v(a) = (e^{ra} / l(a)) Σ_{x≥a} e^{-r(x+1)} φ(x)
+export const getReproductiveValue = (r, netMaternity, survivalCurve) => {
+  const numAges = netMaternity.length;
+  const v = new Array(numAges).fill(0);
+  let tail = 0;
+  for (let age = numAges - 1; age >= 0; age--) {
+    tail += Math.exp(-r * (age + 1)) * netMaternity[age];
+    v[age] = survivalCurve[age] > 0 ? (Math.exp(r * age) / survivalCurve[age]) * tail : 0;
+  }
+  return v;
+};
+
+// Stable-population summary of a set of year-specific rates
+export const getStableAnalytics = (rates) => {
+  const { fertilitySchedule, survivalCurve, maleSurvivalCurve } = rates;
+  const femaleShare = rates.params.sexRatioBirth;
+  const netMaternity = getNetMaternity(fertilitySchedule, survivalCurve, femaleShare);
+  const R0 = netMaternity.reduce((a, b) => a + b, 0);
+  const r = solveLotkaR(netMaternity);
+  const lambda = Math.exp(r);
+
+  // Mean age of childbearing: stationary (r = 0) vs stable (discounted by e^{-r(a+1)})
+  let stableWeight = 0;
+  let stableAgeSum = 0;
+  let stationaryAgeSum = 0;
+  netMaternity.forEach((phi, age) => {
+    const discounted = Math.exp(-r * (age + 1)) * phi;
+    stableWeight += discounted;
+    stableAgeSum += age * discounted;
+    stationaryAgeSum += age * phi;
+  });
+
+  // Intrinsic birth rate: births per person in the two-sex stable population,
+  // b = 1 / Σₐ e^{-ra} [f_f l_f(a) + (1 - f_f) l_m(a)] (births normalized to 1)
+  const stablePersons = survivalCurve.reduce((acc, lf, age) => {
+    return acc + Math.exp(-r * age) * (femaleShare * lf + (1 - femaleShare) * maleSurvivalCurve[age]);
+  }, 0);
+  const birthRate = stablePersons > 0 ? 1 / stablePersons : 0;
+  // Intrinsic death rate closes the balance λ − 1 = b − d
+  const deathRate = birthRate - (lambda - 1);
+
+  return {
+    R0,
+    r,
+    lambda,
+    birthRate,
+    deathRate,
+    meanAgeStationary: R0 > 0 ? stationaryAgeSum / R0 : 0,
+    meanAgeStable: stableWeight > 0 ? stableAgeSum / stableWeight : 0,
+    // Mean length of generation T = ln(R₀) / r
+    generationLength: Math.abs(r) > 1e-9 ? Math.log(R0) / r : (R0 > 0 ? stationaryAgeSum / R0 + 1 : 0),
+    reproductiveValue: getReproductiveValue(r, netMaternity, survivalCurve)
+  };
+};
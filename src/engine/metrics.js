@@ -0,0 +1,29 @@
+import { findMedianAge } from './model.js';
+import { getStableAnalytics } from './lotka.js';
+
+// Headline metrics (the MetricBox row) for one run at a given history index,
+// so several runs can be compared on the same footing
+export const getRunMetrics = (model, history, index = history.length - 1) => {
+  const entry = history[index];
+  if (!entry) return null;
+  const rates = model.ratesAt(entry.time);
+  const analytics = getStableAnalytics(rates);
+  // Average annual growth over the last 10 years of history
+  const earlier = history[Math.max(0, index - 10)];
+  const years = index - Math.max(0, index - 10);
+  const growthRate = years > 0 && earlier.population > 0
+    ? (Math.pow(entry.population / earlier.population, 1 / years) - 1) * 100
+    : 0;
+
+  return {
+    year: entry.time,
+    population: entry.population,
+    growthRate,
+    intrinsicR: analytics.r,
+    R0: analytics.R0,
+    generationTime: entry.meanParentAge,
+    dependencyRatio: entry.dependencyRatio,
+    medianAge: findMedianAge(entry.ageDistribution),
+    e0: rates.femaleE0
+  };
+};
@@ -0,0 +1,46 @@
+// === MIGRATION ===
+// Net migration is distributed over age and sex by a Rogers–Castro model
+// migration schedule (Rogers & Castro 1981):
+//   m(x) = a₁ e^{-α₁x}                                  childhood (migrating with parents)
+//        + a₂ exp(-α₂(x-μ₂) - e^{-λ₂(x-μ₂)})            labour-force peak
+//        + a₃ exp(-α₃(x-μ₃) - e^{-λ₃(x-μ₃)})            retirement peak
+//        + c                                             constant
+// Only the shape matters here: schedules are normalized to sum to 1 and
+// scaled by the annual net migration volume.
+
+export const MIGRATION_UNITS = {
+  count: { label: 'Persons / yr', description: 'Net migrants per year' },
+  rate: { label: '‰ / yr', description: 'Net migrants per 1,000 population per year' }
+};
+
+// Standard schedule parameters; women peak about two years younger than men
+export const ROGERS_CASTRO_DEFAULTS = {
+  male: { a1: 0.02, alpha1: 0.1, a2: 0.06, alpha2: 0.1, mu2: 22, lambda2: 0.4, a3: 0, alpha3: 0.6, mu3: 65, lambda3: 0.2, c: 0.003 },
+  female: { a1: 0.02, alpha1: 0.1, a2: 0.06, alpha2: 0.12, mu2: 20, lambda2: 0.45, a3: 0, alpha3: 0.6, mu3: 65, lambda3: 0.2, c: 0.003 }
+};
+
+const peakComponent = (x, a, alpha, mu, lambda) => a * Math.exp(-alpha * (x - mu) - Math.exp(-lambda * (x - mu)));
+
+// Rogers–Castro rate at age x
+export const getRogersCastroRate = (x, rc) =>
+  rc.a1 * Math.exp(-rc.alpha1 * x)
+  + peakComponent(x, rc.a2, rc.alpha2, rc.mu2, rc.lambda2)
+  + peakComponent(x, rc.a3, rc.alpha3, rc.mu3, rc.lambda3)
+  + rc.c;
+
+// Age distribution of migrants (sums to 1), evaluated at mid-age a + 0.5
+export const getMigrationAgeShares = (rc, numAges = 100) => {
+  const rates = Array.from({ length: numAges }, (_, age) => getRogersCastroRate(age + 0.5, rc));
+  const total = rates.reduce((a, b) => a + b, 0);
+  return rates.map(r => (total > 0 ? r / total : 1 / numAges));
+};
+
+// Annual net migrants from the model parameters; `population` is the start-of-year total
+export const getNetMigrationVolume = (params, population) =>
+  params.migrationUnit === 'rate' ? (params.netMigration / 1000) * population : params.netMigration;
+
+// Net migrants by single age and sex for a given volume
+export const getMigrationFlows = (volume, femaleShare, shares) => ({
+  female: shares.female.map(s => volume * femaleShare * s),
+  male: shares.male.map(s => volume * (1 - femaleShare) * s)
+});
@@ -0,0 +1,534 @@
+import { getSilerHazard, getSurvivalCurveFromRates } from './mortality.js';
+import { getModelMortality, applyOldAgeClosure, getLeeCarterAgePattern, applyLeeCarter } from './mortalityModels.js';
+import { buildLifeTable } from './lifeTable.js';
+import { getFertilitySchedule, getEmpiricalFertilitySchedule, FERTILE_AGE_MIN, FERTILE_AGE_MAX } from './fertility.js';
+import { getModelFertilitySchedule } from './fertilityModels.js';
+import { refineToGrid, aggregateGrid, integrateYear } from './numerics.js';
+import { getPairingSchedule, getTwoSexBirths } from './twoSex.js';
+import {
+  getParityHazards, getCohortParityShares, getParityFertility, advanceParityShares, getParityDistribution,
+  DEFAULT_PARITY_PROGRESSION, DEFAULT_BIRTH_INTERVAL
+} from './parity.js';
+import { resolveParams } from './schedule.js';
+import { seedPopulation } from './initialization.js';
+import { getObservedASFR, getPeriodIndicators } from './indicators.js';
+import {
+  ROGERS_CASTRO_DEFAULTS, getMigrationAgeShares, getNetMigrationVolume, getMigrationFlows
+} from './migration.js';
+
+// === DEMOGRAPHIC CONSTANTS ===
+// Single ages 0 … maxAge − 1 plus an open-ended terminal group maxAge+, whose
+// survivors stay in it from year to year
+export const MAX_AGE_OPTIONS = [100, 110, 120];
+export const DEFAULT_MAX_AGE = 100;
+export const NUM_AGES = DEFAULT_MAX_AGE + 1;
+// Biological sex ratio at birth: ~1.05 M:F (0.512 male, 0.488 female)
+export const BIOLOGICAL_SRB_FEMALE = 0.488;
+
+export const DEFAULT_PARAMS = {
+  numAges: NUM_AGES,
+  totalFertility: 2.1,     // TFR
+  lifeExpectancy: 75,      // e₀ (slider controls female mortality)
+  peakAge: 27,             // mode of fertility
+  spread: 7,               // σ for fertility curve
+  secondPeak: null,        // second mode (bimodal scenario)
+  sexRatioBirth: BIOLOGICAL_SRB_FEMALE, // Proportion female at birth
+  initialPopulation: 10000,
+  // Starting age-sex structure (see INITIALIZATION_MODES)
+  initialization: 'stable',
+  // { male: [...], female: [...] } by single age, for initialization 'imported'
+  importedPopulation: null,
+  // Keyframed parameters by simulated year, e.g. { peakAge: [{ year: 0, value: 25 }, ...] }
+  schedule: null,
+  // Treat scheduled peak-age changes as cohort postponement (Bongaarts–Feeney):
+  // period ASFR is scaled by (1 - r), r = annual shift in timing, so that
+  // totalFertility is the cohort (quantum) TFR and period TFR is tempo-distorted
+  tempoEffect: false,
+  // Net migration per year, in persons ('count') or per 1,000 population ('rate'),
+  // distributed by age with a Rogers–Castro schedule per sex
+  netMigration: 0,
+  migrationUnit: 'count',
+  migrantFemaleShare: 0.5,
+  migrationSchedule: ROGERS_CASTRO_DEFAULTS,
+  // Imported schedules replacing the parametric ones: ASFR by age (rescaled to
+  // totalFertility) and { male, female } hazards by age (either sex may be absent)
+  empiricalFertility: null,
+  empiricalMortality: null,
+  // Age pattern of fertility (see FERTILITY_MODELS); 'gaussian' uses peakAge,
+  // spread and secondPeak, the others their own fertilityModelParams
+  fertilityModel: 'gaussian',
+  fertilityModelParams: {},
+  // Hand-set or fitted Siler parameters { female, male } ({ alpha1, beta1, alpha2,
+  // alpha3, beta3 } each); they take precedence over imported rates and e₀
+  silerParameters: null,
+  // Mortality law behind the e₀ slider (see MORTALITY_MODELS) and how hazards are
+  // closed at old ages ('cap' or 'kannisto', see OLD_AGE_CLOSURES)
+  mortalityModel: 'siler',
+  mortalityModelParams: {},
+  oldAgeClosure: 'cap',
+  // Lee–Carter improvement: k(t) = leeCarterDrift × t applied to every schedule above,
+  // held at its value in year leeCarterFrozenAt and after (null: keeps drifting)
+  leeCarter: false,
+  leeCarterDrift: -1,
+  leeCarterFrozenAt: null,
+  // PDE scheme ('euler' or 'characteristics', see SOLVERS) and sub-steps per year
+  // (Δt = Δa = 1 / substeps, see TIME_STEPS)
+  solver: 'euler',
+  substeps: 1,
+  // Birth function (see TWO_SEX_MODELS) and mean age gap between male and female partners
+  twoSexModel: 'female',
+  partnerAgeGap: 3,
+  // Parity-progression fertility (see parity.js): replaces the ASFR schedule with
+  // births from women tracked by parity; peakAge / spread set the age at first birth
+  parityModel: false,
+  parityProgression: DEFAULT_PARITY_PROGRESSION,
+  birthInterval: DEFAULT_BIRTH_INTERVAL
+};
+
+const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+
+// Find median age of population
+export const findMedianAge = (dist) => {
+  const total = sum(dist);
+  let cumulative = 0;
+  for (let age = 0; age < dist.length; age++) {
+    cumulative += dist[age];
+    if (cumulative >= total / 2) return age;
+  }
+  return 50;
+};
+
+// Women at the usual ages of first union; men are taken `gap` years older
+export const MARRIAGE_AGES = [20, 30];
+
+// Men per woman at marriage ages: M[20+g, 30+g) / F[20, 30)
+export const getMarriageSexRatio = (male, female, gap = 0) => {
+  const [from, to] = MARRIAGE_AGES;
+  const shift = Math.round(gap);
+  const women = sum(female.slice(from, to));
+  return women > 0 ? sum(male.slice(from + shift, to + shift)) / women : 0;
+};
+
+// DR = (N₀₋₁₄ + N₆₅₊) / N₁₅₋₆₄
+export const getDependencyRatio = (dist) => {
+  const young = sum(dist.slice(0, 15));
+  const old = sum(dist.slice(65));
+  const working = sum(dist.slice(15, 65));
+  return working > 0 ? (young + old) / working : 0;
+};
+
+// Births, births by mother's age and mean age of mothers from a female
+// distribution and ASFR schedule
+const computeBirths = (fertilitySchedule, women) => {
+  let births = 0;
+  let weightedAgeSum = 0;
+  const byAge = new Array(women.length).fill(0);
+  for (let age = FERTILE_AGE_MIN; age < FERTILE_AGE_MAX; age++) {
+    const birthsFromAge = fertilitySchedule[age] * women[age];
+    births += birthsFromAge;
+    weightedAgeSum += age * birthsFromAge;
+    byAge[age] = birthsFromAge;
+  }
+  return { births, weightedAgeSum, byAge };
+};
+
+// Headless McKendrick-von Foerster model.
+// Rate schedules are derived from `params` (and its time-varying `schedule`) and
+// cached per simulated year; initialize/step/project are pure functions of the
+// state they are given, so the same model can drive the React component, a
+// worker or a Node script.
+export const createModel = (params = {}) => {
+  const p = { ...DEFAULT_PARAMS, ...params };
+  const { numAges } = p;
+
+  const paramsAt = (year) => resolveParams(p, p.schedule, year);
+
+  // Age shares of migrants by sex (the volume may be scheduled, the shape is fixed)
+  const migrationShares = {
+    male: getMigrationAgeShares(p.migrationSchedule.male, numAges),
+    female: getMigrationAgeShares(p.migrationSchedule.female, numAges)
+  };
+  // `volume` (persons) overrides the scheduled net migration when given
+  const migrationFlowsAt = (year, population, volume = getNetMigrationVolume(paramsAt(year), population)) => {
+    const yearParams = paramsAt(year);
+    return getMigrationFlows(volume, yearParams.migrantFemaleShare, migrationShares);
+  };
+
+  // Imported hazards fitted to numAges; the last age's rate continues beyond the table
+  const fitRates = (rates) => (rates?.length
+    ? Array.from({ length: numAges }, (_, a) => rates[Math.min(a, rates.length - 1)])
+    : null);
+
+  // Mortality depends only on e₀ and the Lee–Carter index k(t), so it is cached
+  // separately from fertility. Custom Siler parameters, then an imported life
+  // table, replace the e₀-driven mortality law for the sexes they cover.
+  const silerRates = (siler) => (siler
+    ? applyOldAgeClosure(Array.from({ length: numAges }, (_, a) => getSilerHazard(a, siler)), p.oldAgeClosure)
+    : null);
+  const baseMortalityCache = new Map();
+  const baseMortalityFor = (e0) => {
+    if (!baseMortalityCache.has(e0)) {
+      const law = getModelMortality(p.mortalityModel, p.mortalityModelParams, e0, { numAges, closure: p.oldAgeClosure });
+      baseMortalityCache.set(e0, {
+        female: silerRates(p.silerParameters?.female) ?? fitRates(p.empiricalMortality?.female) ?? law.female,
+        male: silerRates(p.silerParameters?.male) ?? fitRates(p.empiricalMortality?.male) ?? law.male
+      });
+    }
+    return baseMortalityCache.get(e0);
+  };
+  const leeCarterPattern = p.leeCarter ? getLeeCarterAgePattern(numAges) : null;
+  const leeCarterIndexAt = (year) => (p.leeCarter
+    ? p.leeCarterDrift * (p.leeCarterFrozenAt === null ? year : Math.min(year, p.leeCarterFrozenAt))
+    : 0);
+
+  const mortalityCache = new Map();
+  const mortalityFor = (e0, kt = 0) => {
+    const key = `${e0}|${kt}`;
+    if (!mortalityCache.has(key)) {
+      const base = baseMortalityFor(e0);
+      const femaleMortality = kt ? applyLeeCarter(base.female, leeCarterPattern, kt, p.oldAgeClosure) : base.female;
+      const maleMortality = kt ? applyLeeCarter(base.male, leeCarterPattern, kt, p.oldAgeClosure) : base.male;
+      // Female survival curve (baseline - used for R₀ calculation)
+      const survivalCurve = getSurvivalCurveFromRates(femaleMortality);
+      // Male survival curve (higher mortality)
+      const maleSurvivalCurve = getSurvivalCurveFromRates(maleMortality);
+      // Headline e₀ from the full life table (a = 0.5, open last age group)
+      const femaleLifeTable = buildLifeTable(femaleMortality);
+      const maleLifeTable = buildLifeTable(maleMortality);
+      mortalityCache.set(key, {
+        leeCarterIndex: kt,
+        femaleMortality,
+        maleMortality,
+        survivalCurve,
+        maleSurvivalCurve,
+        femaleLifeTable,
+        maleLifeTable,
+        femaleE0: femaleLifeTable[0].ex,
+        maleE0: maleLifeTable[0].ex
+      });
+    }
+    return mortalityCache.get(key);
+  };
+
+  // Annual shift in fertility timing, r(t) = d(peakAge)/dt (central difference)
+  const tempoShiftAt = (year) => {
+    if (!p.tempoEffect || !p.schedule?.peakAge) return 0;
+    return paramsAt(year + 0.5).peakAge - paramsAt(year - 0.5).peakAge;
+  };
+
+  const ratesCache = new Map();
+  const ratesAt = (year) => {
+    const yearParams = paramsAt(year);
+    const { totalFertility, lifeExpectancy, peakAge, spread, secondPeak, sexRatioBirth } = yearParams;
+    const tempoShift = tempoShiftAt(year);
+    // Period TFR under postponement: TFR_period = TFR_cohort × (1 - r)
+    const periodTFR = totalFertility * Math.max(0, 1 - tempoShift);
+    const leeCarterIndex = leeCarterIndexAt(year);
+    const key = [periodTFR, lifeExpectancy, leeCarterIndex, peakAge, spread, secondPeak, sexRatioBirth].join('|');
+
+    if (!ratesCache.has(key)) {
+      const mortality = mortalityFor(lifeExpectancy, leeCarterIndex);
+      // Parity model: the schedule of a synthetic cohort under this year's hazards
+      const parityHazards = p.parityModel
+        ? getParityHazards({ firstBirthAge: peakAge, firstBirthSD: spread, progression: p.parityProgression, interval: p.birthInterval })
+        : null;
+      const parityShares = parityHazards && getCohortParityShares(parityHazards);
+      const fertilitySchedule = parityHazards
+        ? getParityFertility(parityShares, parityHazards, numAges).asfr
+        : p.empiricalFertility
+          ? getEmpiricalFertilitySchedule(p.empiricalFertility, periodTFR, numAges)
+          : p.fertilityModel !== 'gaussian'
+            ? getModelFertilitySchedule(p.fertilityModel, p.fertilityModelParams, periodTFR, numAges)
+            : getFertilitySchedule(peakAge, spread, secondPeak || null, periodTFR, numAges);
+      // Net Reproduction Rate: R₀ = SRB_female × Σ β(a) × l(a)
+      const netReproductionRate = fertilitySchedule.reduce((acc, beta, age) => {
+        return acc + sexRatioBirth * beta * mortality.survivalCurve[age];
+      }, 0);
+      ratesCache.set(key, {
+        params: yearParams,
+        tempoShift,
+        fertilitySchedule,
+        parityHazards,
+        parityShares,
+        ...mortality,
+        netReproductionRate,
+        // Couple cells of the two-sex birth function (null when births depend on women only)
+        pairing: p.twoSexModel !== 'female'
+          ? getPairingSchedule(fertilitySchedule, mortality.survivalCurve, mortality.maleSurvivalCurve,
+            { ageGap: p.partnerAgeGap, femaleShare: BIOLOGICAL_SRB_FEMALE })
+          : null,
+        // Parameters recorded alongside every history entry
+        recordedParams: {
+          lifeExpectancy,
+          totalFertility,
+          peakFertilityAge: peakAge,
+          fertilitySpread: spread,
+          sexRatioBirth
+        }
+      });
+    }
+    return ratesCache.get(key);
+  };
+
+  // Parity fields of a history entry: shares by age, the year's births per woman
+  // by order and the completed family sizes of women leaving the fertile ages
+  const parityRecord = (shares, byOrder) => {
+    const completedParity = getParityDistribution(shares);
+    return {
+      parityShares: shares,
+      periodTFRByOrder: byOrder,
+      completedParity,
+      childlessness: completedParity[0],
+      completedFertility: completedParity.reduce((acc, share, k) => acc + k * share, 0)
+    };
+  };
+
+  // Seed the year-0 population (stable age-sex structure by default)
+  const initialize = () => {
+    const rates = ratesAt(0);
+    const { fertilitySchedule, femaleMortality, maleMortality } = rates;
+    const seed = seedPopulation(p.initialization, rates, p);
+    const initialMale = seed.male;
+    const initialFemale = seed.female;
+    const initial = initialMale.map((m, age) => m + initialFemale[age]);
+
+    const { births, weightedAgeSum, byAge } = rates.pairing
+      ? getTwoSexBirths(p.twoSexModel, rates.pairing, initialFemale, initialMale)
+      : computeBirths(fertilitySchedule, initialFemale);
+
+    // Deaths expected over the first year, each sex at its own rates
+    const expectedDeaths = (dist, mortality) => dist.reduce((acc, n, age) => acc + n * (1 - Math.exp(-mortality[age])), 0);
+    const femaleDeaths = expectedDeaths(initialFemale, femaleMortality);
+    const maleDeaths = expectedDeaths(initialMale, maleMortality);
+
+    // Migration expected over the first year (applied by the first step)
+    const flows = migrationFlowsAt(0, sum(initial));
+
+    // Cumulative births per woman by age, assuming the year-0 births per woman
+    // (as realized, e.g. under a two-sex birth function) held in the past
+    const observedASFR = getObservedASFR(byAge, initialFemale);
+    const cumulativeFertility = new Array(numAges).fill(0);
+    for (let age = 1; age < numAges; age++) {
+      cumulativeFertility[age] = cumulativeFertility[age - 1] + observedASFR[age - 1];
+    }
+
+    return {
+      time: 0,
+      population: sum(initial),
+      births,
+      deaths: femaleDeaths + maleDeaths,
+      femaleDeaths,
+      maleDeaths,
+      netMigration: sum(flows.male) + sum(flows.female),
+      meanParentAge: births > 0 ? weightedAgeSum / births : rates.params.peakAge,
+      dependencyRatio: getDependencyRatio(initial),
+      fertileWomen: sum(initialFemale.slice(FERTILE_AGE_MIN, FERTILE_AGE_MAX)),
+      periodTFR: sum(fertilitySchedule),
+      cohortTFR: cumulativeFertility[FERTILE_AGE_MAX],
+      // Period indicators from the year-0 births (mean age taken as unchanged)
+      ...getPeriodIndicators({ births, birthsByAge: byAge, femaleExposure: initialFemale, population: sum(initial) }),
+      ageDistribution: initial,
+      maleDistribution: initialMale,
+      femaleDistribution: initialFemale,
+      cumulativeFertility,
+      // "Missing girls" are counted from year 0 on
+      missingGirls: 0,
+      cumulativeMissingGirls: 0,
+      missingFemaleDistribution: new Array(numAges).fill(0),
+      marriageSexRatio: getMarriageSexRatio(initialMale, initialFemale, p.partnerAgeGap),
+      // Women start in the composition of the year-0 synthetic cohort
+      ...(rates.parityShares && parityRecord(rates.parityShares, getParityFertility(rates.parityShares, rates.parityHazards, numAges).byOrder)),
+      ...rates.recordedParams
+    };
+  };
+
+  // Simulation step: one year of the McKendrick-von Foerster PDE with the chosen
+  // scheme and sub-steps (see numerics.js). Females and males are projected with
+  // their own mortality; the total, deaths and dependency ratio are derived from
+  // them. The last age group is open: its survivors stay in it alongside the new
+  // arrivals. With sub-annual steps the state also carries the fine age grid, so
+  // within-year ages survive between steps; a state without one (e.g. from
+  // initialize) is spread evenly.
+  // options.netMigration (persons) replaces the model's own migration for this step.
+  const step = (state, options = {}) => {
+    const baseRates = ratesAt(state.time);
+    // Under the parity model this year's ASFR comes from the women's actual parity
+    // composition, which lags behind the hazards after any change in timing
+    const parityShares = p.parityModel ? state.parityShares ?? baseRates.parityShares : null;
+    const parityFertility = parityShares && getParityFertility(parityShares, baseRates.parityHazards, numAges);
+    let rates = baseRates;
+    if (parityShares) {
+      const { asfr } = parityFertility;
+      rates = {
+        ...baseRates,
+        fertilitySchedule: asfr,
+        pairing: baseRates.pairing && getPairingSchedule(asfr, baseRates.survivalCurve, baseRates.maleSurvivalCurve,
+          { ageGap: p.partnerAgeGap, femaleShare: BIOLOGICAL_SRB_FEMALE })
+      };
+    }
+    const { fertilitySchedule } = rates;
+    const { substeps, solver } = p;
+    const fineGrid = state.grid?.substeps === substeps ? state.grid : null;
+    const grids = {
+      female: fineGrid?.female ?? refineToGrid(state.femaleDistribution, substeps),
+      male: fineGrid?.male ?? refineToGrid(state.maleDistribution, substeps)
+    };
+
+    const next = integrateYear(grids, rates, { numAges, substeps, solver, twoSexModel: p.twoSexModel });
+    const { births, femaleDeaths, maleDeaths, weightedAgeSum } = next;
+    const meanParentAge = births > 0 ? weightedAgeSum / births : rates.params.peakAge;
+    const newFemale = aggregateGrid(next.female, substeps);
+    const newMale = aggregateGrid(next.male, substeps);
+    const beforeMigration = { female: newFemale.slice(), male: newMale.slice() };
+
+    // Net migration at the end of the interval; emigration cannot exceed the survivors
+    const flows = migrationFlowsAt(state.time, state.population, options.netMigration);
+    let netMigration = 0;
+    for (let age = 0; age < numAges; age++) {
+      const female = Math.max(flows.female[age], -newFemale[age]);
+      const male = Math.max(flows.male[age], -newMale[age]);
+      newFemale[age] += female;
+      newMale[age] += male;
+      netMigration += female + male;
+    }
+    const newDist = newMale.map((m, age) => m + newFemale[age]);
+
+    // Migrants join each single-year group's cells in proportion to their contents
+    const migrateGrid = (grid, before, after) => grid.map((n, i) => {
+      const age = i === grid.length - 1 ? numAges - 1 : Math.floor(i / substeps);
+      if (before[age] > 0) return n * (after[age] / before[age]);
+      return i === grid.length - 1 ? after[age] : after[age] / substeps;
+    });
+
+    // Each cohort accumulates this year's realized births per woman (births by
+    // mother's age over women's person-years) as it ages one year; under a two-sex
+    // birth function these fall short of β(a) when partners are scarce
+    const observedASFR = getObservedASFR(next.birthsByAge, next.femaleExposure);
+    const cumulativeFertility = new Array(numAges).fill(0);
+    for (let age = 1; age < numAges; age++) {
+      cumulativeFertility[age] = state.cumulativeFertility[age - 1] + observedASFR[age - 1];
+    }
+
+    // Girls not born relative to the biological sex ratio at birth (negative for a
+    // female surplus). The missing women are aged with female mortality, so their
+    // cohorts can be followed up the pyramid.
+    const missingGirls = births * (BIOLOGICAL_SRB_FEMALE - rates.params.sexRatioBirth);
+    const previousMissing = state.missingFemaleDistribution ?? new Array(numAges).fill(0);
+    const missingFemaleDistribution = new Array(numAges).fill(0);
+    missingFemaleDistribution[0] = missingGirls;
+    for (let age = 0; age < numAges; age++) {
+      missingFemaleDistribution[Math.min(age + 1, numAges - 1)] += previousMissing[age] * Math.exp(-rates.femaleMortality[age]);
+    }
+
+    return {
+      time: state.time + 1,
+      population: sum(newDist),
+      births,
+      deaths: femaleDeaths + maleDeaths,
+      femaleDeaths,
+      maleDeaths,
+      netMigration,
+      meanParentAge,
+      dependencyRatio: getDependencyRatio(newDist),
+      fertileWomen: sum(state.femaleDistribution.slice(FERTILE_AGE_MIN, FERTILE_AGE_MAX)),
+      // Period TFR: Σβ(a) applied this year
+      periodTFR: sum(fertilitySchedule),
+      // Cohort TFR: completed fertility of the cohort just leaving the fertile window
+      cohortTFR: cumulativeFertility[FERTILE_AGE_MAX],
+      // Indicators observed from this year's births (see indicators.js)
+      ...getPeriodIndicators({
+        births,
+        birthsByAge: next.birthsByAge,
+        femaleExposure: next.femaleExposure,
+        population: (state.population + sum(newDist)) / 2,
+        previousMAC: state.meanAgeAtChildbearing ?? null
+      }),
+      ageDistribution: newDist,
+      maleDistribution: newMale,
+      femaleDistribution: newFemale,
+      cumulativeFertility,
+      missingGirls,
+      cumulativeMissingGirls: (state.cumulativeMissingGirls ?? 0) + missingGirls,
+      missingFemaleDistribution,
+      marriageSexRatio: getMarriageSexRatio(newMale, newFemale, p.partnerAgeGap),
+      ...(parityShares && parityRecord(advanceParityShares(parityShares, rates.parityHazards), parityFertility.byOrder)),
+      ...(substeps > 1 && {
+        grid: {
+          substeps,
+          female: migrateGrid(next.female, beforeMigration.female, newFemale),
+          male: migrateGrid(next.male, beforeMigration.male, newMale)
+        }
+      }),
+      ...rates.recordedParams
+    };
+  };
+
+  // Run `years` steps from `state`; returns [state, ...years new states]
+  const project = (state, years) => {
+    const trajectory = [state];
+    let current = state;
+    for (let i = 0; i < years; i++) {
+      current = step(current);
+      trajectory.push(current);
+    }
+    return trajectory;
+  };
+
+  // Per-step diagnostics shown in the Debug panel
+  const diagnostics = (state) => {
+    const rates = ratesAt(state.time);
+    const { fertilitySchedule } = rates;
+    const maxASFR = Math.max(...fertilitySchedule);
+    return {
+      births: state.births,
+      deaths: state.deaths,
+      femaleDeaths: state.femaleDeaths,
+      maleDeaths: state.maleDeaths,
+      netMigration: state.netMigration,
+      birthDeathRatio: state.deaths > 0 ? state.births / state.deaths : 0,
+      fertilitySum: sum(fertilitySchedule),
+      maxASFR,
+      peakAge: fertilitySchedule.indexOf(maxASFR),
+      fertileWomen: state.fertileWomen,
+      dependencyRatio: state.dependencyRatio,
+      medianAge: findMedianAge(state.ageDistribution),
+      periodTFR: state.periodTFR,
+      cohortTFR: state.cohortTFR,
+      crudeBirthRate: state.crudeBirthRate,
+      generalFertilityRate: state.generalFertilityRate,
+      observedTFR: state.observedTFR,
+      meanAgeAtChildbearing: state.meanAgeAtChildbearing,
+      macChange: state.macChange,
+      tempoAdjustedTFR: state.tempoAdjustedTFR,
+      actualE0: rates.femaleE0,
+      leeCarterIndex: rates.leeCarterIndex,
+      cumulativeMissingGirls: state.cumulativeMissingGirls ?? 0,
+      missingWomen: sum(state.missingFemaleDistribution ?? []),
+      marriageSexRatio: state.marriageSexRatio,
+      // Births under the two-sex function relative to the female-dominant births
+      // from the same population (< 1: a shortage of partners of the right age)
+      partnerSqueeze: rates.pairing
+        ? getTwoSexBirths(p.twoSexModel, rates.pairing, state.femaleDistribution, state.maleDistribution).births
+          / (computeBirths(fertilitySchedule, state.femaleDistribution).births || 1)
+        : 1,
+      // Invariant: the total is the sum of the sexes (≈ 0 up to rounding)
+      distributionResidual: state.ageDistribution.reduce((worst, n, age) =>
+        Math.max(worst, Math.abs(n - state.maleDistribution[age] - state.femaleDistribution[age])), 0)
+    };
+  };
+
+  return {
+    // Year-0 rates, for callers that do not use schedules
+    ...ratesAt(0),
+    params: p,
+    numAges,
+    mortalityCurve: ratesAt(0).femaleMortality,
+    maleMortalityCurve: ratesAt(0).maleMortality,
+    paramsAt,
+    ratesAt,
+    initialize,
+    step,
+    project,
+    diagnostics
+  };
+};
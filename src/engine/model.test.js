@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createModel, getFertilitySchedule, applyBiologicalCap, getStableAnalytics, MAX_ASFR, FERTILE_AGE_MIN, FERTILE_AGE_MAX
+} from './index.js';
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+describe('replacement fertility', () => {
+  it('keeps the population near stationary at TFR 2.1', () => {
+    const model = createModel({ totalFertility: 2.1 });
+    const history = model.project(model.initialize(), 200);
+    const first = history[0].population;
+    const last = history[history.length - 1].population;
+    // R₀ is just under 1 at the default mortality, so allow a slow drift
+    expect(Math.abs(model.netReproductionRate - 1)).toBeLessThan(0.03);
+    expect(Math.abs(Math.log(last / first) / 200)).toBeLessThan(0.001);
+  });
+
+  it('balances population with births, deaths and migration every year', () => {
+    const model = createModel({ totalFertility: 2.1, netMigration: 50 });
+    const history = model.project(model.initialize(), 50);
+    for (let t = 1; t < history.length; t++) {
+      const { population, births, deaths, netMigration } = history[t];
+      expect(population).toBeCloseTo(history[t - 1].population + births - deaths + netMigration, 6);
+    }
+  });
+});
+
+describe('stable seed', () => {
+  [100, 120].forEach(maxAge => {
+    it(`grows every age, the open group included, by λ from year 0 (${maxAge}+)`, () => {
+      const model = createModel({ totalFertility: 2.4, numAges: maxAge + 1 });
+      const { lambda } = getStableAnalytics(model.ratesAt(0));
+      const [first, second] = model.project(model.initialize(), 1);
+      expect(first.ageDistribution.length).toBe(maxAge + 1);
+      expect(second.population / first.population).toBeCloseTo(lambda, 12);
+      second.ageDistribution.forEach((n, age) => {
+        expect(n / first.ageDistribution[age]).toBeCloseTo(lambda, 9);
+      });
+    });
+  });
+});
+
+describe('sex split', () => {
+  const runs = [
+    { label: 'annual Euler', params: {} },
+    { label: 'quarterly characteristics', params: { solver: 'characteristics', substeps: 4 } },
+    { label: 'two-sex births and migration', params: { twoSexModel: 'harmonic', sexRatioBirth: 0.45, netMigration: 100 } }
+  ];
+
+  runs.forEach(({ label, params }) => {
+    it(`keeps female + male equal to the total (${label})`, () => {
+      const model = createModel({ totalFertility: 2.5, ...params });
+      const history = model.project(model.initialize(), 60);
+      for (const entry of history) {
+        entry.ageDistribution.forEach((n, age) => {
+          expect(Math.abs(n - entry.femaleDistribution[age] - entry.maleDistribution[age])).toBeLessThan(1e-12);
+        });
+        const sexes = sum(entry.femaleDistribution) + sum(entry.maleDistribution);
+        expect(Math.abs(entry.population - sexes) / entry.population).toBeLessThan(1e-12);
+        expect(entry.deaths).toBeCloseTo(entry.femaleDeaths + entry.maleDeaths, 9);
+      }
+    });
+  });
+});
+
+describe('MAX_ASFR redistribution', () => {
+  it('caps a narrow schedule and redistributes the excess to keep the TFR', () => {
+    const schedule = getFertilitySchedule(27, 2.5, null, 8, 101);
+    expect(schedule.biologicallyCapped).toBe(true);
+    expect(Math.max(...schedule)).toBeLessThanOrEqual(MAX_ASFR);
+    expect(sum(schedule)).toBeCloseTo(8, 9);
+    expect(schedule.effectiveTFR).toBeCloseTo(8, 9);
+    schedule.forEach((beta, age) => {
+      if (age < FERTILE_AGE_MIN || age >= FERTILE_AGE_MAX) expect(beta).toBe(0);
+    });
+  });
+
+  it('leaves schedules below the cap unchanged', () => {
+    const schedule = getFertilitySchedule(27, 5, null, 2.1, 101);
+    expect(schedule.biologicallyCapped).toBe(false);
+    expect(sum(schedule)).toBeCloseTo(2.1, 12);
+  });
+
+  it('redistributes only to fertile ages below the cap', () => {
+    const raw = new Array(101).fill(0);
+    raw[25] = 2;
+    raw[26] = 1;
+    const capped = applyBiologicalCap(raw, 3);
+    expect(capped[25]).toBe(MAX_ASFR);
+    expect(capped[10]).toBe(0);
+    expect(capped.effectiveTFR).toBeCloseTo(3, 12);
+  });
+});
@@ -0,0 +1,85 @@
+import { createModel } from './model.js';
+import { getStableAnalytics } from './lotka.js';
+
+// === POPULATION MOMENTUM ===
+// Counterfactual: from a given state, fertility drops instantly to replacement
+// (R₀ = 1, same age pattern and mortality) and the population is projected until
+// it settles. The ratio of the ultimate to the starting population is the momentum.
+// As in Keyfitz's definition the counterfactual population is closed and its
+// rates are fixed: migration is switched off and Lee–Carter k(t) is held at its
+// value in the starting year, so only the age structure drives the growth.
+// Births depend on women only, so that R₀ = 1 really is replacement even when a
+// two-sex birth function is selected.
+
+// Population within this fraction of its ultimate level counts as plateaued
+const PLATEAU_TOLERANCE = 0.01;
+
+// Parameters of `year` held fixed: no schedule, tempo effect, migration or
+// further mortality improvement, and female-dominant births. The parity model
+// sets its level through the progression ratios rather than totalFertility, so
+// its schedule for `year` is carried over as an empirical ASFR that
+// totalFertility can rescale.
+const counterfactualParams = (model, year) => {
+  const params = model.paramsAt(year);
+  return {
+    ...params,
+    ...(params.parityModel && { parityModel: false, empiricalFertility: [...model.ratesAt(year).fertilitySchedule] }),
+    schedule: null,
+    twoSexModel: 'female',
+    tempoEffect: false,
+    netMigration: 0,
+    leeCarterFrozenAt: year
+  };
+};
+
+// TFR that gives R₀ = 1 for the rates in force in `year`. Rescaling by 1/R₀ is
+// exact unless the biological ASFR cap binds, so iterate a few times.
+export const getReplacementTFR = (model, year) => {
+  const base = counterfactualParams(model, year);
+  let tfr = model.ratesAt(year).fertilitySchedule.effectiveTFR ?? base.totalFertility;
+  for (let i = 0; i < 5; i++) {
+    const R0 = createModel({ ...base, totalFertility: tfr }).ratesAt(year).netReproductionRate;
+    if (R0 <= 0 || Math.abs(R0 - 1) < 1e-9) break;
+    tfr /= R0;
+  }
+  return tfr;
+};
+
+// Keyfitz (1971): M = (b e₀ / (r μ)) · (R₀ − 1) / R₀
+// b, r from the stable population of the pre-drop rates, μ = mean age of childbearing
+export const getKeyfitzMomentum = (rates) => {
+  const analytics = getStableAnalytics(rates);
+  const { r, R0, birthRate, meanAgeStationary } = analytics;
+  const femaleShare = rates.params.sexRatioBirth;
+  const e0 = femaleShare * rates.femaleE0 + (1 - femaleShare) * rates.maleE0;
+  // As r → 0, (R₀ − 1)/(R₀ r) → μ and b e₀ → 1
+  if (Math.abs(r) < 1e-9 || meanAgeStationary <= 0) return 1;
+  return (birthRate * e0 / (r * meanAgeStationary)) * ((R0 - 1) / R0);
+};
+
+export const projectReplacementCounterfactual = (model, state, maxYears = 300) => {
+  const replacementTFR = getReplacementTFR(model, state.time);
+  const counterfactual = createModel({ ...counterfactualParams(model, state.time), totalFertility: replacementTFR });
+  const trajectory = counterfactual.project(state, maxYears);
+  const populations = trajectory.map(s => s.population);
+  const ultimate = populations[populations.length - 1];
+
+  // Years until the population comes within tolerance of its ultimate level and stays there
+  let yearsToPlateau = 0;
+  for (let i = populations.length - 1; i >= 0; i--) {
+    if (Math.abs(populations[i] - ultimate) > PLATEAU_TOLERANCE * ultimate) {
+      yearsToPlateau = i + 1;
+      break;
+    }
+  }
+
+  return {
+    startTime: state.time,
+    replacementTFR,
+    populations,
+    ultimatePopulation: ultimate,
+    momentum: state.population > 0 ? ultimate / state.population : 0,
+    yearsToPlateau,
+    keyfitzMomentum: getKeyfitzMomentum(model.ratesAt(state.time))
+  };
+};
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, getReplacementTFR, projectReplacementCounterfactual } from './index.js';
+
+// High-fertility population run for 30 years, then dropped to replacement
+const counterfactualFrom = (params) => {
+  const model = createModel({ totalFertility: 4, ...params });
+  const history = model.project(model.initialize(), 30);
+  return projectReplacementCounterfactual(model, history[30]);
+};
+
+describe('momentum counterfactual', () => {
+  it('is close to the Keyfitz estimate for a closed population', () => {
+    const result = counterfactualFrom({});
+    expect(result.momentum).toBeGreaterThan(1);
+    expect(Math.abs(result.momentum / result.keyfitzMomentum - 1)).toBeLessThan(0.05);
+    expect(result.yearsToPlateau).toBeLessThan(150);
+  });
+
+  it('ignores migration', () => {
+    const closed = counterfactualFrom({});
+    const open = counterfactualFrom({ netMigration: 200 });
+    expect(Math.abs(open.momentum / open.keyfitzMomentum - 1)).toBeLessThan(0.05);
+    expect(open.yearsToPlateau).toBeLessThan(150);
+    expect(Math.abs(open.momentum - closed.momentum)).toBeLessThan(0.05);
+  });
+
+  it('holds Lee–Carter mortality at the starting year', () => {
+    const result = counterfactualFrom({ leeCarter: true });
+    expect(Math.abs(result.momentum / result.keyfitzMomentum - 1)).toBeLessThan(0.05);
+    expect(result.yearsToPlateau).toBeLessThan(150);
+  });
+
+  it('reaches replacement with a non-Gaussian fertility schedule', () => {
+    const params = { fertilityModel: 'hadwiger' };
+    const replacementTFR = getReplacementTFR(createModel({ totalFertility: 4, ...params }), 0);
+    expect(createModel({ ...params, totalFertility: replacementTFR }).netReproductionRate).toBeCloseTo(1, 6);
+    const result = counterfactualFrom(params);
+    expect(result.momentum).toBeGreaterThan(1);
+    expect(Math.abs(result.momentum / result.keyfitzMomentum - 1)).toBeLessThan(0.05);
+    expect(result.yearsToPlateau).toBeLessThan(150);
+  });
+
+  it('reaches replacement with a parity-progression schedule', () => {
+    const result = counterfactualFrom({ parityModel: true, parityProgression: [0.95, 0.9, 0.8, 0.7, 0.6] });
+    const trajectory = result.populations;
+    const lastGrowth = trajectory[trajectory.length - 1] / trajectory[trajectory.length - 2];
+    expect(result.momentum).toBeGreaterThan(1);
+    expect(Math.abs(lastGrowth - 1)).toBeLessThan(1e-4);
+    expect(result.yearsToPlateau).toBeLessThan(150);
+  });
+
+  it('levels off under a two-sex birth function with an unbalanced sex ratio', () => {
+    const result = counterfactualFrom({ twoSexModel: 'harmonic', sexRatioBirth: 0.4 });
+    const trajectory = result.populations;
+    expect(Math.abs(trajectory[trajectory.length - 1] / trajectory[trajectory.length - 2] - 1)).toBeLessThan(1e-4);
+    expect(Math.abs(result.momentum / result.keyfitzMomentum - 1)).toBeLessThan(0.05);
+  });
+});
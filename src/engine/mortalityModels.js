@@ -0,0 +1,144 @@
+import {
+  getSilerParameters, getSilerHazard, MORTALITY_CAP,
+  MALE_INFANT_MULTIPLIER, MALE_BACKGROUND_MULTIPLIER, MALE_SENESCENT_MULTIPLIER
+} from './mortality.js';
+import { buildLifeTable } from './lifeTable.js';
+
+// === MORTALITY LAWS ===
+// Alternatives to the Siler heuristic, each giving an uncapped hazard μ(x):
+//
+//   Gompertz–Makeham    μ(x) = A + B e^{cx}
+//   Heligman–Pollard    q/(1−q) = A^{(x+B)^C} + D e^{−E(ln x − ln F)²} + G H^x
+//                       (childhood, accident hump, senescence); μ = ln(1 + odds)
+//
+// The shape parameters come from sliders; the level is solved by bisection so
+// the female life-table e₀ equals the e₀ slider. Males get the same level with
+// the component multipliers used for Siler (infant, background/hump, senescent).
+//
+// Hazards are then closed at old ages, either by the MORTALITY_CAP ceiling or
+// by a Kannisto logistic μ(x) = a e^{bx} / (1 + a e^{bx}) fitted to ages 75–84
+// and used from 85 on, which tends to 1 instead of flattening at the cap.
+//
+// Lee–Carter: ln m(x, t) = ln m(x, 0) + b(x) k(t), k(t) = drift · t, with Σb(x) = 1.
+// b(x) is the relative improvement between the Siler schedules at e₀ 70 and 85,
+// so a negative drift lowers mortality fastest at young ages and e₀ rises each year.
+
+export const MORTALITY_MODELS = {
+  siler: {
+    label: 'Siler',
+    description: 'Infant + constant background + Gompertz senescence, set by e₀',
+    params: {}
+  },
+  gompertzMakeham: {
+    label: 'Gompertz–Makeham',
+    description: 'Constant Makeham term plus exponential senescence; B is solved from e₀',
+    params: {
+      A: { label: 'Makeham A', min: 0, max: 0.005, step: 0.0001, default: 0.0005 },
+      c: { label: 'Gompertz slope c', min: 0.06, max: 0.13, step: 0.001, default: 0.09 }
+    }
+  },
+  heligmanPollard: {
+    label: 'Heligman–Pollard',
+    description: 'Childhood decline, explicit accident hump and senescence; overall level solved from e₀',
+    params: {
+      D: { label: 'Hump level D', min: 0, max: 0.005, step: 0.0001, default: 0.0008 },
+      E: { label: 'Hump spread E', min: 1, max: 30, step: 0.5, default: 10 },
+      F: { label: 'Hump age F', min: 15, max: 35, step: 0.5, default: 21 }
+    }
+  }
+};
+
+export const OLD_AGE_CLOSURES = {
+  cap: { label: `Cap ${MORTALITY_CAP}`, description: `Hazards are capped at ${MORTALITY_CAP} per year` },
+  kannisto: { label: 'Kannisto 85+', description: 'Logistic hazard fitted to ages 75–84 replaces the law from 85' }
+};
+
+export const KANNISTO_AGE = 85;
+const KANNISTO_FIT_AGES = [75, 85];
+
+// Heligman–Pollard parameters not exposed as sliders (typical low-mortality values)
+const HP_FIXED = { A: 0.0005, B: 0.01, C: 0.1, G: 0.00005, H: 1.1 };
+
+// Hazard of a non-Siler law at level `k`; `male` applies the component multipliers
+const lawHazard = (model, x, params, k, male) => {
+  if (model === 'gompertzMakeham') {
+    const makeham = params.A * (male ? MALE_BACKGROUND_MULTIPLIER : 1);
+    const gompertz = k * Math.exp(params.c * x) * (male ? MALE_SENESCENT_MULTIPLIER : 1);
+    return makeham + gompertz;
+  }
+  // Heligman–Pollard odds of dying; the hump term is undefined at age 0
+  const { A, B, C, G, H } = HP_FIXED;
+  const child = A ** ((x + B) ** C) * (male ? MALE_INFANT_MULTIPLIER : 1);
+  const hump = x > 0 ? params.D * Math.exp(-params.E * (Math.log(x) - Math.log(params.F)) ** 2) : 0;
+  const senescent = G * H ** x * (male ? MALE_SENESCENT_MULTIPLIER : 1);
+  const odds = k * (child + hump * (male ? MALE_BACKGROUND_MULTIPLIER : 1) + senescent);
+  return Math.log(1 + odds);
+};
+
+// Replace hazards from KANNISTO_AGE on with a logistic fitted (least squares on
+// logit μ) to KANNISTO_FIT_AGES, or cap them at MORTALITY_CAP
+export const applyOldAgeClosure = (hazards, closure = 'cap') => {
+  const [from, to] = KANNISTO_FIT_AGES;
+  if (closure !== 'kannisto' || hazards.length <= KANNISTO_AGE) {
+    return hazards.map(h => Math.min(h, MORTALITY_CAP));
+  }
+  const points = [];
+  for (let x = from; x < to; x++) {
+    const mu = Math.min(Math.max(hazards[x], 1e-8), 0.99);
+    points.push([x, Math.log(mu / (1 - mu))]);
+  }
+  const n = points.length;
+  const meanX = points.reduce((acc, [x]) => acc + x, 0) / n;
+  const meanY = points.reduce((acc, [, y]) => acc + y, 0) / n;
+  const slope = points.reduce((acc, [x, y]) => acc + (x - meanX) * (y - meanY), 0)
+    / points.reduce((acc, [x]) => acc + (x - meanX) ** 2, 0);
+  const intercept = meanY - slope * meanX;
+  return hazards.map((h, x) => (x < KANNISTO_AGE
+    ? Math.min(h, MORTALITY_CAP)
+    : 1 / (1 + Math.exp(-(intercept + slope * x)))));
+};
+
+const defaultsOf = (model) => Object.fromEntries(
+  Object.entries(MORTALITY_MODELS[model]?.params ?? {}).map(([key, spec]) => [key, spec.default])
+);
+
+// Final hazards by age for both sexes: { female, male, level }
+export const getModelMortality = (model, modelParams, e0, { numAges = 100, closure = 'cap' } = {}) => {
+  if (model === 'siler' || !MORTALITY_MODELS[model]) {
+    const hazards = (male) => {
+      const siler = getSilerParameters(e0, male);
+      return applyOldAgeClosure(Array.from({ length: numAges }, (_, x) => getSilerHazard(x, siler)), closure);
+    };
+    return { female: hazards(false), male: hazards(true), level: null };
+  }
+
+  const params = { ...defaultsOf(model), ...modelParams };
+  const hazards = (k, male) => applyOldAgeClosure(
+    Array.from({ length: numAges }, (_, x) => lawHazard(model, x, params, k, male)),
+    closure
+  );
+  // e₀ falls monotonically in the level k: bisect on ln k
+  let lo = Math.log(1e-8);
+  let hi = Math.log(1e4);
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (buildLifeTable(hazards(Math.exp(mid), false))[0].ex > e0) lo = mid;
+    else hi = mid;
+  }
+  const level = Math.exp((lo + hi) / 2);
+  return { female: hazards(level, false), male: hazards(level, true), level };
+};
+
+// Lee–Carter age pattern b(x), Σb = 1
+export const getLeeCarterAgePattern = (numAges = 100) => {
+  const improvement = Array.from({ length: numAges }, (_, x) => Math.max(0,
+    Math.log(getSilerHazard(x, getSilerParameters(70))) - Math.log(getSilerHazard(x, getSilerParameters(85)))));
+  const total = improvement.reduce((a, b) => a + b, 0);
+  return improvement.map(v => v / total);
+};
+
+// m(x, t) = m(x, 0) e^{b(x) k(t)}; the ceiling still applies where the closure is a cap
+export const applyLeeCarter = (rates, agePattern, kt, closure = 'cap') => rates.map((m, x) => {
+  const projected = m * Math.exp(agePattern[x] * kt);
+  return closure === 'kannisto' && x >= KANNISTO_AGE ? Math.min(projected, 1) : Math.min(projected, MORTALITY_CAP);
+});
@@ -0,0 +1,171 @@
+import { getTwoSexBirths } from './twoSex.js';
+
+// === NUMERICAL SCHEMES ===
+// One simulated year of the McKendrick–von Foerster equation on a grid with
+// Δa = Δt = h = 1 / substeps. Cells 0 … R−1 hold ages [ih, (i+1)h), R = (N−1)/h
+// for N single-year age groups, and cell R is the open group (N−1)+.
+//
+//   euler             explicit upwind shift: survival e^{−μ(⌊a⌋) h}, births from the
+//                     start-of-step women enter age 0 without dying (the original
+//                     annual scheme when h = 1)
+//   characteristics   each cohort moves along a = t + const with survival
+//                     exp(−h (μ(a) + μ(a+h)) / 2), μ interpolated between mid-ages;
+//                     births by the trapezoid rule h (B(t) + B(t+h)) / 2, newborns
+//                     surviving half a step on average
+//
+// Rates (β, μ) are the single-year schedules of the year being simulated. With a
+// two-sex birth function (rates.pairing) births come from both grids summed to
+// single years of age. Births by mother's age and the women's person-years at
+// each age are summed with the same weights as the births, so observed rates
+// B(a) / W(a) reproduce β(a) under the one-sex model.
+
+export const SOLVERS = {
+  euler: { label: 'Upwind Euler', description: 'First-order shift with births from start-of-step women' },
+  characteristics: { label: 'Characteristics', description: 'Trapezoidal survival along cohorts and trapezoidal births' }
+};
+
+export const TIME_STEPS = {
+  1: { label: 'Annual', description: 'Δt = Δa = 1 year' },
+  4: { label: 'Quarterly', description: 'Δt = Δa = 3 months' },
+  12: { label: 'Monthly', description: 'Δt = Δa = 1 month' }
+};
+
+// Single-year age of each fine cell
+const cellAges = (numAges, substeps) => Array.from(
+  { length: (numAges - 1) * substeps + 1 },
+  (_, i) => Math.min(Math.floor(i / substeps), numAges - 1)
+);
+
+// Hazard at continuous age x, linear between single-age mid-points a + ½
+const interpolate = (values, x) => {
+  const position = x - 0.5;
+  if (position <= 0) return values[0];
+  const lower = Math.floor(position);
+  if (lower >= values.length - 1) return values[values.length - 1];
+  const t = position - lower;
+  return values[lower] * (1 - t) + values[lower + 1] * t;
+};
+
+// Spread single-year counts evenly over their cells
+export const refineToGrid = (dist, substeps) => {
+  if (substeps === 1) return dist.slice();
+  const grid = [];
+  for (let age = 0; age < dist.length - 1; age++) {
+    for (let k = 0; k < substeps; k++) grid.push(dist[age] / substeps);
+  }
+  grid.push(dist[dist.length - 1]);
+  return grid;
+};
+
+// Sum cells back into single-year groups
+export const aggregateGrid = (grid, substeps) => {
+  if (substeps === 1) return grid.slice();
+  const numAges = (grid.length - 1) / substeps + 1;
+  const dist = new Array(numAges).fill(0);
+  for (let i = 0; i < grid.length - 1; i++) dist[Math.floor(i / substeps)] += grid[i];
+  dist[numAges - 1] = grid[grid.length - 1];
+  return dist;
+};
+
+// Advance { female, male } grids by one year, each sex with its own mortality.
+// Returns the new grids with the year's births, deaths by sex, Σ age × births,
+// births by mother's age and women's person-years by age.
+export const integrateYear = (grids, rates, { numAges, substeps = 1, solver = 'euler', twoSexModel = 'female' }) => {
+  const { fertilitySchedule, femaleMortality, maleMortality } = rates;
+  const femaleShare = rates.params.sexRatioBirth;
+  const h = 1 / substeps;
+  const ages = cellAges(numAges, substeps);
+  const size = ages.length;
+  const open = size - 1;
+
+  // Per-cell survival over one sub-step for a single-year hazard schedule
+  const survivalFor = (mortality) => ages.map((age, i) => {
+    if (i === open) return Math.exp(-mortality[numAges - 1] * h);
+    if (solver === 'characteristics') {
+      const start = (i + 0.5) * h;
+      return Math.exp(-h * (interpolate(mortality, start) + interpolate(mortality, start + h)) / 2);
+    }
+    return Math.exp(-mortality[age] * h);
+  });
+  const femaleSurvival = survivalFor(femaleMortality);
+  const maleSurvival = survivalFor(maleMortality);
+  // Newborns of a characteristics step live h/2 on average before the step ends
+  const newbornSurvival = (mortality) => (solver === 'characteristics' ? Math.exp(-mortality[0] * h / 2) : 1);
+  const femaleNewborn = newbornSurvival(femaleMortality);
+  const maleNewborn = newbornSurvival(maleMortality);
+
+  // Births per year, Σ age × births and births by single age from the female
+  // (and male) grids, with the women at each single age
+  const birthRate = (women, men) => {
+    const singleWomen = aggregateGrid(women, substeps);
+    if (rates.pairing) {
+      const { births, weightedAgeSum, byAge } = getTwoSexBirths(twoSexModel, rates.pairing,
+        singleWomen, aggregateGrid(men, substeps));
+      return { rate: births, weighted: weightedAgeSum, byAge, women: singleWomen };
+    }
+    let rate = 0;
+    let weighted = 0;
+    const byAge = new Array(numAges).fill(0);
+    for (let i = 0; i < open; i++) {
+      const beta = fertilitySchedule[ages[i]];
+      if (beta === 0) continue;
+      rate += beta * women[i];
+      weighted += i * h * beta * women[i];
+      byAge[ages[i]] += beta * women[i];
+    }
+    return { rate, weighted, byAge, women: singleWomen };
+  };
+
+  const shift = (grid, survival) => {
+    const next = new Array(size).fill(0);
+    let deaths = 0;
+    for (let i = 0; i < size; i++) {
+      const survivors = Math.max(0, grid[i] * survival[i]);
+      deaths += grid[i] - survivors;
+      next[Math.min(i + 1, open)] += survivors;
+    }
+    return { next, deaths };
+  };
+
+  let { female, male } = grids;
+  let births = 0;
+  let femaleDeaths = 0;
+  let maleDeaths = 0;
+  let weightedAgeSum = 0;
+  const birthsByAge = new Array(numAges).fill(0);
+  const femaleExposure = new Array(numAges).fill(0);
+  // Add weight × a birth rate's births by age and women to the year's totals
+  const accumulate = (weight, { byAge, women }) => {
+    for (let age = 0; age < numAges; age++) {
+      birthsByAge[age] += weight * byAge[age];
+      femaleExposure[age] += weight * women[age];
+    }
+  };
+  for (let k = 0; k < substeps; k++) {
+    const start = birthRate(female, male);
+    const f = shift(female, femaleSurvival);
+    const m = shift(male, maleSurvival);
+
+    let stepBirths = start.rate * h;
+    let stepWeighted = start.weighted * h;
+    if (solver === 'characteristics') {
+      const end = birthRate(f.next, m.next);
+      stepBirths = h * (start.rate + end.rate) / 2;
+      stepWeighted = h * (start.weighted + end.weighted) / 2;
+      accumulate(h / 2, start);
+      accumulate(h / 2, end);
+    } else {
+      accumulate(h, start);
+    }
+    f.next[0] = stepBirths * femaleShare * femaleNewborn;
+    m.next[0] = stepBirths * (1 - femaleShare) * maleNewborn;
+
+    female = f.next;
+    male = m.next;
+    births += stepBirths;
+    weightedAgeSum += stepWeighted;
+    femaleDeaths += f.deaths + stepBirths * femaleShare * (1 - femaleNewborn);
+    maleDeaths += m.deaths + stepBirths * (1 - femaleShare) * (1 - maleNewborn);
+  }
+  return { female, male, births, femaleDeaths, maleDeaths, weightedAgeSum, birthsByAge, femaleExposure };
+};
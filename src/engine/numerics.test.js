@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, compareResolutions } from './index.js';
+
+const finalPopulation = (solver, substeps) => {
+  const model = createModel({ totalFertility: 3, solver, substeps });
+  return model.project(model.initialize(), 60).at(-1).population;
+};
+
+describe('time steps', () => {
+  it('brings Euler and characteristics together as the step shrinks', () => {
+    const gaps = [1, 4, 12].map(substeps => {
+      const characteristics = finalPopulation('characteristics', substeps);
+      return Math.abs(finalPopulation('euler', substeps) - characteristics) / characteristics;
+    });
+    expect(gaps[1]).toBeLessThan(gaps[0]);
+    expect(gaps[2]).toBeLessThan(gaps[1]);
+    // Euler is first order, so a twelfth of the step cuts the gap about twelvefold
+    expect(gaps[2]).toBeLessThan(gaps[0] / 8);
+  });
+
+  it('moves the Euler growth rate towards the continuous Lotka r', () => {
+    const euler = compareResolutions({ totalFertility: 3 }).runs.filter(run => run.solver === 'euler');
+    const errors = euler.map(run => Math.abs(run.growthError));
+    expect(errors[1]).toBeLessThan(errors[0]);
+    expect(errors[2]).toBeLessThan(errors[1]);
+  });
+});
@@ -0,0 +1,148 @@
+import { FERTILE_AGE_MIN, FERTILE_AGE_MAX } from './fertility.js';
+
+// === PARITY PROGRESSION ===
+// Women are tracked by age a, parity k (children ever born, 0 … MAX_PARITY) and
+// years d since their last birth. Each year a woman has her next birth with
+//
+//   first birth    h₀(a)   = a₀ g₁(a) / (1 − a₀ G₁(a−1))
+//   next births    h_k(d)  = a_k g_I(d) / (1 − a_k G_I(d−1)) · s(a)
+//
+// a_k: parity progression ratios (share of parity-k women who go on to k+1);
+// g₁: Gaussian density of age at first birth (mean M₁ = peak age slider, SD = spread);
+// g_I: gamma density of the birth interval; s(a) = e^{−0.1(a−40)} after 40, the
+// same biological decline as the Gaussian ASFR. A synthetic cohort therefore has
+// a₀ first births spread as g₁, while later progressions are cut short by age.
+// Parity MAX_PARITY is absorbing (higher-order births are not modelled).
+//
+// Mortality does not depend on parity, so the model carries only the parity ×
+// duration shares at each age; ASFR(a) = Σ_k,d share(a, k, d) h(a, k, d).
+
+export const MAX_PARITY = 5;
+// Durations of MAX_INTERVAL years or more are pooled
+export const MAX_INTERVAL = 15;
+
+export const PARITY_PARAMETERS = {
+  progression: [
+    { label: 'a₀ (first birth)', default: 0.88 },
+    { label: 'a₁ (1 → 2)', default: 0.85 },
+    { label: 'a₂ (2 → 3)', default: 0.5 },
+    { label: 'a₃ (3 → 4)', default: 0.35 },
+    { label: 'a₄ (4 → 5+)', default: 0.3 }
+  ],
+  interval: {
+    mean: { label: 'Mean birth interval', min: 1.5, max: 8, step: 0.1, default: 3 },
+    sd: { label: 'Interval SD', min: 0.5, max: 4, step: 0.1, default: 1.5 }
+  }
+};
+
+export const DEFAULT_PARITY_PROGRESSION = PARITY_PARAMETERS.progression.map(spec => spec.default);
+export const DEFAULT_BIRTH_INTERVAL = { mean: 3, sd: 1.5 };
+
+const STATES = (MAX_PARITY + 1) * (MAX_INTERVAL + 1);
+const index = (k, d) => k * (MAX_INTERVAL + 1) + d;
+
+const normalize = (values) => {
+  const total = values.reduce((a, b) => a + b, 0);
+  return values.map(v => (total > 0 ? v / total : 0));
+};
+
+// Hazard = progression × density / (1 − progression × CDF before this point)
+const toHazards = (density, progression) => {
+  let cumulative = 0;
+  return density.map(g => {
+    const remaining = 1 - progression * cumulative;
+    cumulative += g;
+    return remaining > 1e-12 ? Math.min(1, (progression * g) / remaining) : 0;
+  });
+};
+
+// Birth hazards for one set of parameters:
+// { firstBirth[a], interval[k][d], fecundity[a] }
+export const getParityHazards = ({
+  firstBirthAge, firstBirthSD, progression = DEFAULT_PARITY_PROGRESSION, interval = DEFAULT_BIRTH_INTERVAL
+}) => {
+  const sd = Math.max(firstBirthSD, 1);
+  const firstDensity = normalize(Array.from({ length: FERTILE_AGE_MAX }, (_, a) =>
+    (a < FERTILE_AGE_MIN ? 0 : Math.exp(-((a + 0.5 - firstBirthAge) ** 2) / (2 * sd ** 2)))));
+
+  // Gamma interval density on d = 1 … MAX_INTERVAL with shape k = (mean/sd)², scale θ = sd²/mean
+  const shape = (interval.mean / interval.sd) ** 2;
+  const scale = interval.sd ** 2 / interval.mean;
+  const intervalDensity = normalize(Array.from({ length: MAX_INTERVAL + 1 }, (_, d) =>
+    (d === 0 ? 0 : Math.exp((shape - 1) * Math.log(d - 0.5) - (d - 0.5) / scale))));
+
+  return {
+    firstBirth: toHazards(firstDensity, progression[0]),
+    interval: Array.from({ length: MAX_PARITY }, (_, k) => (k === 0 ? null : toHazards(intervalDensity, progression[k]))),
+    fecundity: Array.from({ length: FERTILE_AGE_MAX }, (_, a) => (a > 40 ? Math.exp(-0.1 * (a - 40)) : 1))
+  };
+};
+
+// Probability of a birth this year in state (k, d) at age a
+const birthHazard = (hazards, a, k, d) => {
+  if (a < FERTILE_AGE_MIN || a >= FERTILE_AGE_MAX || k >= MAX_PARITY) return 0;
+  if (k === 0) return hazards.firstBirth[a];
+  return hazards.interval[k][d] * hazards.fecundity[a];
+};
+
+// Shares of women aged 0 … FERTILE_AGE_MAX: all childless
+export const getChildlessShares = () => Array.from({ length: FERTILE_AGE_MAX + 1 }, () => {
+  const shares = new Float64Array(STATES);
+  shares[index(0, 0)] = 1;
+  return shares;
+});
+
+// ASFR(a) and births by order (1 … MAX_PARITY) per woman from parity shares
+export const getParityFertility = (shares, hazards, numAges) => {
+  const asfr = new Array(numAges).fill(0);
+  const byOrder = new Array(MAX_PARITY).fill(0);
+  for (let a = FERTILE_AGE_MIN; a < Math.min(FERTILE_AGE_MAX, numAges); a++) {
+    for (let k = 0; k < MAX_PARITY; k++) {
+      for (let d = 0; d <= MAX_INTERVAL; d++) {
+        const share = shares[a][index(k, d)];
+        if (share === 0) continue;
+        const rate = share * birthHazard(hazards, a, k, d);
+        asfr[a] += rate;
+        byOrder[k] += rate;
+      }
+    }
+  }
+  return { asfr, byOrder };
+};
+
+// Age every group one year: births move women up a parity with d = 1, the rest
+// add a year to d; newborn girls enter childless
+export const advanceParityShares = (shares, hazards) => {
+  const next = getChildlessShares();
+  for (let a = 0; a < FERTILE_AGE_MAX; a++) {
+    const target = next[a + 1];
+    target.fill(0);
+    for (let k = 0; k <= MAX_PARITY; k++) {
+      for (let d = 0; d <= MAX_INTERVAL; d++) {
+        const share = shares[a][index(k, d)];
+        if (share === 0) continue;
+        const h = birthHazard(hazards, a, k, d);
+        if (h > 0) target[index(k + 1, 1)] += share * h;
+        target[index(k, k === 0 ? 0 : Math.min(d + 1, MAX_INTERVAL))] += share * (1 - h);
+      }
+    }
+  }
+  return next;
+};
+
+// Shares of a synthetic cohort living under constant hazards: the equilibrium
+// composition by age, used for the stable seed and the year's R₀ and Lotka r
+export const getCohortParityShares = (hazards) => {
+  let shares = getChildlessShares();
+  for (let a = 0; a < FERTILE_AGE_MAX; a++) shares = advanceParityShares(shares, hazards);
+  return shares;
+};
+
+// Parity distribution (k = 0 … MAX_PARITY) of women at one age
+export const getParityDistribution = (shares, age = FERTILE_AGE_MAX) => {
+  const distribution = new Array(MAX_PARITY + 1).fill(0);
+  for (let k = 0; k <= MAX_PARITY; k++) {
+    for (let d = 0; d <= MAX_INTERVAL; d++) distribution[k] += shares[age][index(k, d)];
+  }
+  return distribution;
+};
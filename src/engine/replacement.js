@@ -0,0 +1,98 @@
+// === REPLACEMENT MIGRATION ===
+// The net migration required each year to hold a demographic target, in the
+// spirit of the UN Population Division's "Replacement Migration" (2000) study:
+// fertility and mortality follow the model's own schedules, and migrants arrive
+// with the model's Rogers–Castro age-sex profile and then age, reproduce and die
+// like everyone else.
+
+export const REPLACEMENT_TARGETS = {
+  totalPopulation: {
+    label: 'Constant total',
+    description: 'Keep the total population at its starting size'
+  },
+  workingAge: {
+    label: 'Constant 15–64',
+    description: 'Keep the working-age population (15–64) at its starting size'
+  },
+  dependencyRatio: {
+    label: 'Max dependency ratio',
+    description: 'Admit migrants only when the dependency ratio would exceed the ceiling'
+  }
+};
+
+// Persons per probe step used to measure how one migrant changes each age group
+const PROBE_VOLUME = 1000;
+
+const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+const workingAge = (dist) => sum(dist.slice(15, 65));
+const dependents = (dist) => sum(dist) - workingAge(dist);
+
+// Net migrants needed in one step. The response to migration is linear (until
+// emigration would exceed the survivors), so one probe step gives the share of
+// each migrant that lands in the working and dependent ages.
+const requiredMigration = (model, state, target, goal) => {
+  const closed = model.step(state, { netMigration: 0 });
+  const probe = model.step(state, { netMigration: PROBE_VOLUME });
+  const workingShare = (workingAge(probe.ageDistribution) - workingAge(closed.ageDistribution)) / PROBE_VOLUME;
+  const dependentShare = (dependents(probe.ageDistribution) - dependents(closed.ageDistribution)) / PROBE_VOLUME;
+
+  switch (target) {
+    case 'workingAge':
+      return { volume: (goal - workingAge(closed.ageDistribution)) / workingShare, feasible: true };
+    case 'dependencyRatio': {
+      // (D + x d) / (W + x w) ≤ DRmax  ⇔  x ≥ (D − DRmax W) / (DRmax w − d)
+      const excess = dependents(closed.ageDistribution) - goal * workingAge(closed.ageDistribution);
+      if (excess <= 0) return { volume: 0, feasible: true };
+      const denominator = goal * workingShare - dependentShare;
+      // Migrants' own dependents outweigh their workers: no inflow can meet the ceiling
+      if (denominator <= 0) return { volume: 0, feasible: false };
+      return { volume: excess / denominator, feasible: true };
+    }
+    default:
+      return { volume: goal - closed.population, feasible: true };
+  }
+};
+
+// Project `years` steps from `state` with the migration each target requires.
+// maxDependencyRatio applies to the 'dependencyRatio' target.
+export const solveReplacementMigration = (model, state, { target = 'totalPopulation', maxDependencyRatio = 0.6, years = 100 } = {}) => {
+  const goal = target === 'workingAge'
+    ? workingAge(state.ageDistribution)
+    : target === 'dependencyRatio' ? maxDependencyRatio : state.population;
+
+  // Zero-migration projection for reference, alongside the solved one
+  const trajectory = [state];
+  const closedTrajectory = [state];
+  const required = [];
+  let infeasibleYears = 0;
+  let current = state;
+  for (let i = 0; i < years; i++) {
+    closedTrajectory.push(model.step(closedTrajectory[i], { netMigration: 0 }));
+    const { volume, feasible } = requiredMigration(model, current, target, goal);
+    if (!feasible) infeasibleYears++;
+    current = model.step(current, { netMigration: volume });
+    trajectory.push(current);
+    // Recorded net migration is what was admitted after capping emigration at the survivors
+    required.push(current.netMigration);
+  }
+
+  const final = trajectory[trajectory.length - 1];
+  const closedFinal = closedTrajectory[closedTrajectory.length - 1];
+  return {
+    target,
+    goal,
+    startTime: state.time,
+    required,
+    populations: trajectory.map(s => s.population),
+    closedPopulations: closedTrajectory.map(s => s.population),
+    dependencyRatios: trajectory.map(s => s.dependencyRatio),
+    totalMigrants: sum(required),
+    averageMigration: required.length > 0 ? sum(required) / required.length : 0,
+    peakMigration: required.reduce((peak, x) => (Math.abs(x) > Math.abs(peak) ? x : peak), 0),
+    finalPopulation: final.population,
+    finalDependencyRatio: final.dependencyRatio,
+    closedFinalPopulation: closedFinal.population,
+    closedFinalDependencyRatio: closedFinal.dependencyRatio,
+    infeasibleYears
+  };
+};
@@ -0,0 +1,69 @@
+// Scenario presets for reproductive age distribution
+export const scenarios = {
+  baseline: {
+    name: "Baseline",
+    description: "Standard fertility pattern with peak at 27.",
+    peakAge: 27,
+    spread: 7,
+    color: '#8b5cf6'
+  },
+  early: {
+    name: "Early Reproduction",
+    description: "Younger childbearing (peak 21). Shorter generation time.",
+    peakAge: 21,
+    spread: 5,
+    color: '#22c55e'
+  },
+  late: {
+    name: "Delayed Reproduction",
+    description: "Later childbearing (peak 33). Longer generation time.",
+    peakAge: 33,
+    spread: 6,
+    color: '#f59e0b'
+  },
+  bimodal: {
+    name: "Bimodal",
+    description: "Two peaks at 20 and 35. Complex dynamics.",
+    peakAge: 20,
+    secondPeak: 35,
+    spread: 4,
+    color: '#ec4899'
+  },
+  shifting: {
+    name: "Shifting",
+    description: "Peak age drifts from 25 to 32 between years 10 and 80 (postponement). Period TFR dips below cohort TFR while timing shifts.",
+    peakAge: 25,
+    spread: 6,
+    // Cohort postponement: TFR slider sets the quantum, period TFR is tempo-distorted
+    schedule: {
+      peakAge: [
+        { year: 10, value: 25 },
+        { year: 80, value: 32 }
+      ]
+    },
+    tempoEffect: true,
+    color: '#14b8a6'
+  },
+  sexSelection: {
+    name: "Sex Selection",
+    description: "Prenatal sex selection: SRB falls from 48.8% to 45% female between years 10 and 30, holds, then normalizes by year 70. Follow the missing girls up the pyramid and the marriage squeeze 20–30 years later.",
+    peakAge: 25,
+    spread: 6,
+    schedule: {
+      sexRatioBirth: [
+        { year: 10, value: 0.488 },
+        { year: 30, value: 0.45, transition: 'logistic' },
+        { year: 50, value: 0.45 },
+        { year: 70, value: 0.488, transition: 'logistic' }
+      ]
+    },
+    color: '#f43f5e'
+  },
+  custom: {
+    name: "Custom",
+    description: "Use sliders to set your own parameters.",
+    peakAge: 27,
+    spread: 7,
+    color: '#06b6d4'
+  }
+};
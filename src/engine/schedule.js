@@ -0,0 +1,70 @@
+// === TIME-VARYING PARAMETERS ===
+// A schedule is a list of keyframes [{ year, value, transition }, ...] sorted by year.
+// `transition` describes how the value moves from the previous keyframe to this one:
+//   'step'     - holds the previous value, jumps at this keyframe's year
+//   'linear'   - straight-line interpolation (default)
+//   'logistic' - S-shaped transition, slow at both ends, fastest at the midpoint
+// Before the first keyframe the first value holds; after the last, the last value holds.
+
+export const TRANSITIONS = ['step', 'linear', 'logistic'];
+
+// Parameters that can be keyframed, with the model key they drive
+export const SCHEDULABLE_PARAMS = {
+  totalFertility: { label: 'TFR', min: 0.8, max: 6, step: 0.1 },
+  lifeExpectancy: { label: 'e₀', min: 30, max: 95, step: 1 },
+  peakAge: { label: 'Peak age', min: 15, max: 50, step: 0.5 },
+  spread: { label: 'Spread σ', min: 2, max: 15, step: 0.5 },
+  sexRatioBirth: { label: 'SRB (% F)', min: 0.4, max: 0.6, step: 0.005 },
+  // In the model's migration unit (persons or ‰ per year)
+  netMigration: { label: 'Net migration', min: -5000, max: 5000, step: 10 }
+};
+
+// Steepness of the logistic transition; progress runs 0 → 1 over the interval
+const LOGISTIC_STEEPNESS = 10;
+
+const logisticProgress = (x) => {
+  const f = (u) => 1 / (1 + Math.exp(-LOGISTIC_STEEPNESS * (u - 0.5)));
+  // Rescale so the curve passes exactly through 0 and 1 at the keyframes
+  return (f(x) - f(0)) / (f(1) - f(0));
+};
+
+export const evaluateSchedule = (keyframes, year) => {
+  if (!keyframes || keyframes.length === 0) return undefined;
+  if (year <= keyframes[0].year) return keyframes[0].value;
+  const last = keyframes[keyframes.length - 1];
+  if (year >= last.year) return last.value;
+
+  let i = 1;
+  while (keyframes[i].year < year) i++;
+  const from = keyframes[i - 1];
+  const to = keyframes[i];
+  const span = to.year - from.year;
+  const x = span > 0 ? (year - from.year) / span : 1;
+
+  let progress;
+  switch (to.transition) {
+    case 'step':
+      progress = year >= to.year ? 1 : 0;
+      break;
+    case 'logistic':
+      progress = logisticProgress(x);
+      break;
+    default:
+      progress = x;
+  }
+  return from.value + (to.value - from.value) * progress;
+};
+
+// Keyframes sorted by year, as evaluateSchedule expects
+export const sortKeyframes = (keyframes) => [...keyframes].sort((a, b) => a.year - b.year);
+
+// Resolve every scheduled parameter at `year`; unscheduled keys keep their base value
+export const resolveParams = (base, schedule, year) => {
+  if (!schedule) return base;
+  const resolved = { ...base };
+  for (const [key, keyframes] of Object.entries(schedule)) {
+    const value = evaluateSchedule(keyframes, year);
+    if (value !== undefined) resolved[key] = value;
+  }
+  return resolved;
+};
@@ -0,0 +1,94 @@
+import { createModel } from './model.js';
+import { getNetMaternity, solveLotkaR, getStableDistribution, getReproductiveValue } from './lotka.js';
+
+// === SENSITIVITY & ELASTICITY ===
+// Age-specific: for the female Leslie matrix with stable structure w and
+// reproductive value v, ∂λ/∂a_ij = v_i w_j / ⟨v, w⟩ (Caswell) and the elasticity
+// is e_ij = (a_ij / λ) ∂λ/∂a_ij. Fertility enters as a_0a = f_f β(a), survival as
+// a_(a+1)a = P(a) = e^{-μ(a)}, and the open group keeps its survivors,
+// a_ωω = P(ω), as in step(). In this one-sex (female-dominant) model males never
+// feed back into births, so λ and R₀ are insensitive to male rates; under a
+// two-sex birth function these are one-sex approximations.
+//
+// R₀ = Σₐ f_f β(a) l(a), l(a) = Π_{x<a} P(x):
+//   ∂R₀/∂β(a) = f_f l(a)          ∂R₀/∂P(x) = Σ_{a>x} φ(a) / P(x)
+
+export const getAgeSensitivities = (rates) => {
+  const { fertilitySchedule, survivalCurve, maleSurvivalCurve, femaleMortality, maleMortality } = rates;
+  const femaleShare = rates.params.sexRatioBirth;
+  const numAges = fertilitySchedule.length;
+  const netMaternity = getNetMaternity(fertilitySchedule, survivalCurve, femaleShare);
+  const R0 = netMaternity.reduce((a, b) => a + b, 0);
+  const r = solveLotkaR(netMaternity);
+  const lambda = Math.exp(r);
+
+  // Stable structure with the open-group correction, as the stable seed uses it
+  const w = getStableDistribution(r, survivalCurve, maleSurvivalCurve, femaleShare, { femaleMortality, maleMortality }).female;
+  const v = getReproductiveValue(r, netMaternity, survivalCurve);
+  const vw = w.reduce((acc, wa, age) => acc + wa * v[age], 0);
+  const survival = femaleMortality.map(mu => Math.exp(-mu));
+
+  const lambdaFertility = new Array(numAges).fill(0);
+  const lambdaSurvival = new Array(numAges).fill(0);
+  const r0Fertility = new Array(numAges).fill(0);
+  const r0Survival = new Array(numAges).fill(0);
+
+  // Net maternity beyond each age, for ∂R₀/∂P(x)
+  let tail = 0;
+  for (let age = numAges - 1; age >= 0; age--) {
+    lambdaFertility[age] = femaleShare * v[0] * w[age] / vw;
+    lambdaSurvival[age] = v[Math.min(age + 1, numAges - 1)] * w[age] / vw;
+    r0Fertility[age] = femaleShare * survivalCurve[age];
+    r0Survival[age] = survival[age] > 0 ? tail / survival[age] : 0;
+    tail += netMaternity[age];
+  }
+
+  return {
+    lambda,
+    R0,
+    lambdaFertility,
+    lambdaSurvival,
+    r0Fertility,
+    r0Survival,
+    lambdaFertilityElasticity: lambdaFertility.map((s, a) => (fertilitySchedule[a] * s) / lambda),
+    lambdaSurvivalElasticity: lambdaSurvival.map((s, a) => (survival[a] * s) / lambda),
+    r0FertilityElasticity: r0Fertility.map((s, a) => (R0 > 0 ? (fertilitySchedule[a] * s) / R0 : 0)),
+    r0SurvivalElasticity: r0Survival.map((s, a) => (R0 > 0 ? (survival[a] * s) / R0 : 0))
+  };
+};
+
+// Parameter-level sensitivities by central differences on the model parameters
+export const PARAMETER_STEPS = {
+  totalFertility: 0.01,
+  lifeExpectancy: 0.1,
+  peakAge: 0.1,
+  spread: 0.05
+};
+
+const lambdaAndR0 = (params) => {
+  const rates = createModel(params).ratesAt(0);
+  const netMaternity = getNetMaternity(rates.fertilitySchedule, rates.survivalCurve, rates.params.sexRatioBirth);
+  return {
+    lambda: Math.exp(solveLotkaR(netMaternity)),
+    R0: netMaternity.reduce((a, b) => a + b, 0)
+  };
+};
+
+export const getParameterSensitivities = (model, year) => {
+  const base = { ...model.paramsAt(year), schedule: null, tempoEffect: false };
+  const center = lambdaAndR0(base);
+  return Object.entries(PARAMETER_STEPS).map(([key, h]) => {
+    const up = lambdaAndR0({ ...base, [key]: base[key] + h });
+    const down = lambdaAndR0({ ...base, [key]: base[key] - h });
+    const dLambda = (up.lambda - down.lambda) / (2 * h);
+    const dR0 = (up.R0 - down.R0) / (2 * h);
+    return {
+      key,
+      value: base[key],
+      dLambda,
+      dR0,
+      lambdaElasticity: (base[key] / center.lambda) * dLambda,
+      r0Elasticity: center.R0 > 0 ? (base[key] / center.R0) * dR0 : 0
+    };
+  });
+};
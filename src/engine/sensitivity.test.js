@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, getAgeSensitivities, getNetMaternity, solveLotkaR } from './index.js';
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+describe('age sensitivities', () => {
+  [{ totalFertility: 1.5 }, { totalFertility: 2.1 }, { totalFertility: 3.5, lifeExpectancy: 95 }].forEach(params => {
+    it(`has elasticities of λ summing to 1 (${JSON.stringify(params)})`, () => {
+      const s = getAgeSensitivities(createModel(params).ratesAt(0));
+      expect(sum(s.lambdaFertilityElasticity) + sum(s.lambdaSurvivalElasticity)).toBeCloseTo(1, 9);
+    });
+  });
+
+  it('matches a finite difference of λ in fertility', () => {
+    const rates = createModel({ totalFertility: 2.6 }).ratesAt(0);
+    const { fertilitySchedule, survivalCurve } = rates;
+    const femaleShare = rates.params.sexRatioBirth;
+    const lambdaOf = (schedule) => Math.exp(solveLotkaR(getNetMaternity(schedule, survivalCurve, femaleShare)));
+    const { lambdaFertility } = getAgeSensitivities(rates);
+    const h = 1e-6;
+    [20, 28, 40].forEach(age => {
+      const up = fertilitySchedule.map((beta, a) => (a === age ? beta + h : beta));
+      const down = fertilitySchedule.map((beta, a) => (a === age ? beta - h : beta));
+      expect((lambdaOf(up) - lambdaOf(down)) / (2 * h)).toBeCloseTo(lambdaFertility[age], 6);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { getSilerParameters, getSilerHazard } from './mortality.js';
+import { applyOldAgeClosure } from './mortalityModels.js';
+import { buildLifeTable } from './lifeTable.js';
+
+// === SILER FITTING ===
+// Calibrate the five Siler parameters of one sex either to an observed mx curve
+// (least squares on ln μ(a), Nelder–Mead over log-parameters so every parameter
+// stays positive) or to a target life expectancy (all three α levels scaled by a
+// common factor, keeping the age shape, until the life-table e₀ matches).
+
+// min / max: the range a hand-set or fitted value is plausible in (used to
+// sanitize parameters read back from permalinks)
+export const SILER_PARAMETERS = {
+  alpha1: { label: 'α₁', description: 'Infant level', min: 1e-6, max: 5 },
+  beta1: { label: 'β₁', description: 'Infant decline', min: 1e-3, max: 20 },
+  alpha2: { label: 'α₂', description: 'Background (Makeham)', min: 1e-8, max: 0.5 },
+  alpha3: { label: 'α₃', description: 'Senescent level', min: 1e-9, max: 0.1 },
+  beta3: { label: 'β₃', description: 'Gompertz slope', min: 1e-3, max: 0.5 }
+};
+const KEYS = Object.keys(SILER_PARAMETERS);
+
+const toVector = (siler) => KEYS.map(key => Math.log(siler[key]));
+const fromVector = (v) => Object.fromEntries(KEYS.map((key, i) => [key, Math.exp(v[i])]));
+
+// Minimize f over R^n from x0 (Nelder–Mead with standard coefficients)
+const nelderMead = (f, x0, { step = 0.5, maxIterations = 3000, tolerance = 1e-10 } = {}) => {
+  const n = x0.length;
+  let simplex = [x0, ...x0.map((_, i) => x0.map((x, j) => (i === j ? x + step : x)))]
+    .map(x => ({ x, value: f(x) }));
+  const combine = (a, b, t) => a.map((ai, i) => ai + t * (b[i] - ai));
+
+  let iterations = 0;
+  for (; iterations < maxIterations; iterations++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[n];
+    if (Math.abs(worst.value - best.value) < tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) centroid[j] += simplex[i].x[j] / n;
+    }
+    const reflected = combine(centroid, worst.x, -1);
+    const reflectedValue = f(reflected);
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.x, -2);
+      const expandedValue = f(expanded);
+      simplex[n] = expandedValue < reflectedValue ? { x: expanded, value: expandedValue } : { x: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[n - 1].value) {
+      simplex[n] = { x: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.x, 0.5);
+      const contractedValue = f(contracted);
+      if (contractedValue < worst.value) {
+        simplex[n] = { x: contracted, value: contractedValue };
+      } else {
+        // Shrink towards the best vertex
+        simplex = simplex.map((vertex, i) => {
+          if (i === 0) return vertex;
+          const x = combine(best.x, vertex.x, 0.5);
+          return { x, value: f(x) };
+        });
+      }
+    }
+  }
+  simplex.sort((a, b) => a.value - b.value);
+  return { x: simplex[0].x, value: simplex[0].value, iterations };
+};
+
+// mx: observed death rates by age (ages with mx ≤ 0 are skipped).
+// Returns { params, residuals: [{ age, observed, fitted, residual }], rmse, iterations }
+// with residual = ln fitted − ln observed.
+export const fitSilerToRates = (mx, { initial = getSilerParameters(75) } = {}) => {
+  const ages = mx.map((m, age) => age).filter(age => mx[age] > 0);
+  const logObserved = ages.map(age => Math.log(mx[age]));
+  const objective = (v) => {
+    const siler = fromVector(v);
+    let sse = 0;
+    ages.forEach((age, i) => {
+      const d = Math.log(getSilerHazard(age, siler)) - logObserved[i];
+      sse += d * d;
+    });
+    return Number.isFinite(sse) ? sse : Infinity;
+  };
+
+  // Restart from the best vertex so the simplex does not stall in a narrow valley
+  let result = nelderMead(objective, toVector(initial));
+  let iterations = result.iterations;
+  for (let restart = 0; restart < 3; restart++) {
+    result = nelderMead(objective, result.x, { step: 0.1 });
+    iterations += result.iterations;
+  }
+
+  const params = fromVector(result.x);
+  const residuals = ages.map(age => {
+    const fitted = getSilerHazard(age, params);
+    return { age, observed: mx[age], fitted, residual: Math.log(fitted) - Math.log(mx[age]) };
+  });
+  return {
+    params,
+    residuals,
+    rmse: ages.length > 0 ? Math.sqrt(result.value / ages.length) : 0,
+    iterations
+  };
+};
+
+// Life-table e₀ of a parameter set (rates over numAges closed at old age as the
+// model closes them: capped, or Kannisto from 85)
+export const getSilerLifeExpectancy = (siler, numAges = 100, closure = 'cap') =>
+  buildLifeTable(applyOldAgeClosure(Array.from({ length: numAges }, (_, age) => getSilerHazard(age, siler)), closure))[0].ex;
+
+// Scale α₁, α₂, α₃ by a common factor k so the life-table e₀ equals targetE0.
+// e₀ falls monotonically in k, so bisect on ln k. Returns { params, scale, e0, residual }.
+export const fitSilerToLifeExpectancy = (targetE0, initial, numAges = 100, closure = 'cap') => {
+  const scaled = (k) => ({ ...initial, alpha1: initial.alpha1 * k, alpha2: initial.alpha2 * k, alpha3: initial.alpha3 * k });
+  let lo = Math.log(1e-4);
+  let hi = Math.log(1e4);
+  for (let i = 0; i < 80; i++) {
+    const mid = (lo + hi) / 2;
+    if (getSilerLifeExpectancy(scaled(Math.exp(mid)), numAges, closure) > targetE0) lo = mid;
+    else hi = mid;
+  }
+  const scale = Math.exp((lo + hi) / 2);
+  const params = scaled(scale);
+  const e0 = getSilerLifeExpectancy(params, numAges, closure);
+  return { params, scale, e0, residual: e0 - targetE0 };
+};
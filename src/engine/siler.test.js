@@ -0,0 +1,14 @@
+import { describe, it, expect } from 'vitest';
+import { createModel, getSilerParameters, fitSilerToLifeExpectancy } from './index.js';
+
+describe('Siler fit to e₀', () => {
+  ['cap', 'kannisto'].forEach(closure => {
+    it(`gives the model the target e₀ under the ${closure} closure`, () => {
+      const female = fitSilerToLifeExpectancy(88, getSilerParameters(80), 101, closure).params;
+      const male = fitSilerToLifeExpectancy(84, getSilerParameters(75, true), 101, closure).params;
+      const rates = createModel({ oldAgeClosure: closure, silerParameters: { female, male } }).ratesAt(0);
+      expect(rates.femaleE0).toBeCloseTo(88, 6);
+      expect(rates.maleE0).toBeCloseTo(84, 6);
+    });
+  });
+});
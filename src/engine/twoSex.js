@@ -0,0 +1,74 @@
+// === TWO-SEX BIRTH FUNCTIONS ===
+// Births by couple: women aged i with men aged j. Each woman's partners are
+// spread over male ages by a Gaussian kernel w(j − i) centred on the age gap
+// (men older by `ageGap` years). Per cell there are two implied birth counts,
+//
+//   female-implied   f_ij F_i,   f_ij = β(i) w(j − i)
+//   male-implied     m_ij M_j,   m_ij = f_ij F*_i / M*_j
+//
+// where F*, M* is the stationary population of the current life tables with the
+// biological sex ratio at birth, so both agree when the sexes are in balance.
+// The birth function combines them:
+//
+//   female      B = Σ f_ij F_i (the one-sex model)
+//   male        B = Σ m_ij M_j
+//   harmonic    B = Σ 2 (f_ij F_i)(m_ij M_j) / (f_ij F_i + m_ij M_j)
+//   pollak      B = Σ min(f_ij F_i, m_ij M_j)  (Pollak's birth matrix–mating rule)
+//
+// A shortage of men of the right age therefore lowers births under every rule
+// but the female-dominant one.
+
+export const TWO_SEX_MODELS = {
+  female: { label: 'Female-dominant', description: 'Births depend on women only (the classic one-sex model)' },
+  male: { label: 'Male-dominant', description: 'Births depend on men only, at rates matching women in a balanced population' },
+  harmonic: { label: 'Harmonic mean', description: 'Per age pair, the harmonic mean of the female- and male-implied births' },
+  pollak: { label: 'Pollak BMMR', description: 'Birth matrix–mating rule: per age pair, the smaller of the two implied births' }
+};
+
+// Spread of male partner ages around the mean gap (years)
+export const PARTNER_AGE_SD = 4;
+
+// Couple cells { female, male, femaleRate, maleRate } with a non-negligible rate.
+// femaleShare: female share at birth of the balanced reference population.
+export const getPairingSchedule = (fertilitySchedule, femaleSurvival, maleSurvival, { ageGap = 3, femaleShare }) => {
+  const numAges = fertilitySchedule.length;
+  const cells = [];
+  for (let i = 0; i < numAges; i++) {
+    if (fertilitySchedule[i] === 0) continue;
+    const weights = Array.from({ length: numAges }, (_, j) => Math.exp(-((j - i - ageGap) ** 2) / (2 * PARTNER_AGE_SD ** 2)));
+    const total = weights.reduce((a, b) => a + b, 0);
+    weights.forEach((w, j) => {
+      const femaleRate = fertilitySchedule[i] * (w / total);
+      const referenceMen = (1 - femaleShare) * maleSurvival[j];
+      if (femaleRate < 1e-9 || referenceMen <= 0) return;
+      cells.push({
+        female: i,
+        male: j,
+        femaleRate,
+        maleRate: femaleRate * (femaleShare * femaleSurvival[i]) / referenceMen
+      });
+    });
+  }
+  return cells;
+};
+
+// Births, births by mother's age and Σ mother's age × births for single-year
+// female and male counts
+export const getTwoSexBirths = (model, pairing, women, men) => {
+  let births = 0;
+  let weightedAgeSum = 0;
+  const byAge = new Array(women.length).fill(0);
+  for (const { female, male, femaleRate, maleRate } of pairing) {
+    const fromWomen = femaleRate * women[female];
+    const fromMen = maleRate * men[male];
+    let cell;
+    if (model === 'male') cell = fromMen;
+    else if (model === 'harmonic') cell = fromWomen + fromMen > 0 ? (2 * fromWomen * fromMen) / (fromWomen + fromMen) : 0;
+    else if (model === 'pollak') cell = Math.min(fromWomen, fromMen);
+    else cell = fromWomen;
+    births += cell;
+    weightedAgeSum += female * cell;
+    byAge[female] += cell;
+  }
+  return { births, weightedAgeSum, byAge };
+};
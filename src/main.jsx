@@ -1,9 +1,13 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import ReproductiveAgeExplorer from './ReproductiveAgeExplorer'
+import { decodePermalink } from './permalink'
+
+// Permalinks carry the full configuration in the URL hash
+const initialState = decodePermalink(window.location.hash)
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <ReproductiveAgeExplorer />
+    <ReproductiveAgeExplorer initialState={initialState} />
   </React.StrictMode>,
 )
@@ -0,0 +1,205 @@
+import {
+  scenarios, SCHEDULABLE_PARAMS, TRANSITIONS, INITIALIZATION_MODES, MIGRATION_UNITS, FERTILITY_MODELS,
+  MORTALITY_MODELS, OLD_AGE_CLOSURES, MAX_AGE_OPTIONS, SOLVERS, TIME_STEPS, TWO_SEX_MODELS,
+  PARITY_PARAMETERS, SILER_PARAMETERS
+} from './engine';
+
+// === PERMALINKS ===
+// The full explorer configuration as URL hash parameters, e.g.
+//   #scenario=shifting&tfr=1.8&e0=80&plot=population&t=120&year=60
+// decodePermalink never throws: unknown keys are ignored and out-of-range
+// values are clamped, so a hand-edited or stale link still opens.
+
+// Hash key → state field, with the slider range each numeric value is held to
+const NUMERIC_FIELDS = {
+  tfr: { field: 'totalFertility', ...SCHEDULABLE_PARAMS.totalFertility },
+  e0: { field: 'lifeExpectancy', ...SCHEDULABLE_PARAMS.lifeExpectancy },
+  srb: { field: 'sexRatioBirth', ...SCHEDULABLE_PARAMS.sexRatioBirth },
+  peak: { field: 'peakFertilityAge', ...SCHEDULABLE_PARAMS.peakAge },
+  spread: { field: 'fertilitySpread', ...SCHEDULABLE_PARAMS.spread },
+  pop: { field: 'initialPopulation', min: 1000, max: 100000 },
+  maxage: { field: 'maxAge', min: MAX_AGE_OPTIONS[0], max: MAX_AGE_OPTIONS[MAX_AGE_OPTIONS.length - 1] },
+  speed: { field: 'simulationSpeed', min: 1, max: 50 },
+  mig: { field: 'netMigration', ...SCHEDULABLE_PARAMS.netMigration },
+  migf: { field: 'migrantFemaleShare', min: 0.2, max: 0.8 },
+  lc: { field: 'leeCarterDrift', min: -3, max: 0.5 },
+  gap: { field: 'partnerAgeGap', min: 0, max: 10 },
+  t: { field: 'time', min: 0, max: 1000 },
+  year: { field: 'scrubYear', min: 0, max: 1000 }
+};
+
+const PLOT_IDS = ['age-dist', 'fertility', 'mortality', 'sensitivity', 'population', 'flows', 'dependency', 'pyramid', 'leslie', 'life-table', 'lexis', 'indicators'];
+
+// Keyframes are stored compactly as { param: [[year, value, transition], ...] }
+const packSchedule = (keyframes) => Object.fromEntries(
+  Object.entries(keyframes)
+    .filter(([, list]) => list.length > 0)
+    .map(([key, list]) => [key, list.map(k => [k.year, k.value, k.transition])])
+);
+
+const unpackSchedule = (packed) => {
+  if (!packed || typeof packed !== 'object') return null;
+  const keyframes = {};
+  for (const [key, list] of Object.entries(packed)) {
+    const range = SCHEDULABLE_PARAMS[key];
+    if (!range || !Array.isArray(list)) continue;
+    keyframes[key] = list
+      .filter(k => Array.isArray(k) && Number.isFinite(k[0]) && Number.isFinite(k[1]))
+      .map(([year, value, transition]) => ({
+        year: Math.max(0, Math.round(year)),
+        value: Math.min(range.max, Math.max(range.min, value)),
+        transition: TRANSITIONS.includes(transition) ? transition : 'linear'
+      }));
+  }
+  return keyframes;
+};
+
+// Model parameters as JSON, each clamped to its slider range; malformed input gives {} (the defaults)
+const unpackModelParams = (json, specs) => {
+  try {
+    const packed = JSON.parse(json || '{}');
+    const values = {};
+    for (const [key, { min, max }] of Object.entries(specs)) {
+      if (Number.isFinite(packed?.[key])) values[key] = Math.min(max, Math.max(min, packed[key]));
+    }
+    return values;
+  } catch {
+    return {};
+  }
+};
+
+// Custom Siler parameters { female, male }, each clamped to SILER_PARAMETERS;
+// null unless both sexes carry every parameter
+const unpackSilerParameters = (json) => {
+  try {
+    const packed = JSON.parse(json);
+    const sexes = ['female', 'male'].map(sex => Object.entries(SILER_PARAMETERS).map(([key, { min, max }]) => {
+      const value = packed?.[sex]?.[key];
+      return Number.isFinite(value) ? [key, Math.min(max, Math.max(min, value))] : null;
+    }));
+    if (sexes.some(entries => entries.includes(null))) return null;
+    return { female: Object.fromEntries(sexes[0]), male: Object.fromEntries(sexes[1]) };
+  } catch {
+    return null;
+  }
+};
+
+// state: { scenario, totalFertility, lifeExpectancy, sexRatioBirth, peakFertilityAge, fertilitySpread,
+//          initialPopulation, maxAge, simulationSpeed, netMigration, migrationUnit, migrantFemaleShare,
+//          initMode, keyframes, tempoEffect, fertilityModel, fertilityModelParams, mortalityModel,
+//          mortalityModelParams, oldAgeClosure, silerParameters (null when off),
+//          leeCarterDrift (null when off), solver, substeps,
+//          twoSexModel, partnerAgeGap, parityProgression (null when off), birthInterval,
+//          selectedPlot, time, scrubYear }
+// Returns the hash string including the leading '#'.
+export const encodePermalink = (state) => {
+  const query = new URLSearchParams();
+  query.set('scenario', state.scenario);
+  for (const [key, { field }] of Object.entries(NUMERIC_FIELDS)) {
+    if (state[field] !== null && state[field] !== undefined) query.set(key, String(state[field]));
+  }
+  // Imported populations are not carried in the link; the recipient falls back to the stable seed
+  if (state.initMode && state.initMode !== 'imported') query.set('init', state.initMode);
+  if (state.migrationUnit) query.set('migunit', state.migrationUnit);
+  query.set('schedule', JSON.stringify(packSchedule(state.keyframes || {})));
+  if (state.tempoEffect) query.set('tempo', '1');
+  // Only the active fertility model's parameters travel with the link
+  if (state.fertilityModel && state.fertilityModel !== 'gaussian') {
+    query.set('fmodel', state.fertilityModel);
+    query.set('fparams', JSON.stringify(state.fertilityModelParams?.[state.fertilityModel] ?? {}));
+  }
+  if (state.mortalityModel && state.mortalityModel !== 'siler') {
+    query.set('mmodel', state.mortalityModel);
+    query.set('mparams', JSON.stringify(state.mortalityModelParams?.[state.mortalityModel] ?? {}));
+  }
+  if (state.oldAgeClosure && state.oldAgeClosure !== 'cap') query.set('closure', state.oldAgeClosure);
+  if (state.silerParameters) query.set('siler', JSON.stringify(state.silerParameters));
+  if (state.solver && state.solver !== 'euler') query.set('solver', state.solver);
+  if (state.substeps && state.substeps !== 1) query.set('dt', String(state.substeps));
+  if (state.twoSexModel && state.twoSexModel !== 'female') query.set('births', state.twoSexModel);
+  // Parity model as comma-separated progression ratios and interval mean,SD
+  if (state.parityProgression) {
+    query.set('parity', state.parityProgression.join(','));
+    query.set('interval', `${state.birthInterval.mean},${state.birthInterval.sd}`);
+  }
+  query.set('plot', state.selectedPlot);
+  return `#${query.toString()}`;
+};
+
+// Partial state with only the fields present and valid in the hash
+export const decodePermalink = (hash) => {
+  const query = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const state = {};
+
+  const scenario = query.get('scenario');
+  if (scenario && scenarios[scenario]) state.scenario = scenario;
+
+  for (const [key, { field, min, max }] of Object.entries(NUMERIC_FIELDS)) {
+    const raw = query.get(key);
+    if (raw === null || raw.trim() === '') continue;
+    const value = Number(raw);
+    if (Number.isFinite(value)) state[field] = Math.min(max, Math.max(min, value));
+  }
+  if (state.time !== undefined) state.time = Math.round(state.time);
+  // Snap to the nearest offered age range
+  if (state.maxAge !== undefined) {
+    state.maxAge = MAX_AGE_OPTIONS.reduce((best, age) => (Math.abs(age - state.maxAge) < Math.abs(best - state.maxAge) ? age : best));
+  }
+  if (state.scrubYear !== undefined) state.scrubYear = Math.min(Math.round(state.scrubYear), state.time ?? 0);
+
+  const migrationUnit = query.get('migunit');
+  if (MIGRATION_UNITS[migrationUnit]) state.migrationUnit = migrationUnit;
+
+  const init = query.get('init');
+  if (init && INITIALIZATION_MODES[init] && init !== 'imported') state.initMode = init;
+
+  if (query.has('schedule')) {
+    try {
+      const keyframes = unpackSchedule(JSON.parse(query.get('schedule')));
+      if (keyframes) {
+        state.keyframes = keyframes;
+        state.tempoEffect = query.get('tempo') === '1';
+      }
+    } catch {
+      // Malformed schedule: keep the scenario's own
+    }
+  }
+
+  const fertilityModel = query.get('fmodel');
+  if (FERTILITY_MODELS[fertilityModel]) {
+    state.fertilityModel = fertilityModel;
+    state.fertilityModelParams = { [fertilityModel]: unpackModelParams(query.get('fparams'), FERTILITY_MODELS[fertilityModel].params) };
+  }
+  const mortalityModel = query.get('mmodel');
+  if (MORTALITY_MODELS[mortalityModel]) {
+    state.mortalityModel = mortalityModel;
+    state.mortalityModelParams = { [mortalityModel]: unpackModelParams(query.get('mparams'), MORTALITY_MODELS[mortalityModel].params) };
+  }
+  const closure = query.get('closure');
+  if (OLD_AGE_CLOSURES[closure]) state.oldAgeClosure = closure;
+  const silerParameters = query.has('siler') ? unpackSilerParameters(query.get('siler')) : null;
+  if (silerParameters) state.silerParameters = silerParameters;
+  const solver = query.get('solver');
+  if (SOLVERS[solver]) state.solver = solver;
+  // Sub-steps per year; only the offered time steps are accepted
+  const substeps = Number(query.get('dt'));
+  if (TIME_STEPS[substeps]) state.substeps = substeps;
+  const twoSexModel = query.get('births');
+  if (TWO_SEX_MODELS[twoSexModel]) state.twoSexModel = twoSexModel;
+
+  const progression = (query.get('parity') || '').split(',').map(Number);
+  if (progression.length === PARITY_PARAMETERS.progression.length && progression.every(Number.isFinite)) {
+    state.parityProgression = progression.map(a => Math.min(1, Math.max(0, a)));
+    const [mean, sd] = (query.get('interval') || '').split(',').map(v => (v.trim() === '' ? NaN : Number(v)));
+    const { interval } = PARITY_PARAMETERS;
+    state.birthInterval = {
+      mean: Number.isFinite(mean) ? Math.min(interval.mean.max, Math.max(interval.mean.min, mean)) : interval.mean.default,
+      sd: Number.isFinite(sd) ? Math.min(interval.sd.max, Math.max(interval.sd.min, sd)) : interval.sd.default
+    };
+  }
+
+  const plot = query.get('plot');
+  if (PLOT_IDS.includes(plot)) state.selectedPlot = plot;
+
+  return state;
+};
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { encodePermalink, decodePermalink } from './permalink.js';
+
+const base = { scenario: 'baseline', totalFertility: 2.1, keyframes: {}, selectedPlot: 'age-dist', time: 0 };
+const siler = {
+  female: { alpha1: 0.012, beta1: 0.7, alpha2: 0.0003, alpha3: 0.00002, beta3: 0.088 },
+  male: { alpha1: 0.015, beta1: 0.7, alpha2: 0.0006, alpha3: 0.00003, beta3: 0.09 }
+};
+
+describe('Siler parameters in permalinks', () => {
+  it('round-trips hand-set parameters', () => {
+    expect(decodePermalink(encodePermalink({ ...base, silerParameters: siler })).silerParameters).toEqual(siler);
+  });
+
+  it('leaves them out when the e₀ law is in use', () => {
+    const hash = encodePermalink({ ...base, silerParameters: null });
+    expect(hash).not.toContain('siler');
+    expect(decodePermalink(hash).silerParameters).toBeUndefined();
+  });
+
+  it('clamps out-of-range values and ignores incomplete sets', () => {
+    const wild = { ...siler, male: { ...siler.male, beta3: 7, alpha1: -1 } };
+    const decoded = decodePermalink(encodePermalink({ ...base, silerParameters: wild })).silerParameters;
+    expect(decoded.male.beta3).toBe(0.5);
+    expect(decoded.male.alpha1).toBe(1e-6);
+
+    const partial = { female: siler.female, male: { alpha1: 0.01 } };
+    expect(decodePermalink(encodePermalink({ ...base, silerParameters: partial })).silerParameters).toBeUndefined();
+    expect(decodePermalink('#siler=not-json').silerParameters).toBeUndefined();
+  });
+});